@@ -25,8 +25,7 @@ CONTAINER_PORT="${CONTAINER_PORT:-3001}"
 # Environment variables for the application
 VITE_API_URL="${VITE_API_URL:-http://localhost:8000}"
 VITE_API_KEY="${VITE_API_KEY}"
-VITE_AUTH_USERNAME="${VITE_AUTH_USERNAME}"
-VITE_AUTH_PASSWORD="${VITE_AUTH_PASSWORD}"
+VITE_AUTH_URL="${VITE_AUTH_URL:-https://auth.quickstark.com}"
 VITE_ENVIRONMENT="${VITE_ENVIRONMENT:-production}"
 VITE_DATADOG_APPLICATION_ID="${VITE_DATADOG_APPLICATION_ID}"
 VITE_DATADOG_CLIENT_TOKEN="${VITE_DATADOG_CLIENT_TOKEN}"
@@ -85,8 +84,7 @@ main() {
         -p ${CONTAINER_PORT}:80 \
         -e VITE_API_URL=\"${VITE_API_URL}\" \
         -e VITE_API_KEY=\"${VITE_API_KEY}\" \
-        -e VITE_AUTH_USERNAME=\"${VITE_AUTH_USERNAME}\" \
-        -e VITE_AUTH_PASSWORD=\"${VITE_AUTH_PASSWORD}\" \
+        -e VITE_AUTH_URL=\"${VITE_AUTH_URL}\" \
         -e VITE_ENVIRONMENT=\"${VITE_ENVIRONMENT}\" \
         -e VITE_DATADOG_APPLICATION_ID=\"${VITE_DATADOG_APPLICATION_ID}\" \
         -e VITE_DATADOG_CLIENT_TOKEN=\"${VITE_DATADOG_CLIENT_TOKEN}\" \
@@ -188,8 +186,7 @@ ENVIRONMENT VARIABLES:
     CONTAINER_NAME          Container name (default: demo-gallery)
     VITE_API_URL           API URL for the application
     VITE_API_KEY           Optional API key for authentication
-    VITE_AUTH_USERNAME     Basic Auth username (if Authelia supports it)
-    VITE_AUTH_PASSWORD     Basic Auth password (if Authelia supports it)
+    VITE_AUTH_URL          Authelia portal URL used for login
     VITE_ENVIRONMENT       Environment name
     VITE_DATADOG_*         Datadog configuration
     TRAEFIK_HOST           Hostname for Traefik routing
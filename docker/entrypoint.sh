@@ -14,8 +14,8 @@ replace_env_vars() {
             # Using sed for compatibility with Alpine Linux
             sed -i "s|__VITE_API_URL__|${VITE_API_URL:-http://localhost:8000}|g" "$file"
             sed -i "s|__VITE_API_KEY__|${VITE_API_KEY:-}|g" "$file"
-            sed -i "s|__VITE_AUTH_USERNAME__|${VITE_AUTH_USERNAME:-}|g" "$file"
-            sed -i "s|__VITE_AUTH_PASSWORD__|${VITE_AUTH_PASSWORD:-}|g" "$file"
+            sed -i "s|__VITE_AUTH_URL__|${VITE_AUTH_URL:-https://auth.quickstark.com}|g" "$file"
+            sed -i "s|__VITE_CHAT_MAX_REQUEST_MB__|${VITE_CHAT_MAX_REQUEST_MB:-20}|g" "$file"
             sed -i "s|__VITE_ENVIRONMENT__|${VITE_ENVIRONMENT:-production}|g" "$file"
             sed -i "s|__VITE_DATADOG_APPLICATION_ID__|${VITE_DATADOG_APPLICATION_ID:-}|g" "$file"
             sed -i "s|__VITE_DATADOG_CLIENT_TOKEN__|${VITE_DATADOG_CLIENT_TOKEN:-}|g" "$file"
@@ -28,13 +28,14 @@ replace_env_vars() {
     echo "Environment variable injection complete."
 }
 
-# Create a runtime config file for debugging (optional)
+# Create a runtime config file (also read by the app for the backend registry)
 create_config_info() {
     cat > /usr/share/nginx/html/config.json <<EOF
 {
   "environment": "${VITE_ENVIRONMENT:-production}",
   "service": "${VITE_DATADOG_SERVICE:-demo-gallery}",
   "release": "${VITE_RELEASE:-1.0.0}",
+  "backends": ${VITE_BACKENDS:-null},
   "timestamp": "$(date -Iseconds)"
 }
 EOF
@@ -0,0 +1,18 @@
+import { test as base, expect } from '@playwright/test';
+
+export const MOCK_API_URL = 'http://localhost:8000';
+
+/**
+ * Playwright `test` with the mock API reset before every test
+ * Use `mock.setScenario('error')` to switch failure scenarios within a test.
+ */
+export const test = base.extend({
+  mock: [async ({ request }, use) => {
+    await request.post(`${MOCK_API_URL}/__mock/reset`);
+    await use({
+      setScenario: (scenario) => request.post(`${MOCK_API_URL}/__mock/scenario`, { data: { scenario } }),
+    });
+  }, { auto: true }],
+});
+
+export { expect };
@@ -0,0 +1,6 @@
+import { expect, test } from './fixtures';
+
+test('shows the seeded images from the mock API', async ({ page }) => {
+  await page.goto('/');
+  await expect(page.getByRole('button', { name: 'View AI details for mountain-lake.png' })).toBeVisible();
+});
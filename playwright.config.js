@@ -0,0 +1,39 @@
+import { defineConfig, devices } from '@playwright/test';
+
+// Ports for the mock API and the dev server started for the run
+const MOCK_API_PORT = 8000;
+const APP_PORT = 5173;
+
+/**
+ * End-to-end tests against the mock API (docs/MOCK_API.md)
+ * `yarn test:e2e` starts the mock and a dev server pointed at it, reusing
+ * ones already running locally. Tests import `test` from e2e/fixtures.js,
+ * which resets the mock before each test.
+ */
+export default defineConfig({
+  testDir: './e2e',
+  fullyParallel: false, // One shared mock; tests reset it and must not overlap
+  workers: 1,
+  retries: process.env.CI ? 1 : 0,
+  reporter: process.env.CI ? 'list' : 'html',
+  use: {
+    baseURL: `http://localhost:${APP_PORT}`,
+    trace: 'on-first-retry',
+  },
+  projects: [
+    { name: 'chromium', use: { ...devices['Desktop Chrome'] } },
+  ],
+  webServer: [
+    {
+      command: `node scripts/mock-api-server.mjs --port ${MOCK_API_PORT}`,
+      url: `http://localhost:${MOCK_API_PORT}/health`,
+      reuseExistingServer: !process.env.CI,
+    },
+    {
+      command: 'yarn dev', // Listens on APP_PORT
+      url: `http://localhost:${APP_PORT}`,
+      reuseExistingServer: !process.env.CI,
+      env: { VITE_API_URL: `http://localhost:${MOCK_API_PORT}` },
+    },
+  ],
+});
@@ -0,0 +1,809 @@
+#!/usr/bin/env node
+// =============================================================================
+// Mock API Server
+// =============================================================================
+// In-memory stand-in for the FastAPI backend covering every endpoint the
+// frontend calls, with separate image stores per backend and switchable
+// failure scenarios. See docs/MOCK_API.md.
+//
+// Usage: node scripts/mock-api-server.mjs [--port 8000] [--scenario normal]
+//                                         [--latency 1500] [--drop-rate 0.2]
+//        --scenario:  normal | slow | error | unauthorized | questionable | flaky
+//        --latency:   delay in ms used by the "slow" scenario
+//        --drop-rate: probability (0-1) of killing a chunk upload mid-flight
+//                     (always active, independent of the scenario)
+//
+// Scenarios can also be switched at runtime with POST /__mock/scenario or
+// per request with an X-Mock-Scenario header. GET /events streams
+// image_added/image_deleted as Server-Sent Events.
+//
+// Point the app at it with VITE_API_URL=http://localhost:8000
+// =============================================================================
+
+import http from 'node:http';
+import crypto from 'node:crypto';
+import zlib from 'node:zlib';
+import { fileURLToPath } from 'node:url';
+
+export const SCENARIOS = ['normal', 'slow', 'error', 'unauthorized', 'questionable', 'flaky'];
+
+const BACKENDS = [
+  { id: 'mongo', label: 'MongoDB', color: '#9F7AEA', capabilities: { supportsLiveUpdates: true } },
+  { id: 'postgres', label: 'PostgreSQL', color: '#4FD1C5', capabilities: { supportsLiveUpdates: true } },
+];
+
+const SEED_IMAGES = [
+  { name: 'sunset-beach.png', labels: ['Sky', 'Beach', 'Sunset'], text: [] },
+  { name: 'city-street.png', labels: ['City', 'Street', 'Car'], text: ['STOP'] },
+  { name: 'forest-trail.png', labels: ['Tree', 'Forest', 'Path'], text: [] },
+  { name: 'coffee-shop.png', labels: ['Cup', 'Coffee', 'Table'], text: ['Espresso', 'Open'] },
+  { name: 'mountain-lake.png', labels: ['Mountain', 'Lake', 'Sky'], text: [] },
+  { name: 'office-desk.png', labels: ['Laptop', 'Desk', 'Monitor'], text: ['Datadog'] },
+];
+
+// Events kept for replay to reconnecting /events clients
+const EVENT_LOG_SIZE = 100;
+// Comment lines sent on idle streams so proxies don't close them
+const EVENT_KEEPALIVE_MS = 15000;
+// Pause between events of a streamed generation
+const STREAM_STEP_MS = 700;
+
+// ----------------------------------------------------------------------------
+// Helpers
+// ----------------------------------------------------------------------------
+
+/**
+ * Encodes a solid-color PNG, used for seed images and "generated" AI images
+ * @param {number} size - Width and height in pixels
+ * @param {number[]} rgb - [r, g, b]
+ * @returns {Buffer} PNG bytes
+ */
+const createPng = (size, [r, g, b]) => {
+  const row = Buffer.alloc(1 + size * 3);
+  for (let x = 0; x < size; x++) row.set([r, g, b], 1 + x * 3);
+  const raw = Buffer.concat(Array.from({ length: size }, () => row));
+
+  const chunk = (type, data) => {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(Buffer.concat([Buffer.from(type), data])));
+    return Buffer.concat([length, Buffer.from(type), data, crc]);
+  };
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(size, 0);
+  header.writeUInt32BE(size, 4);
+  header.set([8, 2, 0, 0, 0], 8);
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk('IHDR', header),
+    chunk('IDAT', zlib.deflateSync(raw)),
+    chunk('IEND', Buffer.alloc(0)),
+  ]);
+};
+
+/**
+ * CRC-32 as used by PNG chunks (zlib.crc32 only exists on Node 22+)
+ * @param {Buffer} buffer - Bytes to checksum
+ * @returns {number} Unsigned CRC
+ */
+const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc ^= byte;
+    for (let bit = 0; bit < 8; bit++) crc = (crc >>> 1) ^ (0xedb88320 & -(crc & 1));
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * Picks a stable color from a string
+ * @param {string} text - Any text
+ * @returns {number[]} [r, g, b]
+ */
+const colorFor = (text) => {
+  const hash = crypto.createHash('md5').update(text).digest();
+  return [hash[0], hash[1], hash[2]];
+};
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  const parts = [];
+  req.on('data', part => parts.push(part));
+  req.on('end', () => resolve(Buffer.concat(parts)));
+  req.on('error', reject);
+});
+
+const readJson = async (req) => {
+  const body = (await readBody(req)).toString();
+  return body ? JSON.parse(body) : {};
+};
+
+/**
+ * Minimal multipart/form-data parser
+ * @param {Buffer} body - Request body
+ * @param {string} contentType - Content-Type header with the boundary
+ * @returns {Object<string, {filename?: string, contentType?: string, data: Buffer}>} Fields by name
+ */
+const parseMultipart = (body, contentType) => {
+  const boundary = /boundary=(?:"([^"]+)"|([^;]+))/.exec(contentType || '');
+  if (!boundary) return {};
+  const delimiter = Buffer.from(`--${boundary[1] || boundary[2]}`);
+
+  const fields = {};
+  let start = body.indexOf(delimiter);
+  while (start !== -1) {
+    const next = body.indexOf(delimiter, start + delimiter.length);
+    if (next === -1) break;
+
+    const part = body.subarray(start + delimiter.length + 2, next - 2); // Skip CRLFs around the part
+    const headerEnd = part.indexOf('\r\n\r\n');
+    if (headerEnd !== -1) {
+      const headers = part.subarray(0, headerEnd).toString();
+      const name = /name="([^"]*)"/.exec(headers)?.[1];
+      if (name) {
+        fields[name] = {
+          filename: /filename="([^"]*)"/.exec(headers)?.[1],
+          contentType: /content-type:\s*([^\r\n]+)/i.exec(headers)?.[1],
+          data: part.subarray(headerEnd + 4),
+        };
+      }
+    }
+    start = next;
+  }
+  return fields;
+};
+
+const parseJsonField = (field) => {
+  if (!field) return null;
+  try {
+    return JSON.parse(field.data.toString());
+  } catch {
+    return null;
+  }
+};
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// ----------------------------------------------------------------------------
+// Server
+// ----------------------------------------------------------------------------
+
+/**
+ * Creates (but does not start) a mock API server
+ * @param {Object} [options] - Server options
+ * @param {string} [options.scenario] - Initial scenario (see SCENARIOS)
+ * @param {number} [options.latency] - Delay in ms for the "slow" scenario
+ * @param {number} [options.dropRate] - Probability of dropping a chunk upload
+ * @param {number} [options.maxChatBytes] - Largest /gemini-edit-image body accepted before a 413
+ * @param {boolean} [options.quiet] - Suppress request logging
+ * @returns {http.Server & {mock: Object}} Node server; `server.mock` exposes state and reset()
+ */
+export const createMockApiServer = ({
+  scenario = 'normal',
+  latency = 1500,
+  dropRate = 0,
+  maxChatBytes = 20 * 1024 * 1024,
+  quiet = false,
+} = {}) => {
+  const log = (...args) => !quiet && console.log(...args);
+
+  const state = {
+    scenario,
+    images: new Map(), // backend -> image records
+    files: new Map(), // id -> { data, mimeType }
+    uploads: new Map(), // upload_id -> chunked upload session
+    posts: [],
+    kafka: null,
+    eventClients: new Set(), // open /events streams: { res, backend, baseUrl }
+    eventLog: [], // recent events, replayed to clients that reconnect with Last-Event-ID
+    lastEventId: 0,
+  };
+
+  const addImage = (backend, { name, data, mimeType, labels, text }) => {
+    const id = crypto.randomUUID();
+    state.files.set(id, { data, mimeType: mimeType || 'image/png' });
+    const image = {
+      id,
+      name,
+      ai_labels: labels || [],
+      ai_text: text || [],
+      created_at: new Date().toISOString(),
+    };
+    state.images.get(backend).push(image);
+    return image;
+  };
+
+  // URLs are built per request so they point at whatever host the client used
+  const withUrl = (image, baseUrl) => ({ ...image, url: `${baseUrl}/files/${image.id}` });
+
+  /**
+   * Writes one Server-Sent Event to a stream
+   */
+  const writeEvent = (client, event) => {
+    const data = event.image
+      ? { backend: event.backend, image: withUrl(event.image, client.baseUrl) }
+      : { backend: event.backend, id: event.id };
+    client.res.write(`id: ${event.eventId}\nevent: ${event.type}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  /**
+   * Sends an image_added/image_deleted event to every stream watching the backend
+   * @param {string} type - Event name
+   * @param {string} backend - Backend id
+   * @param {Object} payload - { image } or { id }
+   */
+  const emitEvent = (type, backend, payload) => {
+    const event = { eventId: ++state.lastEventId, type, backend, ...payload };
+    state.eventLog = [...state.eventLog.slice(-(EVENT_LOG_SIZE - 1)), event];
+    state.eventClients.forEach(client => {
+      if (client.backend === backend) writeEvent(client, event);
+    });
+    log(`📣 ${backend}: ${type} → ${[...state.eventClients].filter(client => client.backend === backend).length} listener(s)`);
+  };
+
+  /**
+   * Ends every open event stream, so tests can exercise reconnection
+   */
+  const disconnectEventClients = () => {
+    state.eventClients.forEach(client => client.res.end());
+    state.eventClients.clear();
+  };
+
+  const reset = () => {
+    state.images = new Map(BACKENDS.map(backend => [backend.id, []]));
+    state.files.clear();
+    state.uploads.clear();
+    state.posts = [];
+    state.eventLog = [];
+    state.kafka = {
+      running: false,
+      run_id: null,
+      started_at: null,
+      rate_per_sec: 0,
+      metrics: { produced: 0, analytics_consumed: 0, alerts_consumed: 0 },
+      fault: { latency_ms: 0, drop_probability: 0, duplicate_ratio: 0, slow_consumer_ms: 0 },
+    };
+    BACKENDS.forEach(backend => {
+      SEED_IMAGES.forEach(seed => addImage(backend.id, {
+        name: seed.name,
+        data: createPng(96, colorFor(`${backend.id}-${seed.name}`)),
+        labels: seed.labels,
+        text: seed.text,
+      }));
+    });
+  };
+
+  /**
+   * Applies the active scenario; returns true if the request was answered
+   */
+  const applyScenario = async (req, res, activeScenario) => {
+    if (activeScenario === 'slow') await delay(latency);
+    if (activeScenario === 'flaky') {
+      await delay(Math.random() * latency);
+      if (Math.random() < 0.3) {
+        sendJson(req, res, 503, { detail: 'Mock: service temporarily unavailable' });
+        return true;
+      }
+    }
+    if (activeScenario === 'error') {
+      sendJson(req, res, 500, { detail: 'Mock: internal server error' });
+      return true;
+    }
+    if (activeScenario === 'unauthorized') {
+      sendJson(req, res, 401, { detail: 'Mock: authentication required' });
+      return true;
+    }
+    return false;
+  };
+
+  const sendJson = (req, res, status, body) => {
+    res.writeHead(status, {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': req.headers.origin || '*',
+      'Access-Control-Allow-Credentials': 'true',
+    });
+    res.end(JSON.stringify(body));
+  };
+
+  const kafkaStatus = () => {
+    const kafka = state.kafka;
+    if (kafka.running) {
+      // Pretend messages were produced at the requested rate since the run started
+      const produced = Math.floor(((Date.now() - kafka.started_at) / 1000) * kafka.rate_per_sec);
+      const consumed = Math.floor(produced * (1 - kafka.fault.drop_probability) * (1 + kafka.fault.duplicate_ratio));
+      kafka.metrics = {
+        produced,
+        analytics_consumed: consumed,
+        alerts_consumed: Math.floor(consumed / 10),
+      };
+    }
+    return { ...kafka, metrics: { ...kafka.metrics }, fault: { ...kafka.fault } };
+  };
+
+  // ---------------------------------------------------------------------------
+  // Routes: [method, pattern, handler(ctx)] where pattern segments starting
+  // with ":" are captured into ctx.params
+  // ---------------------------------------------------------------------------
+  const routes = [
+    ['GET', '/', ({ send }) => send(200, { status: 'ok', mock: true, scenario: state.scenario })],
+
+    ['GET', '/health', ({ send, query }) => {
+      const backend = query.get('backend');
+      if (backend && !state.images.has(backend)) return send(404, { detail: `Unknown backend ${backend}` });
+      return send(200, { status: 'ok', read_only: false });
+    }],
+
+    ['GET', '/backends', ({ send }) => send(200, { backends: BACKENDS })],
+
+    ['GET', '/images', ({ send, query, backend, baseUrl }) => {
+      const q = (query.get('q') || '').toLowerCase();
+      const labels = (query.get('labels') || '').split(',').filter(Boolean).map(label => label.toLowerCase());
+      const matchAll = query.get('match') === 'all';
+
+      let items = [...state.images.get(backend)];
+      if (q) {
+        items = items.filter(image => [image.name, ...image.ai_text].some(value => value.toLowerCase().includes(q)));
+      }
+      if (labels.length > 0) {
+        items = items.filter(image => {
+          const imageLabels = image.ai_labels.map(label => label.toLowerCase());
+          return matchAll
+            ? labels.every(label => imageLabels.includes(label))
+            : labels.some(label => imageLabels.includes(label));
+        });
+      }
+      const sort = query.get('sort') || 'newest';
+      if (sort === 'newest') items.reverse();
+      if (sort === 'name') items.sort((a, b) => a.name.localeCompare(b.name));
+      if (sort === 'labels') items.sort((a, b) => b.ai_labels.length - a.ai_labels.length);
+
+      items = items.map(image => withUrl(image, baseUrl));
+      if (!query.has('limit')) return send(200, items);
+
+      const limit = Number(query.get('limit'));
+      const start = query.get('cursor') ? Number(query.get('cursor')) : Number(query.get('offset') || 0);
+      const end = start + limit;
+      return send(200, {
+        items: items.slice(start, end),
+        next_cursor: end < items.length ? String(end) : null,
+      });
+    }],
+
+    ['GET', '/images/:id', ({ send, params, backend, baseUrl }) => {
+      const image = state.images.get(backend).find(item => item.id === params.id);
+      if (!image) return send(404, { detail: 'Image not found' });
+      return send(200, withUrl(image, baseUrl));
+    }],
+
+    ['GET', '/files/:id', ({ req, res, params, send }) => {
+      const file = state.files.get(params.id);
+      if (!file) return send(404, { detail: 'File not found' });
+      res.writeHead(200, {
+        'Content-Type': file.mimeType,
+        'Access-Control-Allow-Origin': req.headers.origin || '*',
+        'Cache-Control': 'no-cache',
+      });
+      return res.end(file.data);
+    }],
+
+    ['POST', '/add_image', async ({ req, send, backend, activeScenario, baseUrl }) => {
+      const fields = parseMultipart(await readBody(req), req.headers['content-type']);
+      const file = fields.file;
+      if (!file?.filename) return send(422, { detail: 'Missing file' });
+
+      // The real API fails on images its vision model labels as a "bug"
+      if (file.filename.toLowerCase().includes('bug')) {
+        return send(500, { detail: `Mock: bug detected in ${file.filename}` });
+      }
+      if (activeScenario === 'questionable' || file.filename.toLowerCase().includes('questionable')) {
+        return send(200, { message: `Image ${file.filename} flagged as questionable content and was not stored` });
+      }
+
+      const image = addImage(backend, {
+        name: file.filename,
+        data: file.data,
+        mimeType: file.contentType,
+        labels: parseJsonField(fields.ai_labels) || ['Mock', 'Uploaded'],
+        text: parseJsonField(fields.ai_text) || [],
+      });
+      log(`📥 ${backend}: added ${image.name} (${file.data.length} bytes)`);
+      emitEvent('image_added', backend, { image });
+      return send(200, { message: `Image ${image.name} uploaded to ${backend}`, image: withUrl(image, baseUrl) });
+    }],
+
+    ['DELETE', '/delete_image/:id', ({ send, params, backend }) => {
+      const images = state.images.get(backend);
+      const index = images.findIndex(image => image.id === params.id);
+      if (index === -1) return send(404, { detail: `Image ${params.id} not found in ${backend}` });
+      const [removed] = images.splice(index, 1);
+      state.files.delete(removed.id);
+      log(`🗑️  ${backend}: deleted ${removed.name}`);
+      emitEvent('image_deleted', backend, { id: removed.id });
+      return send(200, { message: `Image ${removed.name} deleted from ${backend}` });
+    }],
+
+    ['POST', '/create_post', async ({ req, send }) => {
+      const body = await readJson(req);
+      const post = { id: state.posts.length + 1, ...body };
+      state.posts.push(post);
+      return send(201, post);
+    }],
+
+    ['POST', '/gemini-edit-image', async ({ req, res, send }) => {
+      const raw = await readBody(req);
+      if (raw.length > maxChatBytes) {
+        log(`📦 Chat request of ${raw.length} bytes over the ${maxChatBytes} byte limit`);
+        return send(413, { detail: 'Request body too large' });
+      }
+      const body = raw.length ? JSON.parse(raw.toString()) : {};
+      const lastUser = [...(body.messages || [])].reverse().find(message => message.role === 'user');
+      const prompt = lastUser?.parts?.find(part => part.text)?.text || 'image';
+      const result = {
+        model: body.model || 'mock-model',
+        size: body.size || '1K',
+        prompt,
+        mime_type: 'image/png',
+        image_base64: createPng(256, colorFor(prompt)).toString('base64'),
+      };
+      // Prompts mentioning "variations" get a multi-part reply, "refuse" a text-only one
+      if (/variations/i.test(prompt)) {
+        delete result.image_base64;
+        delete result.mime_type;
+        result.parts = [
+          { text: `Here are **three variations** of "${prompt}":` },
+          ...['a', 'b', 'c'].map(suffix => ({
+            mime_type: 'image/png',
+            image_base64: createPng(256, colorFor(`${prompt}-${suffix}`)).toString('base64'),
+          })),
+          { text: 'Pick one and tell me what to change.' },
+        ];
+      } else if (/refuse/i.test(prompt)) {
+        delete result.image_base64;
+        delete result.mime_type;
+        result.parts = [{ text: "I can't create that image. Try describing it differently." }];
+        result.finish_reason = 'SAFETY';
+      }
+
+      // `stream: true` answers in the first streaming format the client accepts
+      const format = body.stream
+        ? (req.headers.accept || '').split(',').map(type => type.trim())
+          .find(type => ['text/event-stream', 'application/x-ndjson'].includes(type))
+        : null;
+      if (!format) {
+        await delay(500);
+        return send(200, result);
+      }
+
+      res.writeHead(200, {
+        'Content-Type': format,
+        'Cache-Control': 'no-cache',
+        'Access-Control-Allow-Origin': req.headers.origin || '*',
+        'Access-Control-Allow-Credentials': 'true',
+      });
+      let aborted = false;
+      res.on('close', () => {
+        aborted = !res.writableEnded;
+      });
+      const write = (event) => res.write(format === 'text/event-stream'
+        ? `event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`
+        : `${JSON.stringify(event)}\n`);
+
+      const steps = [
+        { type: 'progress', progress: 0.1, message: 'Reading the conversation' },
+        { type: 'text', thought: true, text: `Planning a composition for "${prompt}"` },
+        { type: 'progress', progress: 0.5, message: 'Rendering' },
+        { type: 'text', text: `Here is the image for "${prompt}".` },
+        { type: 'progress', progress: 0.9, message: 'Finishing' },
+      ];
+      for (const step of steps) {
+        write(step);
+        await delay(STREAM_STEP_MS);
+        if (aborted) {
+          log(`✋ Generation for "${prompt}" cancelled by the client`);
+          return undefined;
+        }
+      }
+      write({ type: 'result', ...result });
+      return res.end();
+    }],
+
+    ['GET', '/events', ({ req, res, query, backend, baseUrl }) => {
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'Access-Control-Allow-Origin': req.headers.origin || '*',
+        'Access-Control-Allow-Credentials': 'true',
+      });
+      res.write('retry: 3000\n\n');
+
+      const client = { res, backend, baseUrl };
+      // Native reconnects send Last-Event-ID; the app's own reconnects pass it in the query
+      const lastEventId = Number(req.headers['last-event-id'] || query.get('last_event_id') || 0);
+      if (lastEventId) {
+        state.eventLog
+          .filter(event => event.eventId > lastEventId && event.backend === backend)
+          .forEach(event => writeEvent(client, event));
+      }
+      state.eventClients.add(client);
+
+      const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), EVENT_KEEPALIVE_MS);
+      keepAlive.unref();
+      res.on('close', () => {
+        clearInterval(keepAlive);
+        state.eventClients.delete(client);
+      });
+    }],
+
+    ['GET', '/kafka-demo/status', ({ send }) => send(200, kafkaStatus())],
+
+    ['POST', '/kafka-demo/start', async ({ req, send }) => {
+      const body = await readJson(req);
+      Object.assign(state.kafka, {
+        running: true,
+        run_id: `${body.topic_prefix || 'run'}-${Date.now()}`,
+        started_at: Date.now(),
+        rate_per_sec: body.rate_per_sec || 5,
+        fault: { ...state.kafka.fault, ...body.fault },
+      });
+      return send(200, kafkaStatus());
+    }],
+
+    ['POST', '/kafka-demo/stop', ({ send }) => {
+      kafkaStatus();
+      state.kafka.running = false;
+      return send(200, kafkaStatus());
+    }],
+
+    ['POST', '/kafka-demo/fault', async ({ req, send }) => {
+      const body = await readJson(req);
+      state.kafka.fault = { ...state.kafka.fault, ...body.fault };
+      return send(200, kafkaStatus());
+    }],
+
+    // Chunked upload protocol (docs/CHUNKED_UPLOADS.md)
+    ['POST', '/uploads', async ({ req, send, backend }) => {
+      const body = await readJson(req);
+      const id = crypto.randomUUID();
+      state.uploads.set(id, {
+        fileName: body.file_name,
+        fileSize: body.file_size,
+        mimeType: body.mime_type,
+        totalChunks: body.total_chunks,
+        backend,
+        chunks: new Map(),
+      });
+      log(`📥 New upload ${id}: ${body.file_name} (${body.total_chunks} chunks)`);
+      return send(201, { upload_id: id });
+    }],
+
+    ['GET', '/uploads/:id', ({ send, params }) => {
+      const session = state.uploads.get(params.id);
+      if (!session) return send(404, { detail: 'Upload not found' });
+      return send(200, {
+        upload_id: params.id,
+        received_chunks: [...session.chunks.keys()].sort((a, b) => a - b),
+      });
+    }],
+
+    ['PUT', '/uploads/:id/chunks/:index', async ({ req, send, params }) => {
+      const session = state.uploads.get(params.id);
+      if (!session) return send(404, { detail: 'Upload not found' });
+      const data = await readBody(req);
+
+      if (Math.random() < dropRate) {
+        log(`💥 Dropping chunk ${params.index} of ${params.id}`);
+        req.socket.destroy();
+        return undefined;
+      }
+
+      const checksum = crypto.createHash('sha256').update(data).digest('hex');
+      if (checksum !== req.headers['x-chunk-sha256']) {
+        return send(422, { detail: `Checksum mismatch for chunk ${params.index}` });
+      }
+      session.chunks.set(Number(params.index), data);
+      return send(200, { index: Number(params.index) });
+    }],
+
+    ['POST', '/uploads/:id/complete', ({ send, params }) => {
+      const session = state.uploads.get(params.id);
+      if (!session) return send(404, { detail: 'Upload not found' });
+      if (session.chunks.size !== session.totalChunks) {
+        return send(409, { detail: `Missing chunks: ${session.chunks.size}/${session.totalChunks} received` });
+      }
+
+      const data = Buffer.concat([...session.chunks.entries()].sort(([a], [b]) => a - b).map(([, chunk]) => chunk));
+      state.uploads.delete(params.id);
+      const image = addImage(session.backend, {
+        name: session.fileName,
+        data,
+        mimeType: session.mimeType,
+        labels: ['Mock', 'Chunked'],
+      });
+      log(`✅ Completed ${session.fileName} (${data.length} bytes) for ${session.backend}`);
+      emitEvent('image_added', session.backend, { image });
+      return send(200, { message: `Image ${session.fileName} uploaded to ${session.backend}` });
+    }],
+  ];
+
+  /**
+   * Finds the route matching a method and path
+   * @returns {{handler: Function, params: Object}|null} Match
+   */
+  const matchRoute = (method, pathname) => {
+    const segments = pathname.split('/').filter(Boolean);
+    for (const [routeMethod, pattern, handler] of routes) {
+      if (routeMethod !== method) continue;
+      const patternSegments = pattern.split('/').filter(Boolean);
+      if (patternSegments.length !== segments.length) continue;
+
+      const params = {};
+      const matches = patternSegments.every((segment, index) => {
+        if (segment.startsWith(':')) {
+          params[segment.slice(1)] = decodeURIComponent(segments[index]);
+          return true;
+        }
+        return segment === segments[index];
+      });
+      if (matches) return { handler, params };
+    }
+    return null;
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const baseUrl = `http://${req.headers.host}`;
+    const url = new URL(req.url, baseUrl);
+    // The app calls some endpoints under /api/v1; serve both forms
+    const pathname = url.pathname.replace(/^\/api\/v1(?=\/|$)/, '') || '/';
+    const send = (status, body) => sendJson(req, res, status, body);
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, {
+        'Access-Control-Allow-Origin': req.headers.origin || '*',
+        'Access-Control-Allow-Credentials': 'true',
+        'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+        'Access-Control-Allow-Headers': req.headers['access-control-request-headers'] || '*',
+      });
+      res.end();
+      return;
+    }
+
+    try {
+      // Control endpoints for tests
+      if (pathname === '/__mock/scenario') {
+        if (req.method === 'POST') {
+          const body = await readJson(req);
+          if (!SCENARIOS.includes(body.scenario)) {
+            send(422, { detail: `Unknown scenario, use one of ${SCENARIOS.join(', ')}` });
+            return;
+          }
+          state.scenario = body.scenario;
+          log(`🎬 Scenario: ${state.scenario}`);
+        }
+        send(200, { scenario: state.scenario, scenarios: SCENARIOS });
+        return;
+      }
+      if (pathname === '/__mock/reset' && req.method === 'POST') {
+        reset();
+        state.scenario = scenario;
+        send(200, { scenario: state.scenario });
+        return;
+      }
+      if (pathname === '/__mock/events' && req.method === 'POST') {
+        // Simulates another user adding or deleting an image
+        const body = await readJson(req);
+        const backend = body.backend || BACKENDS[0].id;
+        if (!state.images.has(backend)) {
+          send(404, { detail: `Unknown backend ${backend}` });
+          return;
+        }
+        if (body.type === 'image_added') {
+          const name = body.name || `live-${state.lastEventId + 1}.png`;
+          const image = addImage(backend, {
+            name,
+            data: createPng(96, colorFor(`${backend}-${name}`)),
+            labels: body.labels || ['Mock', 'Live'],
+          });
+          emitEvent('image_added', backend, { image });
+          send(200, { image: withUrl(image, baseUrl) });
+          return;
+        }
+        if (body.type === 'image_deleted') {
+          const images = state.images.get(backend);
+          const index = body.id ? images.findIndex(image => image.id === body.id) : images.length - 1;
+          if (index === -1) {
+            send(404, { detail: `Image ${body.id} not found in ${backend}` });
+            return;
+          }
+          const [removed] = images.splice(index, 1);
+          state.files.delete(removed.id);
+          emitEvent('image_deleted', backend, { id: removed.id });
+          send(200, { id: removed.id });
+          return;
+        }
+        send(422, { detail: 'Unknown event type, use image_added or image_deleted' });
+        return;
+      }
+      if (pathname === '/__mock/events/disconnect' && req.method === 'POST') {
+        const count = state.eventClients.size;
+        disconnectEventClients();
+        send(200, { disconnected: count });
+        return;
+      }
+
+      const activeScenario = SCENARIOS.includes(req.headers['x-mock-scenario'])
+        ? req.headers['x-mock-scenario']
+        : state.scenario;
+      const isFileRequest = pathname.startsWith('/files/');
+      if (!isFileRequest && await applyScenario(req, res, activeScenario)) return;
+
+      const match = matchRoute(req.method, pathname);
+      if (!match) {
+        send(404, { detail: `Mock: no route for ${req.method} ${pathname}` });
+        return;
+      }
+
+      const backend = url.searchParams.get('backend') || BACKENDS[0].id;
+      if (!state.images.has(backend)) {
+        send(404, { detail: `Unknown backend ${backend}` });
+        return;
+      }
+
+      log(`${req.method} ${pathname}${url.search} [${activeScenario}]`);
+      await match.handler({
+        req,
+        res,
+        send,
+        params: match.params,
+        query: url.searchParams,
+        backend,
+        activeScenario,
+        baseUrl,
+      });
+    } catch (error) {
+      console.error('Mock API error:', error);
+      if (!res.headersSent) send(500, { detail: error.message });
+    }
+  });
+
+  reset();
+  server.mock = {
+    state,
+    reset,
+    setScenario: (next) => {
+      state.scenario = next;
+    },
+    disconnectEventClients,
+  };
+  return server;
+};
+
+// ----------------------------------------------------------------------------
+// CLI
+// ----------------------------------------------------------------------------
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const args = process.argv.slice(2);
+  const getArg = (name, fallback) => {
+    const index = args.indexOf(`--${name}`);
+    return index >= 0 ? args[index + 1] : fallback;
+  };
+
+  const port = Number(getArg('port', process.env.MOCK_API_PORT || 8000));
+  const scenario = getArg('scenario', process.env.MOCK_SCENARIO || 'normal');
+  if (!SCENARIOS.includes(scenario)) {
+    console.error(`Unknown scenario "${scenario}", use one of ${SCENARIOS.join(', ')}`);
+    process.exit(1);
+  }
+
+  const server = createMockApiServer({
+    scenario,
+    latency: Number(getArg('latency', 1500)),
+    dropRate: Number(getArg('drop-rate', 0)),
+    maxChatBytes: Number(getArg('max-chat-mb', 20)) * 1024 * 1024,
+  });
+  server.listen(port, () => {
+    console.log(`🧪 Mock API listening on http://localhost:${port} (scenario: ${scenario})`);
+  });
+}
@@ -1,18 +1,29 @@
 import React from "react";
-import { Route, Routes } from "react-router-dom";
+import { Route, Routes, useLocation } from "react-router-dom";
 import { datadogRum } from '@datadog/browser-rum';
 import { datadogLogs } from '@datadog/browser-logs';
 import datadogRumInterceptor from '@kyletaylored/datadog-rum-interceptor';
 
 //Import Components
 import About from "./components/About";
-import { EnvProvider } from "./components/Context";
+import { AuthProvider, BackendHealthProvider, BackendRegistryProvider, EnvProvider, GalleryViewProvider } from "./components/Context";
 import Error from "./components/Error";
 import Home from "./components/Home";
 import Navigation from "./components/Navigation";
 import Form from "./components/Form";
 import RumViewTracker from "./components/RumViewTracker";
 import KafkaDemo from "./components/KafkaDemo";
+import Lightbox from "./components/Lightbox";
+import Trash from "./components/Trash";
+import BackendMigration from "./components/BackendMigration";
+import BackendComparison from "./components/BackendComparison";
+import AppToaster from "./components/AppToaster";
+import UpdatePrompt from "./components/UpdatePrompt";
+import LoginModal from "./components/LoginModal";
+import AuthCallback from "./components/AuthCallback";
+import { AUTH_CALLBACK_PATH } from "./utils/authSession";
+import { IMAGE_CONTEXT, USER_IMAGE_PREFERENCES } from "./utils/imageConfig";
+import { API_BASE_URL } from "./utils/apiClient";
 
 const applicationId = import.meta.env.VITE_DATADOG_APPLICATION_ID;
 const clientToken = import.meta.env.VITE_DATADOG_CLIENT_TOKEN;
@@ -22,7 +33,7 @@ const env = import.meta.env.VITE_ENVIRONMENT;
 const release = import.meta.env.VITE_RELEASE;
 
 // Define which paths should start a new RUM view
-const RUM_VIEW_PATHS = ['/', '/about', '/error', '/kafka'];
+const RUM_VIEW_PATHS = ['/', '/about', '/error', '/kafka', '/trash', '/migrate', '/compare', '/image/:id'];
 
 // Initialize the interceptor correctly
 const DRI = datadogRumInterceptor.init({ debug: true });
@@ -44,6 +55,8 @@ datadogRum.init({
   forwardErrorsToLogs: true,
   allowedTracingUrls: [
     "https://api-images.quickstark.com",
+    // Staging and local APIs configured through VITE_API_URL
+    (url) => url.startsWith(API_BASE_URL),
     (url) => url.startsWith("http://localhost")
   ],
   beforeSend: (event, context) => {
@@ -73,24 +86,10 @@ datadogLogs.init({
 datadogRum.addAction('test_action', { test: 'data' });
 
 // Add global context with image information for testing
-datadogRum.setGlobalContextProperty('imageContext', {
-  source: 'quickstark-vite-images',
-  formats: ['jpg', 'png', 'webp'],
-  processingEnabled: true,
-  maxUploadSize: 5242880, // 5MB in bytes
-  compressionLevel: 'medium',
-  cdnEnabled: true
-});
+datadogRum.setGlobalContextProperty('imageContext', IMAGE_CONTEXT);
 
 // Add another contextual information about user preferences
-datadogRum.setGlobalContextProperty('userImagePreferences', {
-  defaultFormat: 'webp',
-  autoOptimize: true,
-  preferredDimensions: {
-    width: 1200,
-    height: 800
-  }
-});
+datadogRum.setGlobalContextProperty('userImagePreferences', USER_IMAGE_PREFERENCES);
 
 datadogRum.setGlobalContextProperty('xom_app_id', '40712');
 datadogRum.setGlobalContextProperty('xom_app_name', 'snowflakeanalyticsplatform');
@@ -106,20 +105,43 @@ datadogLogs.logger.info('Custom image context added to RUM', {
 });
 
 function App() {
+  const location = useLocation();
+  // When the lightbox is opened from the gallery, keep the gallery rendered underneath
+  const backgroundLocation = location.state?.backgroundLocation;
+
   return (
-    <>
-      <EnvProvider>
-        <Navigation />
-        <RumViewTracker allowedViewPaths={RUM_VIEW_PATHS} />
-        <Routes>
-          <Route path="/" element={<Home />}></Route>
-          <Route path="/about" element={<About />}></Route>
-          <Route path="/error" element={<Error />}></Route>
-          <Route path="/form" element={<Form />}></Route>
-          <Route path="/kafka" element={<KafkaDemo />}></Route>
-        </Routes>
-      </EnvProvider>
-    </>
+    <AuthProvider>
+      <BackendRegistryProvider>
+        <BackendHealthProvider>
+          <EnvProvider>
+            <GalleryViewProvider>
+              <Navigation />
+              <RumViewTracker allowedViewPaths={RUM_VIEW_PATHS} />
+              <Routes location={backgroundLocation || location}>
+                <Route path="/" element={<Home />}></Route>
+                <Route path="/about" element={<About />}></Route>
+                <Route path="/error" element={<Error />}></Route>
+                <Route path="/form" element={<Form />}></Route>
+                <Route path="/kafka" element={<KafkaDemo />}></Route>
+                <Route path="/trash" element={<Trash />}></Route>
+                <Route path="/migrate" element={<BackendMigration />}></Route>
+                <Route path="/compare" element={<BackendComparison />}></Route>
+                <Route path={AUTH_CALLBACK_PATH} element={<AuthCallback />}></Route>
+                <Route path="/image/:id" element={<Lightbox />}></Route>
+              </Routes>
+              {backgroundLocation && (
+                <Routes>
+                  <Route path="/image/:id" element={<Lightbox />}></Route>
+                </Routes>
+              )}
+              <AppToaster />
+              <UpdatePrompt />
+              <LoginModal />
+            </GalleryViewProvider>
+          </EnvProvider>
+        </BackendHealthProvider>
+      </BackendRegistryProvider>
+    </AuthProvider>
   );
 }
 
@@ -0,0 +1,60 @@
+import apiClient, { API_V1_PREFIX } from '../utils/apiClient';
+import { readChatStream } from '../utils/chatStream';
+
+// Image generation regularly takes longer than the default client timeout
+export const CHAT_TIMEOUT_MS = 120000;
+
+// Largest request body the API (and the proxies in front of it) accept; Gemini caps inline requests at 20 MB
+export const CHAT_MAX_REQUEST_BYTES = (Number(import.meta.env.VITE_CHAT_MAX_REQUEST_MB) || 20) * 1024 * 1024;
+
+/**
+ * Sends a conversation to the Gemini image editing endpoint
+ * @param {Object} request - Request body
+ * @param {string} request.model - Model id
+ * @param {string} request.size - Output size
+ * @param {Object[]} request.messages - [{ role, parts: [{ text } | { image_base64, mime_type }] }]
+ * @param {Object} [options] - Extra axios options (signal, timeout)
+ * @returns {Promise<Object>} Axios response; body is { model, size, prompt } plus parts, images or
+ *   a single image_base64/mime_type (see utils/chatResponse.js)
+ */
+export const editImage = ({ model, size, messages }, options = {}) =>
+  apiClient.post(`${API_V1_PREFIX}/gemini-edit-image`, { model, size, messages }, {
+    timeout: CHAT_TIMEOUT_MS,
+    ...options,
+  });
+
+/**
+ * Streaming variant of editImage
+ * Asks for progress and interim text as SSE or NDJSON (see utils/chatStream.js)
+ * and resolves with the same body editImage returns. APIs that don't stream
+ * answer with plain JSON, which is used as-is.
+ * @param {Object} request - Same as editImage
+ * @param {Object} [options] - Extra axios options (signal, timeout)
+ * @param {Function} [options.onEvent] - Called with each progress/text event
+ * @returns {Promise<Object>} Response body
+ */
+export const editImageStream = async ({ model, size, messages }, { onEvent = () => {}, ...options } = {}) => {
+  let res;
+  try {
+    res = await apiClient.post(`${API_V1_PREFIX}/gemini-edit-image`, { model, size, messages, stream: true }, {
+      timeout: CHAT_TIMEOUT_MS,
+      ...options,
+      adapter: 'fetch', // The XHR adapter can't hand over the body as it arrives
+      responseType: 'stream',
+      headers: { Accept: 'text/event-stream, application/x-ndjson, application/json' },
+    });
+  } catch (error) {
+    // Error bodies arrive as streams too; surface the API's reason like the client does for JSON
+    if (error.response?.data instanceof ReadableStream) {
+      const body = await new Response(error.response.data).json().catch(() => null);
+      if (typeof body?.detail === 'string') error.message = body.detail;
+    }
+    throw error;
+  }
+
+  const contentType = String(res.headers['content-type'] || '');
+  if (contentType.includes('text/event-stream') || contentType.includes('application/x-ndjson')) {
+    return readChatStream(res.data, contentType, onEvent);
+  }
+  return new Response(res.data).json();
+};
@@ -0,0 +1,78 @@
+import apiClient from '../utils/apiClient';
+import { invalidateQueries } from '../utils/queryCache';
+
+/**
+ * Image endpoints
+ * Every call takes the backend explicitly; `options` are passed through to
+ * axios (signal, timeout, onUploadProgress, ...). Successful writes mark the
+ * backend's cached image lists stale.
+ */
+
+/**
+ * Query cache scope for a backend's image lists
+ * @param {string} backend - Backend id
+ * @returns {string} Scope for buildQueryKey / invalidateQueries
+ */
+export const imageListScope = (backend) => `images:${backend}`;
+
+/**
+ * Marks a backend's cached lists stale after a successful write
+ * @param {string} backend - Backend id
+ * @returns {Function} Response passthrough
+ */
+const invalidateAfter = (backend) => (res) => {
+  invalidateQueries(imageListScope(backend));
+  return res;
+};
+
+/**
+ * Lists images of a backend
+ * @param {string} backend - Backend id
+ * @param {Object} [params] - Query parameters (limit, offset, cursor, q, labels, match, sort)
+ * @param {Object} [options] - Extra axios options
+ * @returns {Promise<Object>} Axios response; body is { items, next_cursor } or a bare array
+ */
+export const listImages = (backend, params = {}, options = {}) =>
+  apiClient.get('/images', { ...options, params: { backend, ...params } });
+
+/**
+ * Fetches a single image's metadata
+ * @param {string} backend - Backend id
+ * @param {string|number} id - Image id
+ * @param {Object} [options] - Extra axios options
+ * @returns {Promise<Object>} Axios response; body is the image record
+ */
+export const getImage = (backend, id, options = {}) =>
+  apiClient.get(`/images/${encodeURIComponent(id)}`, { ...options, params: { backend } });
+
+/**
+ * Uploads an image
+ * @param {string} backend - Backend id
+ * @param {FormData} formdata - Form data with a `file` field (plus optional ai_labels/ai_text)
+ * @param {Object} [options] - Extra axios options
+ * @returns {Promise<Object>} Axios response; body.message mentions "questionable" when rejected
+ */
+export const uploadImage = (backend, formdata, options = {}) =>
+  apiClient.post('/add_image', formdata, {
+    ...options,
+    params: { backend },
+    headers: { "Content-Type": "multipart/form-data" },
+  }).then(invalidateAfter(backend));
+
+/**
+ * Deletes an image
+ * Sent with fetch `keepalive` so a delete committed as the tab closes (see
+ * hooks/useDeferredDelete.js) still reaches the API.
+ * @param {string} backend - Backend id
+ * @param {string|number} id - Image id
+ * @param {Object} [options] - Extra axios options
+ * @returns {Promise<Object>} Axios response
+ */
+export const deleteImage = (backend, id, options = {}) =>
+  apiClient.delete(`/delete_image/${id}`, {
+    adapter: 'fetch',
+    fetchOptions: { keepalive: true },
+    ...options,
+    params: { backend },
+  })
+    .then(invalidateAfter(backend));
@@ -0,0 +1,40 @@
+import apiClient, { API_V1_PREFIX } from '../utils/apiClient';
+
+const KAFKA_DEMO_PATH = `${API_V1_PREFIX}/kafka-demo`;
+
+/**
+ * Kafka demo endpoints
+ * Each returns the axios response; the body is the demo status
+ * ({ running, run_id, metrics, fault }).
+ */
+
+/**
+ * Fetches the current demo status
+ * @param {Object} [options] - Extra axios options
+ * @returns {Promise<Object>} Axios response
+ */
+export const getKafkaStatus = (options = {}) =>
+  apiClient.get(`${KAFKA_DEMO_PATH}/status`, options);
+
+/**
+ * Starts a demo run
+ * @param {Object} config - { rate_per_sec, scenario, topic_prefix, fault }
+ * @returns {Promise<Object>} Axios response
+ */
+export const startKafkaDemo = (config) =>
+  apiClient.post(`${KAFKA_DEMO_PATH}/start`, config);
+
+/**
+ * Stops the running demo
+ * @returns {Promise<Object>} Axios response
+ */
+export const stopKafkaDemo = () =>
+  apiClient.post(`${KAFKA_DEMO_PATH}/stop`);
+
+/**
+ * Updates the injected faults of the running demo
+ * @param {Object} fault - { latency_ms, drop_probability, duplicate_ratio, slow_consumer_ms }
+ * @returns {Promise<Object>} Axios response
+ */
+export const updateKafkaFaults = (fault) =>
+  apiClient.post(`${KAFKA_DEMO_PATH}/fault`, { fault });
@@ -0,0 +1,9 @@
+import apiClient from '../utils/apiClient';
+
+/**
+ * Creates a post
+ * @param {Object} post - { title, body, userId }
+ * @returns {Promise<Object>} Axios response
+ */
+export const createPost = (post) =>
+  apiClient.post('/create_post', post);
@@ -0,0 +1,42 @@
+import React from "react";
+import {
+  Portal,
+  Spinner,
+  Stack,
+  Toast,
+  Toaster,
+} from "@chakra-ui/react";
+import { toaster } from "../hooks/useAppToaster";
+
+/**
+ * Renders toasts created through useAppToaster
+ * Mounted once at the app root; supports an optional action button
+ * (e.g. "Undo") passed as `action: { label, onClick }`.
+ */
+export default function AppToaster() {
+  return (
+    <Portal>
+      <Toaster toaster={toaster} insetInline={{ mdDown: "4" }}>
+        {(toast) => (
+          <Toast.Root width={{ md: "sm" }}>
+            {toast.type === "loading" ? (
+              <Spinner size="sm" color="purple.400" />
+            ) : (
+              <Toast.Indicator />
+            )}
+            <Stack gap="1" flex="1" maxWidth="100%">
+              {toast.title && <Toast.Title>{toast.title}</Toast.Title>}
+              {toast.description && (
+                <Toast.Description>{toast.description}</Toast.Description>
+              )}
+            </Stack>
+            {toast.action && (
+              <Toast.ActionTrigger>{toast.action.label}</Toast.ActionTrigger>
+            )}
+            <Toast.CloseTrigger />
+          </Toast.Root>
+        )}
+      </Toaster>
+    </Portal>
+  );
+}
@@ -0,0 +1,31 @@
+import React, { useEffect } from "react";
+import { Center, Spinner, Text, VStack } from "@chakra-ui/react";
+import { useNavigate } from "react-router-dom";
+import { AUTH_COMPLETE_MESSAGE } from "../utils/authSession";
+
+/**
+ * Landing page for the login popup (AUTH_CALLBACK_PATH)
+ * Tells the opener that login finished and closes itself. Opened directly
+ * (no opener), it just goes back to the gallery.
+ */
+export default function AuthCallback() {
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    if (window.opener && !window.opener.closed) {
+      window.opener.postMessage({ type: AUTH_COMPLETE_MESSAGE }, window.location.origin);
+      window.close();
+    } else {
+      navigate("/", { replace: true });
+    }
+  }, [navigate]);
+
+  return (
+    <Center minH="50vh">
+      <VStack spacing={3}>
+        <Spinner color="purple.300" />
+        <Text color="gray.400">Signing you in…</Text>
+      </VStack>
+    </Center>
+  );
+}
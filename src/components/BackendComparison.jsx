@@ -0,0 +1,232 @@
+import React, { useEffect, useRef, useState } from "react";
+import {
+  Badge,
+  Box,
+  Button,
+  Container,
+  Flex,
+  Heading,
+  HStack,
+  Image,
+  NativeSelect,
+  SimpleGrid,
+  Stat,
+  Text,
+  VStack,
+} from "@chakra-ui/react";
+import { FiPlay, FiSquare } from "react-icons/fi";
+import { datadogRum } from '@datadog/browser-rum';
+
+import LatencyChart from "./LatencyChart";
+import { useBackendRegistry } from "./Context";
+import { measureImagesRequest, summarizeRuns } from "../utils/backendMetrics";
+import { formatBytes } from "../utils/imageCompression";
+import { getImageKey } from "../hooks/usePaginatedImages";
+
+const RUN_COUNT_OPTIONS = [1, 5, 10, 20];
+const PAGE_SIZE = 24;
+const RUN_INTERVAL_MS = 500;
+
+/**
+ * Stats and latest result for one backend
+ * @param {Object} props - Component props
+ * @param {Object} props.backend - Backend ({ id, label, color })
+ * @param {Object[]} props.runs - Measurements for this backend
+ */
+function BackendColumn({ backend, runs }) {
+  const summary = summarizeRuns(runs);
+  const last = runs[runs.length - 1];
+
+  return (
+    <VStack align="stretch" spacing={4} bg="gray.800" p={4} borderRadius="xl" borderTop="4px solid" borderColor={backend.color}>
+      <Flex justify="space-between" align="center">
+        <Heading size="md">{backend.label}</Heading>
+        {last && (
+          <Badge colorPalette={last.status === 'success' ? 'green' : 'red'}>
+            {last.status === 'success' ? 'OK' : last.error}
+          </Badge>
+        )}
+      </Flex>
+
+      <SimpleGrid columns={3} gap={3}>
+        <Stat.Root>
+          <Stat.Label>Avg latency</Stat.Label>
+          <Stat.ValueText>{Math.round(summary.avgLatencyMs)} ms</Stat.ValueText>
+          <Stat.HelpText>p95 {Math.round(summary.p95LatencyMs)} ms</Stat.HelpText>
+        </Stat.Root>
+        <Stat.Root>
+          <Stat.Label>Payload</Stat.Label>
+          <Stat.ValueText>{formatBytes(summary.lastBytes)}</Stat.ValueText>
+          <Stat.HelpText>last run</Stat.HelpText>
+        </Stat.Root>
+        <Stat.Root>
+          <Stat.Label>Items</Stat.Label>
+          <Stat.ValueText>{summary.lastCount}</Stat.ValueText>
+          <Stat.HelpText>{summary.runs} runs, {summary.errors} errors</Stat.HelpText>
+        </Stat.Root>
+      </SimpleGrid>
+
+      <SimpleGrid columns={{ base: 3, md: 4 }} gap={2}>
+        {(last?.images || []).map(image => (
+          <Image
+            key={getImageKey(image)}
+            src={image.url}
+            alt={image.name}
+            title={image.name}
+            h="80px"
+            w="100%"
+            objectFit="cover"
+            borderRadius="md"
+          />
+        ))}
+      </SimpleGrid>
+    </VStack>
+  );
+}
+
+/**
+ * BackendComparison - Side-by-side backend performance view
+ *
+ * Queries /images on every registered backend in parallel for a number of
+ * runs and shows latency, payload size and item count per backend, with a
+ * latency chart. Each measurement is also sent to Datadog RUM as a custom action.
+ *
+ * @component
+ * @returns {JSX.Element} Comparison view
+ */
+export default function BackendComparison() {
+  const [runCount, setRunCount] = useState(5);
+  const { backends } = useBackendRegistry();
+  const [runsByBackend, setRunsByBackend] = useState({});
+  const [progress, setProgress] = useState(null);
+  const abortRef = useRef(null);
+
+  useEffect(() => () => abortRef.current?.abort(), []);
+
+  /**
+   * Runs the comparison runCount times, querying all backends in parallel each run
+   */
+  const startRuns = async () => {
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setRunsByBackend({});
+    setProgress({ done: 0, total: runCount });
+
+    const allResults = [];
+    try {
+      for (let run = 0; run < runCount; run++) {
+        if (run > 0) await new Promise(resolve => setTimeout(resolve, RUN_INTERVAL_MS));
+        if (controller.signal.aborted) break;
+
+        const results = await Promise.all(
+          backends.map(backend => measureImagesRequest(backend.id, { limit: PAGE_SIZE, signal: controller.signal }))
+        );
+        results.forEach(result => {
+          datadogRum.addAction('backend_comparison_run', {
+            backend: result.backend,
+            run: run + 1,
+            latencyMs: Math.round(result.latencyMs),
+            payloadBytes: result.bytes,
+            itemCount: result.count,
+            status: result.status,
+          });
+        });
+        allResults.push(...results);
+
+        setRunsByBackend(prev => {
+          const next = { ...prev };
+          results.forEach(result => {
+            next[result.backend] = [...(next[result.backend] || []), result];
+          });
+          return next;
+        });
+        setProgress({ done: run + 1, total: runCount });
+      }
+    } catch (error) {
+      // Aborted mid-request; keep the runs completed so far
+      if (!controller.signal.aborted) throw error;
+    } finally {
+      setProgress(null);
+    }
+
+    backends.forEach(backend => {
+      const summary = summarizeRuns(allResults.filter(result => result.backend === backend.id));
+      datadogRum.addAction('backend_comparison_completed', {
+        backend: backend.id,
+        runs: summary.runs,
+        errors: summary.errors,
+        avgLatencyMs: Math.round(summary.avgLatencyMs),
+        p95LatencyMs: Math.round(summary.p95LatencyMs),
+        payloadBytes: summary.lastBytes,
+        itemCount: summary.lastCount,
+      });
+    });
+  };
+
+  const stopRuns = () => {
+    abortRef.current?.abort();
+  };
+
+  const chartSeries = backends.map(backend => ({
+    id: backend.id,
+    label: backend.label,
+    color: backend.color,
+    values: (runsByBackend[backend.id] || [])
+      .filter(run => run.status === 'success')
+      .map(run => run.latencyMs),
+  }));
+
+  return (
+    <Container maxW="container.xl" py={8}>
+      <VStack spacing={6} align="stretch">
+        <Flex justify="space-between" align="center" bg="gray.800" p={6} borderRadius="xl" gap={4} wrap="wrap">
+          <Box>
+            <Heading size="lg" color="white" mb={1}>Backend Comparison</Heading>
+            <Text fontSize="sm" color="gray.400">
+              Queries /images on {backends.map(backend => backend.label).join(" and ")} in parallel and compares the results.
+            </Text>
+          </Box>
+          <HStack spacing={2}>
+            <NativeSelect.Root size="sm" width="auto">
+              <NativeSelect.Field
+                aria-label="Number of runs"
+                value={runCount}
+                onChange={(e) => setRunCount(Number(e.target.value))}
+                disabled={Boolean(progress)}
+                bg="gray.900"
+                borderColor="gray.600"
+              >
+                {RUN_COUNT_OPTIONS.map(count => (
+                  <option key={count} value={count}>{count} run{count > 1 ? "s" : ""}</option>
+                ))}
+              </NativeSelect.Field>
+              <NativeSelect.Indicator />
+            </NativeSelect.Root>
+            {progress ? (
+              <Button size="sm" colorPalette="red" variant="outline" onClick={stopRuns}>
+                <FiSquare style={{ marginRight: '6px' }} />
+                Stop ({progress.done}/{progress.total})
+              </Button>
+            ) : (
+              <Button size="sm" colorPalette="purple" onClick={startRuns}>
+                <FiPlay style={{ marginRight: '6px' }} />
+                Run
+              </Button>
+            )}
+          </HStack>
+        </Flex>
+
+        <Box bg="gray.800" p={4} borderRadius="xl">
+          <Text fontSize="sm" color="gray.400" mb={2}>Latency per run (ms)</Text>
+          <LatencyChart series={chartSeries} />
+        </Box>
+
+        <SimpleGrid columns={{ base: 1, md: backends.length }} gap={6}>
+          {backends.map(backend => (
+            <BackendColumn key={backend.id} backend={backend} runs={runsByBackend[backend.id] || []} />
+          ))}
+        </SimpleGrid>
+      </VStack>
+    </Container>
+  );
+}
@@ -0,0 +1,344 @@
+import React, { useEffect, useRef, useState } from "react";
+import {
+  Badge,
+  Box,
+  Button,
+  Center,
+  Container,
+  Flex,
+  Heading,
+  HStack,
+  Image,
+  NativeSelect,
+  Progress,
+  SimpleGrid,
+  Spinner,
+  Text,
+  VStack,
+} from "@chakra-ui/react";
+import { FiArrowLeft, FiArrowRight, FiCheckSquare, FiRefreshCw, FiSquare } from "react-icons/fi";
+import { datadogRum } from '@datadog/browser-rum';
+
+import { useAppToaster } from "../hooks/useAppToaster";
+import { getImageKey } from "../hooks/usePaginatedImages";
+import { copyImageToBackend } from "../utils/imageTransfer";
+import { diffImageLists, fetchAllImages, hashImages, MAX_LISTED_IMAGES } from "../utils/backendSync";
+import { useBackendRegistry } from "./Context";
+
+/**
+ * Column listing images that exist on one backend only
+ * @param {Object} props - Component props
+ * @param {Object} props.backend - Backend the images live on ({ id, label })
+ * @param {Object} props.target - Backend they can be copied to
+ * @param {string} props.direction - 'right' or 'left', the side the target is on
+ * @param {Object[]} props.images - Images missing from the target
+ * @param {Set<string>} props.selected - Selected image keys
+ * @param {Function} props.onToggle - Toggles one image
+ * @param {Function} props.onCopy - Copies a list of images to the target
+ * @param {boolean} props.disabled - Disables the copy actions
+ */
+function MissingImagesColumn({ backend, target, direction, images, selected, onToggle, onCopy, disabled }) {
+  const getKey = (image) => `${backend.id}:${getImageKey(image)}`;
+  const selectedImages = images.filter(image => selected.has(getKey(image)));
+  const Arrow = direction === 'right' ? FiArrowRight : FiArrowLeft;
+
+  return (
+    <VStack align="stretch" spacing={3} bg="gray.800" p={4} borderRadius="xl">
+      <Flex justify="space-between" align="center">
+        <Heading size="sm">Only in {backend.label}</Heading>
+        <Badge colorPalette={images.length ? "orange" : "green"}>{images.length}</Badge>
+      </Flex>
+      <HStack spacing={2}>
+        <Button
+          size="xs"
+          colorPalette="purple"
+          onClick={() => onCopy(selectedImages)}
+          disabled={disabled || selectedImages.length === 0}
+        >
+          Copy {selectedImages.length || ""} selected to {target.label}
+          <Arrow style={{ marginLeft: '4px' }} />
+        </Button>
+        <Button
+          size="xs"
+          variant="outline"
+          colorPalette="purple"
+          onClick={() => onCopy(images)}
+          disabled={disabled || images.length === 0}
+        >
+          Copy all
+        </Button>
+      </HStack>
+      {images.length === 0 ? (
+        <Text fontSize="sm" color="gray.500">Nothing missing from {target.label}</Text>
+      ) : (
+        <VStack align="stretch" spacing={1} maxH="480px" overflowY="auto">
+          {images.map(image => {
+            const key = getKey(image);
+            const isSelected = selected.has(key);
+            return (
+              <HStack
+                key={key}
+                as="button"
+                type="button"
+                onClick={() => onToggle(key)}
+                spacing={3}
+                p={2}
+                borderRadius="md"
+                bg={isSelected ? "purple.900" : "transparent"}
+                _hover={{ bg: "gray.700" }}
+                textAlign="left"
+              >
+                {isSelected ? <FiCheckSquare /> : <FiSquare />}
+                <Image src={image.url} alt={image.name} boxSize="40px" objectFit="cover" borderRadius="sm" />
+                <Box flex="1" minW={0}>
+                  <Text fontSize="sm" truncate>{image.name}</Text>
+                  <Text fontSize="xs" color="gray.400" truncate>
+                    {image.ai_labels?.length || 0} labels · {image.ai_text?.length || 0} text
+                  </Text>
+                </Box>
+              </HStack>
+            );
+          })}
+        </VStack>
+      )}
+    </VStack>
+  );
+}
+
+/**
+ * BackendMigration - Diff and sync the galleries of two backends
+ *
+ * Loads both image lists (MongoDB and PostgreSQL by default), matches them by name (and optionally by content
+ * hash) and copies images missing on one side to the other, carrying their
+ * ai_labels / ai_text along.
+ *
+ * @component
+ * @returns {JSX.Element} Migration tool view
+ */
+export default function BackendMigration() {
+  const { backends, getBackend } = useBackendRegistry();
+  const [pair, setPair] = useState(() => ({ left: backends[0]?.id, right: backends[1]?.id }));
+  const [lists, setLists] = useState(null);
+  const [hashes, setHashes] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [hashProgress, setHashProgress] = useState(null);
+  const [copyProgress, setCopyProgress] = useState(null);
+  const [selected, setSelected] = useState(() => new Set());
+  const [reloadCount, setReloadCount] = useState(0);
+  const abortRef = useRef(null);
+  const toaster = useAppToaster();
+
+  // Fall back to the first two backends if the registry changed underneath the selection
+  const left = getBackend(pair.left) || backends[0];
+  const right = getBackend(pair.right) || backends.find(backend => backend.id !== left?.id);
+
+  // Reload both lists on mount, when the pair changes or reloadCount is bumped; clears any hash comparison
+  useEffect(() => {
+    if (!left || !right || left.id === right.id) {
+      setLists(null);
+      return undefined;
+    }
+
+    const controller = new AbortController();
+    abortRef.current = controller;
+
+    setIsLoading(true);
+    setHashes(null);
+    setSelected(new Set());
+    Promise.all([left, right].map(backend => fetchAllImages(backend.id, { signal: controller.signal })))
+      .then(([leftList, rightList]) => {
+        // A partial list would show images as missing and copy duplicates
+        const truncated = [[left, leftList], [right, rightList]].find(([, list]) => list.truncated);
+        if (truncated) {
+          datadogRum.addAction('backend_diff_truncated', { backend: truncated[0].id, limit: MAX_LISTED_IMAGES });
+          throw new Error(`${truncated[0].label} has more than ${MAX_LISTED_IMAGES} images, too many to compare here.`);
+        }
+        setLists({ [left.id]: leftList.images, [right.id]: rightList.images });
+      })
+      .catch(error => {
+        if (controller.signal.aborted) return;
+        setLists(null);
+        console.error('Failed to load backend image lists:', error);
+        toaster.error("Comparison Failed", error.response?.data?.message || error.message);
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setIsLoading(false);
+      });
+
+    return () => controller.abort();
+  }, [reloadCount, left?.id, right?.id]);
+
+  /**
+   * Downloads every image on both sides to match them by content
+   */
+  const compareByContent = async () => {
+    const controller = new AbortController();
+    abortRef.current = controller;
+    const allImages = [...lists[left.id], ...lists[right.id]];
+
+    setHashProgress({ done: 0, total: allImages.length });
+    try {
+      const result = await hashImages(allImages, {
+        signal: controller.signal,
+        onProgress: (done, total) => setHashProgress({ done, total }),
+      });
+      setHashes(result);
+      datadogRum.addAction('backend_diff_hashed', { count: allImages.length, hashed: result.size });
+    } catch (error) {
+      if (!controller.signal.aborted) {
+        toaster.error("Content Comparison Failed", error.message);
+      }
+    } finally {
+      setHashProgress(null);
+    }
+  };
+
+  const toggle = (key) => {
+    setSelected(prev => {
+      const next = new Set(prev);
+      if (next.has(key)) next.delete(key);
+      else next.add(key);
+      return next;
+    });
+  };
+
+  /**
+   * Copies images from one backend to the other, then refreshes the diff
+   * @param {Object[]} images - Images to copy
+   * @param {Object} source - Backend they come from
+   * @param {Object} target - Backend to copy into
+   */
+  const copyImages = async (images, source, target) => {
+    setCopyProgress({ done: 0, total: images.length, target: target.label });
+    datadogRum.addAction('backend_migration_started', { source: source.id, target: target.id, count: images.length });
+
+    const failures = [];
+    for (const image of images) {
+      try {
+        await copyImageToBackend(image, target.id);
+      } catch (error) {
+        failures.push({ name: image.name, message: error.response?.data?.message || error.message });
+      }
+      setCopyProgress(prev => ({ ...prev, done: prev.done + 1 }));
+    }
+
+    datadogRum.addAction('backend_migration_completed', {
+      source: source.id,
+      target: target.id,
+      count: images.length,
+      failed: failures.length,
+    });
+    setCopyProgress(null);
+
+    if (failures.length === 0) {
+      toaster.success("Copy Complete", `Copied ${images.length} image(s) to ${target.label}.`);
+    } else {
+      toaster.error(
+        "Some Copies Failed",
+        `${failures.length} of ${images.length} failed: ${failures.map(failure => failure.name).join(", ")}`
+      );
+    }
+    setReloadCount(count => count + 1);
+  };
+
+  const diff = lists && left && right && lists[left.id] && lists[right.id] ? diffImageLists(lists[left.id], lists[right.id], hashes || undefined) : null;
+  const hashMatches = diff?.inBoth.filter(pair => pair.matchedBy === 'hash' && pair.source.name !== pair.target.name) || [];
+  const isBusy = isLoading || Boolean(hashProgress) || Boolean(copyProgress);
+  const progress = hashProgress || copyProgress;
+
+  return (
+    <Container maxW="container.xl" py={8}>
+      <VStack spacing={6} align="stretch">
+        <Flex justify="space-between" align="center" bg="gray.800" p={6} borderRadius="xl" gap={4} wrap="wrap">
+          <Box>
+            <Heading size="lg" color="white" mb={1}>Backend Migration</Heading>
+            <Text fontSize="sm" color="gray.400">
+              Compare two backends and copy missing images across, keeping their AI labels and text.
+            </Text>
+          </Box>
+          <HStack spacing={2}>
+            {['left', 'right'].map(side => (
+              <NativeSelect.Root key={side} size="sm" width="auto">
+                <NativeSelect.Field
+                  aria-label={side === 'left' ? "First backend" : "Second backend"}
+                  value={(side === 'left' ? left : right)?.id || ""}
+                  onChange={(e) => setPair({ left: left?.id, right: right?.id, [side]: e.target.value })}
+                  disabled={isBusy}
+                  bg="gray.900"
+                  borderColor="gray.600"
+                >
+                  {backends.map(backend => (
+                    <option key={backend.id} value={backend.id}>{backend.label}</option>
+                  ))}
+                </NativeSelect.Field>
+                <NativeSelect.Indicator />
+              </NativeSelect.Root>
+            ))}
+            <Button size="sm" variant="outline" onClick={compareByContent} disabled={!lists || isBusy || Boolean(hashes)}>
+              Compare by content
+            </Button>
+            <Button size="sm" colorPalette="purple" onClick={() => setReloadCount(count => count + 1)} disabled={isBusy}>
+              <FiRefreshCw style={{ marginRight: '6px' }} />
+              Refresh
+            </Button>
+          </HStack>
+        </Flex>
+
+        {progress && (
+          <Box>
+            <Text fontSize="sm" color="gray.400" mb={1}>
+              {hashProgress ? "Hashing images" : `Copying to ${copyProgress.target}`}: {progress.done}/{progress.total}
+            </Text>
+            <Progress.Root size="xs" value={(progress.done * 100) / Math.max(progress.total, 1)} colorPalette="purple">
+              <Progress.Track bg="gray.700">
+                <Progress.Range />
+              </Progress.Track>
+            </Progress.Root>
+          </Box>
+        )}
+
+        {!diff ? (
+          <Center py={12}>
+            {isLoading ? (
+              <Spinner color="purple.400" />
+            ) : (
+              <Text color="gray.500">
+                {left && right && left.id !== right.id ? "No data" : "Pick two different backends to compare"}
+              </Text>
+            )}
+          </Center>
+        ) : (
+          <>
+            <Text fontSize="sm" color="gray.400">
+              {diff.inBoth.length} image(s) exist on both backends
+              {hashes ? ` (matched by name or content)` : ` (matched by name)`}.
+              {hashMatches.length > 0 && ` ${hashMatches.length} are stored under different names.`}
+            </Text>
+            <SimpleGrid columns={{ base: 1, md: 2 }} gap={6}>
+              <MissingImagesColumn
+                backend={left}
+                target={right}
+                direction="right"
+                images={diff.onlySource}
+                selected={selected}
+                onToggle={toggle}
+                onCopy={(images) => copyImages(images, left, right)}
+                disabled={isBusy}
+              />
+              <MissingImagesColumn
+                backend={right}
+                target={left}
+                direction="left"
+                images={diff.onlyTarget}
+                selected={selected}
+                onToggle={toggle}
+                onCopy={(images) => copyImages(images, right, left)}
+                disabled={isBusy}
+              />
+            </SimpleGrid>
+          </>
+        )}
+      </VStack>
+    </Container>
+  );
+}
@@ -0,0 +1,124 @@
+import React from "react";
+import {
+  Box,
+  Button,
+  HStack,
+  Progress,
+  Stack,
+  Text,
+  VStack,
+} from "@chakra-ui/react";
+import { FiAlertTriangle, FiCopy, FiDownload, FiTrash2, FiX } from "react-icons/fi";
+
+// Display names for batch actions, used in progress and reports
+export const BATCH_ACTIONS = {
+  download: "Download",
+  send_error: "Send error",
+  copy: "Copy",
+};
+
+/**
+ * Toolbar for multi-select mode with a shared progress bar and result report
+ * @param {Object} props - Component props
+ * @param {number} props.selectedCount - Number of selected images
+ * @param {number} props.visibleCount - Number of images matching the current filters
+ * @param {Object[]} props.copyTargets - Backends images can be copied to ({ id, label, disabled })
+ * @param {boolean} props.canDelete - Whether the active backend supports deleting
+ * @param {boolean} props.isReadOnly - Whether deleting is temporarily disabled (read-only or unreachable backend)
+ * @param {Object|null} props.progress - Running batch ({ action, done, total })
+ * @param {Object|null} props.report - Finished batch ({ action, results })
+ * @param {Object} props.handlers - onSelectAll, onClear, onExit, onDelete, onDownload, onSendError, onCopy(targetId), onDismissReport
+ */
+export default function BatchActionBar({ selectedCount, visibleCount, copyTargets, canDelete, isReadOnly, progress, report, handlers }) {
+  const isRunning = Boolean(progress);
+  const disabled = isRunning || selectedCount === 0;
+
+  const failed = report?.results.filter(result => result.status === "error") || [];
+  const succeeded = report ? report.results.length - failed.length : 0;
+
+  return (
+    <Box
+      w="100%"
+      maxW="1200px"
+      bg="gray.800"
+      borderRadius="lg"
+      p={3}
+      border="1px solid"
+      borderColor="purple.500"
+      position="sticky"
+      top={2}
+      zIndex={20}
+    >
+      <Stack direction={{ base: "column", md: "row" }} justify="space-between" align={{ md: "center" }} spacing={2}>
+        <HStack spacing={2}>
+          <Text fontSize="sm" fontWeight="bold" color="purple.300">
+            {selectedCount} selected
+          </Text>
+          <Button size="xs" variant="ghost" onClick={handlers.onSelectAll} disabled={isRunning || visibleCount === 0}>
+            Select all {visibleCount}
+          </Button>
+          <Button size="xs" variant="ghost" onClick={handlers.onClear} disabled={isRunning || selectedCount === 0}>
+            Clear
+          </Button>
+        </HStack>
+
+        <HStack spacing={2} flexWrap="wrap">
+          {canDelete && (
+            <Button size="xs" colorPalette="red" onClick={handlers.onDelete} disabled={disabled || isReadOnly}>
+              <FiTrash2 style={{ marginRight: '4px' }} /> Delete
+            </Button>
+          )}
+          <Button size="xs" colorPalette="blue" onClick={handlers.onDownload} disabled={disabled}>
+            <FiDownload style={{ marginRight: '4px' }} /> Download ZIP
+          </Button>
+          <Button size="xs" colorPalette="yellow" onClick={handlers.onSendError} disabled={disabled}>
+            <FiAlertTriangle style={{ marginRight: '4px' }} /> Send error
+          </Button>
+          {copyTargets.map(target => (
+            <Button key={target.id} size="xs" colorPalette="purple" onClick={() => handlers.onCopy(target.id)} disabled={disabled || target.disabled}>
+              <FiCopy style={{ marginRight: '4px' }} /> Copy to {target.label}
+            </Button>
+          ))}
+          <Button size="xs" variant="ghost" onClick={handlers.onExit} disabled={isRunning} aria-label="Exit selection mode">
+            <FiX />
+          </Button>
+        </HStack>
+      </Stack>
+
+      {isRunning && (
+        <Box mt={3}>
+          <Text fontSize="xs" color="gray.300" mb={1}>
+            {BATCH_ACTIONS[progress.action]}: {progress.done} of {progress.total}
+          </Text>
+          <Progress.Root size="xs" value={(progress.done * 100) / progress.total} colorPalette="purple">
+            <Progress.Track bg="gray.700">
+              <Progress.Range />
+            </Progress.Track>
+          </Progress.Root>
+        </Box>
+      )}
+
+      {report && !isRunning && (
+        <Box mt={3} bg="gray.900" borderRadius="md" p={2}>
+          <HStack justify="space-between">
+            <Text fontSize="sm" color={failed.length > 0 ? "orange.300" : "green.300"}>
+              {BATCH_ACTIONS[report.action]}: {succeeded} succeeded, {failed.length} failed
+            </Text>
+            <Button size="2xs" variant="ghost" onClick={handlers.onDismissReport}>
+              Dismiss
+            </Button>
+          </HStack>
+          {failed.length > 0 && (
+            <VStack align="stretch" spacing={0} mt={1} maxH="120px" overflowY="auto">
+              {failed.map((result, index) => (
+                <Text key={index} fontSize="xs" color="red.300">
+                  {result.image.name}: {result.message}
+                </Text>
+              ))}
+            </VStack>
+          )}
+        </Box>
+      )}
+    </Box>
+  );
+}
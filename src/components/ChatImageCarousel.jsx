@@ -0,0 +1,95 @@
+import React, { useState } from "react";
+import { Box, Button, HStack, IconButton, Image, Text, VStack } from "@chakra-ui/react";
+import { FiChevronLeft, FiChevronRight, FiSave } from "react-icons/fi";
+import { toDataUrl } from "../utils/chatAttachments";
+
+/**
+ * Images from one assistant reply, shown one at a time
+ * A single image renders without the carousel controls.
+ * @param {Object} props - Component props
+ * @param {Object[]} props.images - Image parts { image_base64, mime_type }
+ * @param {Function} props.onSave - (part, index) => void, saves the image shown
+ */
+export default function ChatImageCarousel({ images, onSave }) {
+  const [index, setIndex] = useState(0);
+  const current = images[Math.min(index, images.length - 1)];
+  const isCarousel = images.length > 1;
+
+  return (
+    <VStack
+      spacing={2}
+      w="full"
+      aria-roledescription={isCarousel ? "carousel" : undefined}
+      onKeyDown={(e) => {
+        if (!isCarousel) return;
+        if (e.key === 'ArrowLeft') setIndex(i => Math.max(i - 1, 0));
+        if (e.key === 'ArrowRight') setIndex(i => Math.min(i + 1, images.length - 1));
+      }}
+    >
+      <Box position="relative">
+        <Image
+          src={toDataUrl(current)}
+          borderRadius="md"
+          maxH="300px"
+          objectFit="contain"
+          alt={isCarousel ? `Generated image ${index + 1} of ${images.length}` : "Generated image"}
+        />
+        {isCarousel && (
+          <>
+            <IconButton
+              size="xs"
+              position="absolute"
+              left={1}
+              top="50%"
+              transform="translateY(-50%)"
+              borderRadius="full"
+              colorPalette="gray"
+              aria-label="Previous image"
+              disabled={index === 0}
+              onClick={() => setIndex(i => i - 1)}
+            >
+              <FiChevronLeft />
+            </IconButton>
+            <IconButton
+              size="xs"
+              position="absolute"
+              right={1}
+              top="50%"
+              transform="translateY(-50%)"
+              borderRadius="full"
+              colorPalette="gray"
+              aria-label="Next image"
+              disabled={index === images.length - 1}
+              onClick={() => setIndex(i => i + 1)}
+            >
+              <FiChevronRight />
+            </IconButton>
+          </>
+        )}
+      </Box>
+      {isCarousel && (
+        <HStack spacing={1}>
+          {images.map((part, partIndex) => (
+            <Image
+              key={partIndex}
+              src={toDataUrl(part)}
+              boxSize="32px"
+              objectFit="cover"
+              borderRadius="sm"
+              cursor="pointer"
+              opacity={partIndex === index ? 1 : 0.5}
+              border="2px solid"
+              borderColor={partIndex === index ? "purple.400" : "transparent"}
+              onClick={() => setIndex(partIndex)}
+              alt={`Show image ${partIndex + 1}`}
+            />
+          ))}
+          <Text fontSize="xs" color="gray.400" ml={1}>{index + 1}/{images.length}</Text>
+        </HStack>
+      )}
+      <Button size="xs" colorPalette="green" onClick={() => onSave(current, index)} w="full">
+        <FiSave /> Save to Gallery
+      </Button>
+    </VStack>
+  );
+}
@@ -0,0 +1,71 @@
+import React, { useMemo } from "react";
+import { Box, Code, Link, Text } from "@chakra-ui/react";
+import { parseInline, parseMarkdown } from "../utils/markdown";
+
+const HEADING_SIZES = { 1: "md", 2: "md", 3: "sm" };
+
+/**
+ * Renders inline Markdown elements
+ * @param {Object[]} inlines - From parseInline
+ * @returns {React.ReactNode[]} Elements
+ */
+const renderInline = (inlines) => inlines.map((inline, index) => {
+  switch (inline.type) {
+    case 'code':
+      return <Code key={index} fontSize="xs">{inline.text}</Code>;
+    case 'strong':
+      return <Text as="strong" key={index} fontWeight="bold">{renderInline(inline.children)}</Text>;
+    case 'em':
+      return <Text as="em" key={index} fontStyle="italic">{renderInline(inline.children)}</Text>;
+    case 'link':
+      return (
+        <Link key={index} href={inline.href} target="_blank" rel="noopener noreferrer" color="purple.300" textDecoration="underline">
+          {renderInline(inline.children)}
+        </Link>
+      );
+    default:
+      return <React.Fragment key={index}>{inline.text}</React.Fragment>;
+  }
+});
+
+/**
+ * Model text rendered as Markdown (see utils/markdown.js)
+ * Other props (color, fontStyle, ...) style the wrapping Box.
+ * @param {Object} props - Component props
+ * @param {string} props.text - Markdown
+ */
+export default function ChatMarkdown({ text, ...rest }) {
+  const blocks = useMemo(() => parseMarkdown(text), [text]);
+
+  return (
+    <Box fontSize="sm" {...rest}>
+      {blocks.map((block, index) => {
+        const spacing = index < blocks.length - 1 ? 2 : 0;
+        switch (block.type) {
+          case 'heading':
+            return (
+              <Text key={index} fontWeight="bold" fontSize={HEADING_SIZES[block.level] || "sm"} mb={spacing}>
+                {renderInline(parseInline(block.text))}
+              </Text>
+            );
+          case 'list':
+            return (
+              <Box as={block.ordered ? "ol" : "ul"} key={index} pl={5} listStyleType={block.ordered ? "decimal" : "disc"} mb={spacing}>
+                {block.items.map((item, itemIndex) => (
+                  <Box as="li" key={itemIndex}>{renderInline(parseInline(item))}</Box>
+                ))}
+              </Box>
+            );
+          case 'code':
+            return (
+              <Box as="pre" key={index} bg="gray.900" p={2} borderRadius="md" overflowX="auto" fontSize="xs" mb={spacing}>
+                <code>{block.text}</code>
+              </Box>
+            );
+          default:
+            return <Text key={index} mb={spacing}>{renderInline(parseInline(block.text))}</Text>;
+        }
+      })}
+    </Box>
+  );
+}
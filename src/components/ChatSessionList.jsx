@@ -0,0 +1,124 @@
+import React, { useState } from "react";
+import {
+  Box,
+  HStack,
+  IconButton,
+  Image,
+  Input,
+  Menu,
+  Portal,
+  Text,
+  VStack,
+} from "@chakra-ui/react";
+import { FiEdit2, FiGitBranch, FiImage, FiMoreVertical, FiTrash2 } from "react-icons/fi";
+import { countBranches } from "../utils/chatSessions";
+
+/**
+ * Sidebar listing saved ImageChat sessions
+ * @param {Object} props - Component props
+ * @param {Object[]} props.sessions - Sessions, most recent first
+ * @param {string|null} props.activeId - Session being shown
+ * @param {Function} props.onSelect - (session) => void
+ * @param {Function} props.onRename - (session, title) => void
+ * @param {Function} props.onDelete - (session) => void
+ */
+export default function ChatSessionList({ sessions, activeId, onSelect, onRename, onDelete }) {
+  const [renamingId, setRenamingId] = useState(null);
+  const [title, setTitle] = useState("");
+
+  const startRename = (session) => {
+    setRenamingId(session.id);
+    setTitle(session.title);
+  };
+
+  const finishRename = (session) => {
+    onRename(session, title);
+    setRenamingId(null);
+  };
+
+  if (sessions.length === 0) {
+    return <Text fontSize="xs" color="gray.500" p={3}>No saved chats yet.</Text>;
+  }
+
+  return (
+    <VStack align="stretch" spacing={1} p={2}>
+      {sessions.map(session => {
+        const branches = countBranches(session);
+        return (
+          <HStack
+            key={session.id}
+            spacing={2}
+            p={2}
+            borderRadius="md"
+            cursor="pointer"
+            bg={session.id === activeId ? "gray.700" : "transparent"}
+            _hover={{ bg: "gray.700" }}
+            onClick={() => renamingId !== session.id && onSelect(session)}
+          >
+            {session.thumbnail ? (
+              <Image src={session.thumbnail} boxSize="40px" objectFit="cover" borderRadius="sm" flexShrink={0} />
+            ) : (
+              <Box boxSize="40px" display="flex" alignItems="center" justifyContent="center" bg="gray.900" borderRadius="sm" flexShrink={0}>
+                <FiImage color="gray" />
+              </Box>
+            )}
+
+            <Box flex="1" minW={0}>
+              {renamingId === session.id ? (
+                <Input
+                  size="xs"
+                  value={title}
+                  autoFocus
+                  onChange={(e) => setTitle(e.target.value)}
+                  onClick={(e) => e.stopPropagation()}
+                  onBlur={() => finishRename(session)}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter') finishRename(session);
+                    if (e.key === 'Escape') setRenamingId(null);
+                  }}
+                  aria-label="Chat name"
+                />
+              ) : (
+                <Text fontSize="sm" color="gray.200" truncate title={session.title}>{session.title}</Text>
+              )}
+              <HStack spacing={1} color="gray.500" fontSize="xs">
+                <Text>{new Date(session.updatedAt).toLocaleDateString()}</Text>
+                {branches > 1 && (
+                  <>
+                    <FiGitBranch />
+                    <Text>{branches}</Text>
+                  </>
+                )}
+              </HStack>
+            </Box>
+
+            <Menu.Root>
+              <Menu.Trigger asChild>
+                <IconButton
+                  size="xs"
+                  variant="ghost"
+                  aria-label={`Actions for ${session.title}`}
+                  onClick={(e) => e.stopPropagation()}
+                >
+                  <FiMoreVertical />
+                </IconButton>
+              </Menu.Trigger>
+              <Portal>
+                <Menu.Positioner>
+                  <Menu.Content bg="gray.800" color="white">
+                    <Menu.Item value="rename" onClick={() => startRename(session)}>
+                      <FiEdit2 /> Rename
+                    </Menu.Item>
+                    <Menu.Item value="delete" color="red.300" onClick={() => onDelete(session)}>
+                      <FiTrash2 /> Delete
+                    </Menu.Item>
+                  </Menu.Content>
+                </Menu.Positioner>
+              </Portal>
+            </Menu.Root>
+          </HStack>
+        );
+      })}
+    </VStack>
+  );
+}
@@ -1,10 +1,31 @@
-import React, { useContext, useState, useMemo } from "react";
+import React, { useCallback, useContext, useEffect, useRef, useState, useMemo } from "react";
+import { datadogLogs } from '@datadog/browser-logs';
+import { datadogRum } from '@datadog/browser-rum';
+import { DEFAULT_BACKENDS, loadBackendRegistry, normalizeBackend } from "../utils/backends";
+import {
+  HEALTH_PROBE_INTERVAL_MS,
+  HEALTH_STATUS,
+  isWritable,
+  probeApi,
+  probeBackend,
+} from "../utils/backendHealth";
+import { setUnauthorizedHandler } from "../utils/apiClient";
+import {
+  AUTH_COMPLETE_MESSAGE,
+  endSession,
+  fetchSession,
+  getLoginUrl,
+  openLoginPopup,
+} from "../utils/authSession";
 
 /* Create our Environment Context
    It's easier to just define this once and reuse in 
    the Components where Context is needed */
 
 const EnvContext = React.createContext();
+const GalleryViewContext = React.createContext([[], () => {}]);
+const BackendRegistryContext = React.createContext(null);
+const BackendHealthContext = React.createContext(null);
 
 // Custom Hook to use our Context
 export function useEnvContext() {
@@ -31,6 +52,14 @@ function fetchActiveBackend() {
  */
 export function EnvProvider({ children }) {
   const [activeBackend, setActiveBackend] = useState(fetchActiveBackend);
+  const { backends, isLoading } = useBackendRegistry();
+
+  // Fall back to the first registered backend if the stored one no longer exists
+  useEffect(() => {
+    if (!isLoading && backends.length > 0 && !backends.some(backend => backend.id === activeBackend)) {
+      setActiveBackend(backends[0].id);
+    }
+  }, [backends, isLoading, activeBackend]);
 
   // Memoize context value to prevent unnecessary re-renders
   const contextValue = useMemo(() => [activeBackend, setActiveBackend], [activeBackend]);
@@ -41,3 +70,307 @@ export function EnvProvider({ children }) {
     </EnvContext.Provider>
   );
 }
+
+// Custom Hook to read/publish the gallery order currently shown on Home
+export function useGalleryView() {
+  return useContext(GalleryViewContext);
+}
+
+/**
+ * Provider sharing the current (filtered, sorted) gallery order
+ * so the lightbox can step through the same images Home is showing
+ * @param {Object} props - Component props
+ * @param {React.ReactNode} props.children - Child components
+ */
+export function GalleryViewProvider({ children }) {
+  const [galleryImages, setGalleryImages] = useState([]);
+
+  const contextValue = useMemo(() => [galleryImages, setGalleryImages], [galleryImages]);
+
+  return (
+    <GalleryViewContext.Provider value={contextValue}>
+      {children}
+    </GalleryViewContext.Provider>
+  );
+}
+
+// Custom Hook to read the backend registry
+export function useBackendRegistry() {
+  return useContext(BackendRegistryContext);
+}
+
+/**
+ * Provider loading the backend registry (see utils/backends.js)
+ * Until it has loaded, the default mongo/postgres backends are exposed.
+ * @param {Object} props - Component props
+ * @param {React.ReactNode} props.children - Child components
+ */
+export function BackendRegistryProvider({ children }) {
+  const [registry, setRegistry] = useState(() => ({
+    backends: DEFAULT_BACKENDS.map(normalizeBackend),
+    source: 'default',
+    isLoading: true,
+  }));
+
+  useEffect(() => {
+    let cancelled = false;
+    loadBackendRegistry().then(({ backends, source }) => {
+      if (!cancelled) setRegistry({ backends, source, isLoading: false });
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const getBackend = useCallback(
+    (id) => registry.backends.find(backend => backend.id === id),
+    [registry.backends]
+  );
+
+  const contextValue = useMemo(() => ({ ...registry, getBackend }), [registry, getBackend]);
+
+  return (
+    <BackendRegistryContext.Provider value={contextValue}>
+      {children}
+    </BackendRegistryContext.Provider>
+  );
+}
+
+// Custom Hook to read live backend health
+export function useBackendHealth() {
+  return useContext(BackendHealthContext);
+}
+
+/**
+ * Logs a health status change to Datadog
+ * @param {string} target - Backend id, or 'api' for the API root
+ * @param {Object|undefined} previous - Previous health result
+ * @param {Object} next - New health result
+ */
+function logHealthTransition(target, previous, next) {
+  const from = previous?.status || HEALTH_STATUS.unknown;
+  const readOnlyChanged = Boolean(previous?.readOnly) !== next.readOnly;
+  if (from === next.status && !readOnlyChanged) return;
+
+  const level = next.status === HEALTH_STATUS.healthy ? 'info' : 'warn';
+  datadogLogs.logger[level]('Backend health changed', {
+    feature: 'backend-health',
+    backend: target,
+    from,
+    to: next.status,
+    readOnly: next.readOnly,
+    latencyMs: next.latencyMs,
+    error: next.error,
+  });
+}
+
+/**
+ * Provider probing the API root and every registered backend
+ * Probes run on mount, every HEALTH_PROBE_INTERVAL_MS while the tab is
+ * visible, and on demand through refresh().
+ * @param {Object} props - Component props
+ * @param {React.ReactNode} props.children - Child components
+ */
+export function BackendHealthProvider({ children }) {
+  const { backends } = useBackendRegistry();
+  const [health, setHealth] = useState({ api: null, backends: {} });
+  const healthRef = useRef(health);
+  healthRef.current = health;
+
+  const refresh = useCallback(async () => {
+    const [api, ...results] = await Promise.all([probeApi(), ...backends.map(probeBackend)]);
+
+    const previous = healthRef.current;
+    logHealthTransition('api', previous.api, api);
+    const next = { api, backends: {} };
+    backends.forEach((backend, index) => {
+      logHealthTransition(backend.id, previous.backends[backend.id], results[index]);
+      next.backends[backend.id] = results[index];
+    });
+    setHealth(next);
+  }, [backends]);
+
+  useEffect(() => {
+    refresh();
+    const timer = setInterval(() => {
+      if (document.visibilityState === 'visible') refresh();
+    }, HEALTH_PROBE_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [refresh]);
+
+  // Before the first probe, fall back to the health declared in the registry
+  const getHealth = useCallback((id) => {
+    if (health.backends[id]) return health.backends[id];
+    const backend = backends.find(item => item.id === id);
+    return { status: backend?.health || HEALTH_STATUS.unknown, readOnly: Boolean(backend?.readOnly) };
+  }, [health, backends]);
+
+  const contextValue = useMemo(() => ({
+    api: health.api,
+    getHealth,
+    canWrite: (id) => isWritable(getHealth(id)),
+    refresh,
+  }), [health.api, getHealth, refresh]);
+
+  return (
+    <BackendHealthContext.Provider value={contextValue}>
+      {children}
+    </BackendHealthContext.Provider>
+  );
+}
+
+const AuthContext = React.createContext(null);
+
+export const AUTH_STATUS = {
+  checking: 'checking',
+  authenticated: 'authenticated',
+  anonymous: 'anonymous',
+  // Authelia could not be reached (local development, mock API)
+  unavailable: 'unavailable',
+};
+
+// Custom Hook to read the login session
+export function useAuth() {
+  return useContext(AuthContext);
+}
+
+/**
+ * Provider tracking the Authelia session
+ * Registers itself as apiClient's 401 handler: the first 401 opens the login
+ * prompt, and every request that failed meanwhile is replayed once the user
+ * is back. Dismissing the prompt fails those requests with their original error.
+ * @param {Object} props - Component props
+ * @param {React.ReactNode} props.children - Child components
+ */
+export function AuthProvider({ children }) {
+  const [user, setUser] = useState(null);
+  const [status, setStatus] = useState(AUTH_STATUS.checking);
+  const [isLoginOpen, setIsLoginOpen] = useState(false);
+  // { promise, resolve } shared by every request waiting for a login
+  const pendingLoginRef = useRef(null);
+  // After the prompt is dismissed, later 401s fail quietly until the user signs in from the menu
+  const loginDismissedRef = useRef(false);
+
+  const applySession = useCallback((session) => {
+    setUser(session);
+    setStatus(session ? AUTH_STATUS.authenticated : AUTH_STATUS.anonymous);
+    if (session) {
+      datadogRum.setUser({ id: session.username, name: session.displayName, email: session.email });
+    } else {
+      datadogRum.clearUser();
+    }
+  }, []);
+
+  /**
+   * Re-reads the session from Authelia
+   * @returns {Promise<Object|null>} Session user, or null
+   */
+  const refresh = useCallback(async () => {
+    try {
+      const session = await fetchSession();
+      applySession(session);
+      return session;
+    } catch (error) {
+      console.warn('Could not reach Authelia:', error.message);
+      setStatus(AUTH_STATUS.unavailable);
+      return null;
+    }
+  }, [applySession]);
+
+  const settlePendingLogin = useCallback((authenticated) => {
+    pendingLoginRef.current?.resolve(authenticated);
+    pendingLoginRef.current = null;
+    setIsLoginOpen(false);
+  }, []);
+
+  /**
+   * Finishes a login started from the prompt or the user menu
+   * @returns {Promise<boolean>} Whether a session now exists
+   */
+  const completeLogin = useCallback(async () => {
+    const session = await refresh();
+    if (!session) return false;
+
+    datadogRum.addAction('auth_login_completed', { replayedRequests: Boolean(pendingLoginRef.current) });
+    loginDismissedRef.current = false;
+    settlePendingLogin(true);
+    return true;
+  }, [refresh, settlePendingLogin]);
+
+  // 401s from the API wait here until the user logs in or gives up
+  useEffect(() => {
+    setUnauthorizedHandler((error) => {
+      if (loginDismissedRef.current) return Promise.resolve(false);
+      if (!pendingLoginRef.current) {
+        let resolve;
+        const promise = new Promise(done => { resolve = done; });
+        pendingLoginRef.current = { promise, resolve };
+        datadogRum.addAction('auth_session_expired', { url: error.config?.url });
+        setUser(null);
+        setStatus(AUTH_STATUS.anonymous);
+        setIsLoginOpen(true);
+      }
+      return pendingLoginRef.current.promise;
+    });
+    return () => setUnauthorizedHandler(null);
+  }, []);
+
+  // The login popup reports back from AUTH_CALLBACK_PATH
+  useEffect(() => {
+    const onMessage = (event) => {
+      if (event.origin === window.location.origin && event.data?.type === AUTH_COMPLETE_MESSAGE) {
+        completeLogin();
+      }
+    };
+    window.addEventListener('message', onMessage);
+    return () => window.removeEventListener('message', onMessage);
+  }, [completeLogin]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  /**
+   * Starts a login: popup when possible so the page (and waiting requests)
+   * survive, otherwise a full redirect back to the current route
+   */
+  const login = useCallback(() => {
+    loginDismissedRef.current = false;
+    setIsLoginOpen(true);
+    if (!openLoginPopup()) {
+      window.location.assign(getLoginUrl(window.location.href));
+    }
+  }, []);
+
+  const logout = useCallback(async () => {
+    try {
+      await endSession();
+      datadogRum.addAction('auth_logout', { username: user?.username });
+    } finally {
+      applySession(null);
+    }
+  }, [applySession, user]);
+
+  const contextValue = useMemo(() => ({
+    user,
+    status,
+    isLoginOpen,
+    login,
+    logout,
+    refresh,
+    completeLogin,
+    // Closes the prompt; requests waiting for a login fail with their 401
+    dismissLogin: () => {
+      loginDismissedRef.current = true;
+      settlePendingLogin(false);
+    },
+    // Full-page redirect; waiting requests are abandoned and the page reloads on return
+    redirectToLogin: () => window.location.assign(getLoginUrl(window.location.href)),
+  }), [user, status, isLoginOpen, login, logout, refresh, completeLogin, settlePendingLogin]);
+
+  return (
+    <AuthContext.Provider value={contextValue}>
+      {children}
+    </AuthContext.Provider>
+  );
+}
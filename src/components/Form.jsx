@@ -8,7 +8,7 @@ import {
   VStack,
   Container
 } from '@chakra-ui/react';
-import apiClient from '../utils/apiClient';
+import { createPost } from '../api/posts';
 import { useAppToaster } from '../hooks/useAppToaster';
 
 function Form() {
@@ -20,18 +20,6 @@ function Form() {
   });
   const toaster = useAppToaster();
 
-  const createPost = async (data) => {
-    const res = await apiClient({
-      method: "post",
-      url: `/create_post`,
-      data: data,
-      headers: { 
-        "Content-Type": "application/json"
-      }
-    });
-    return res;
-  };
-
   const handleSubmit = async (e) => {
     e.preventDefault();
     setIsLoading(true);
@@ -54,7 +42,7 @@ function Form() {
       console.error('Error creating post:', error);
       toaster.create({
         title: 'Error',
-        description: error.response?.data?.message || 'Failed to create post',
+        description: error.message || 'Failed to create post',
         status: 'error',
         duration: 5000,
       });
@@ -0,0 +1,143 @@
+import React, { useState } from "react";
+import {
+  Box,
+  Button,
+  HStack,
+  Input,
+  NativeSelect,
+  Stack,
+  Tag,
+  Text,
+  Wrap,
+  WrapItem,
+} from "@chakra-ui/react";
+import { FiSearch, FiX } from "react-icons/fi";
+import { SORT_OPTIONS, hasActiveFilters } from "../utils/galleryFilters";
+
+// Number of label chips shown before "Show all"
+const COLLAPSED_LABEL_COUNT = 12;
+
+/**
+ * Search bar and label facet panel for the gallery
+ * @param {Object} props - Component props
+ * @param {Object} props.filters - Current filters ({ query, labels, match, sort })
+ * @param {Array<{label: string, count: number}>} props.labelCounts - Facets from loaded images
+ * @param {number} props.resultCount - Images matching the filters
+ * @param {number} props.totalCount - Images loaded
+ * @param {Function} props.onChange - Receives partial filter changes
+ * @param {Function} props.onToggleLabel - Receives a label to add/remove
+ * @param {Function} props.onClear - Clears search and label filters
+ */
+export default function GalleryFilters({
+  filters,
+  labelCounts,
+  resultCount,
+  totalCount,
+  onChange,
+  onToggleLabel,
+  onClear,
+}) {
+  const [showAllLabels, setShowAllLabels] = useState(false);
+  const selected = new Set(filters.labels.map(label => label.toLowerCase()));
+
+  // Always show selected labels, even if they fall outside the collapsed set
+  const visibleLabels = showAllLabels
+    ? labelCounts
+    : labelCounts.filter((facet, index) => index < COLLAPSED_LABEL_COUNT || selected.has(facet.label));
+
+  return (
+    <Box w="100%" maxW="1200px" px={{ base: 4, md: 6 }}>
+      <Stack direction={{ base: "column", md: "row" }} spacing={3} align={{ md: "center" }}>
+        <HStack flex="1" bg="gray.800" borderRadius="md" px={3} border="1px solid" borderColor="gray.600">
+          <FiSearch color="#A0AEC0" />
+          <Input
+            placeholder="Search names and detected text..."
+            value={filters.query}
+            onChange={(e) => onChange({ query: e.target.value })}
+            border="none"
+            _focus={{ boxShadow: "none" }}
+            aria-label="Search images"
+          />
+        </HStack>
+
+        <NativeSelect.Root size="sm" width="auto">
+          <NativeSelect.Field
+            aria-label="Sort images"
+            value={filters.sort}
+            onChange={(e) => onChange({ sort: e.target.value })}
+            bg="gray.800"
+            borderColor="gray.600"
+          >
+            {Object.entries(SORT_OPTIONS).map(([key, label]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </NativeSelect.Field>
+          <NativeSelect.Indicator />
+        </NativeSelect.Root>
+
+        <NativeSelect.Root size="sm" width="auto">
+          <NativeSelect.Field
+            aria-label="Label match mode"
+            value={filters.match}
+            onChange={(e) => onChange({ match: e.target.value })}
+            bg="gray.800"
+            borderColor="gray.600"
+          >
+            <option value="all">Match all labels</option>
+            <option value="any">Match any label</option>
+          </NativeSelect.Field>
+          <NativeSelect.Indicator />
+        </NativeSelect.Root>
+      </Stack>
+
+      {labelCounts.length > 0 && (
+        <Wrap spacing={1} mt={3}>
+          {visibleLabels.map(({ label, count }) => {
+            const isSelected = selected.has(label);
+            return (
+              <WrapItem key={label}>
+                <Tag.Root
+                  size="sm"
+                  variant={isSelected ? "solid" : "outline"}
+                  colorPalette="green"
+                  cursor="pointer"
+                  role="button"
+                  tabIndex={0}
+                  aria-pressed={isSelected}
+                  onClick={() => onToggleLabel(label)}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter' || e.key === ' ') {
+                      e.preventDefault();
+                      onToggleLabel(label);
+                    }
+                  }}
+                >
+                  <Tag.Label>{label} ({count})</Tag.Label>
+                </Tag.Root>
+              </WrapItem>
+            );
+          })}
+          {labelCounts.length > COLLAPSED_LABEL_COUNT && (
+            <WrapItem>
+              <Button size="2xs" variant="ghost" onClick={() => setShowAllLabels(prev => !prev)}>
+                {showAllLabels ? "Show fewer" : `Show all ${labelCounts.length}`}
+              </Button>
+            </WrapItem>
+          )}
+        </Wrap>
+      )}
+
+      {hasActiveFilters(filters) && (
+        <HStack mt={2} spacing={2}>
+          <Text fontSize="sm" color="gray.400">
+            Showing {resultCount} of {totalCount} loaded images
+          </Text>
+          <Button size="xs" variant="ghost" onClick={onClear}>
+            <FiX style={{ marginRight: '4px' }} />
+            Clear filters
+          </Button>
+        </HStack>
+      )}
+    </Box>
+  );
+}
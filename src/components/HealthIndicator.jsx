@@ -0,0 +1,34 @@
+import React from "react";
+import { Box } from "@chakra-ui/react";
+import { HEALTH_COLORS, HEALTH_STATUS, describeHealth } from "../utils/backendHealth";
+
+/**
+ * Colored dot showing a backend's (or the API's) health
+ * Read-only backends get an outlined dot; details are shown on hover.
+ * @param {Object} props - Component props
+ * @param {Object|null} props.health - Health result from useBackendHealth
+ * @param {string} [props.label] - Prefix for the tooltip, e.g. the backend label
+ * @param {string} [props.size] - Dot size
+ */
+export default function HealthIndicator({ health, label, size = "8px", ...props }) {
+  const status = health?.status || HEALTH_STATUS.unknown;
+  const description = describeHealth(health);
+
+  return (
+    <Box
+      as="span"
+      display="inline-block"
+      flexShrink={0}
+      w={size}
+      h={size}
+      borderRadius="full"
+      bg={health?.readOnly ? "transparent" : HEALTH_COLORS[status]}
+      border="2px solid"
+      borderColor={HEALTH_COLORS[status]}
+      title={label ? `${label}: ${description}` : description}
+      aria-label={label ? `${label} status: ${status}` : `Status: ${status}`}
+      role="img"
+      {...props}
+    />
+  );
+}
@@ -1,4 +1,7 @@
 import {
+  FiBarChart2,
+  FiCheckSquare,
+  FiSquare,
   FiUpload,
   FiMessageCircle,
   FiTrash2,
@@ -6,6 +9,8 @@ import {
   FiChevronDown,
   FiChevronUp,
   FiCpu,
+  FiArrowUp,
+  FiEdit3,
 } from "react-icons/fi";
 import {
   Box,
@@ -30,21 +35,75 @@ import {
   NativeSelect, // Kept if used elsewhere
   Spinner,
 } from "@chakra-ui/react";
-import Zoom from 'react-medium-image-zoom';
-import "react-medium-image-zoom/dist/styles.css";
+import { useLocation, useNavigate } from "react-router-dom";
 import { datadogRum } from '@datadog/browser-rum';
 
-import { useEffect, useRef, useState } from "react";
+import { useEffect, useMemo, useRef, useState } from "react";
 
 import axios from "axios";
-import apiClient from "../utils/apiClient";
+import { API_BASE_URL } from "../utils/apiClient";
+import { deleteImage as deleteImageRequest, imageListScope, listImages, uploadImage } from "../api/images";
+import { buildQueryKey } from "../utils/queryCache";
 import React from "react";
 import ImageChat from "./ImageChat";
 
-import { useEnvContext } from "./Context";
+import { useBackendHealth, useBackendRegistry, useEnvContext, useGalleryView } from "./Context";
+import HealthIndicator from "./HealthIndicator";
 import { useAppToaster } from "../hooks/useAppToaster";
+import { useOptimizedFiles } from "../hooks/useOptimizedFiles";
+import { useUploadQueue } from "../hooks/useUploadQueue";
+import UploadQueue from "./UploadQueue";
+import VirtualizedItem from "./VirtualizedItem";
+import { getImageKey, usePaginatedImages } from "../hooks/usePaginatedImages";
+import { useLiveImageUpdates } from "../hooks/useLiveImageUpdates";
+import { LIVE_STATUS } from "../utils/liveEvents";
+import { useInViewport } from "../hooks/useInViewport";
+import { useGalleryFilters } from "../hooks/useGalleryFilters";
+import { useImageSelection } from "../hooks/useImageSelection";
+import BatchActionBar from "./BatchActionBar";
+import { copyImageToBackend, fetchImageBlob } from "../utils/imageTransfer";
+import { createZip, downloadBlob } from "../utils/zip";
+import { useDeferredDelete } from "../hooks/useDeferredDelete";
+import { addToTrash, getTrashKey } from "../utils/trash";
+import { supportsCapability } from "../utils/backends";
+import { useOfflineSync } from "../hooks/useOfflineSync";
+import OfflinePanel from "./OfflinePanel";
+import { cacheThumbnails, getCachedImageList, isNetworkError, saveImageList } from "../utils/offlineStore";
+import GalleryFilters from "./GalleryFilters";
+import {
+  buildImagePath,
+  collectLabelCounts,
+  filterImages,
+  hasActiveFilters,
+  sortImages,
+} from "../utils/galleryFilters";
+import {
+  UPLOAD_MODES,
+  discardIncompleteUpload,
+  getIncompleteUploads,
+  getUploadModes,
+  saveUploadMode,
+  uploadInChunks,
+} from "../utils/chunkedUpload";
+import {
+  OUTPUT_FORMATS,
+  formatBytes,
+  getDefaultCompressionSettings,
+} from "../utils/imageCompression";
+
+const PAGE_SIZE_OPTIONS = [12, 24, 48, 96];
+
+// How long a delete can be undone before it is sent to the API
+const UNDO_WINDOW_MS = 8000;
 
-const api_base_url = import.meta.env.VITE_API_URL;
+/**
+ * Fetch gallery page size from localStorage with fallback to 24
+ * @returns {number} Images per page
+ */
+const fetchPageSize = () => {
+  const stored = Number(localStorage.getItem("galleryPageSize"));
+  return PAGE_SIZE_OPTIONS.includes(stored) ? stored : 24;
+};
 
 /**
  * Generates a random policy value for Datadog RUM testing and demo purposes
@@ -100,6 +159,17 @@ class ValidationError extends Error {
   }
 }
 
+/**
+ * Extracts a user-friendly message from an API error
+ * @param {Error} error - Axios or network error
+ * @returns {string} Message suitable for toasts and reports
+ */
+const getErrorMessage = (error) =>
+  error.response?.data?.message ||
+  error.response?.statusText ||
+  error.message ||
+  'Unknown error occurred';
+
 const onUnhandledError = async (message) => {
   try {
     throw new Error(message);
@@ -113,10 +183,20 @@ const onUnhandledError = async (message) => {
  * 
  * Provides functionality for:
  * - Image upload with drag & drop support
- * - Image display in responsive grid layout
- * - Backend switching (MongoDB/PostgreSQL)
+ * - Client-side resize/re-encode before upload (browser-image-compression)
+ * - Parallel upload queue with per-file progress, cancel and retry
+ * - Optional chunked, resumable uploads per backend
+ * - Image display in responsive grid layout with infinite scroll and virtualized cards
+ * - Search, label filters and sorting shareable via the URL query string
+ * - Full-screen lightbox (/image/:id) stepping through the current gallery order
+ * - Multi-select with batch delete, ZIP download, error generation and cross-backend copy
+ * - Deferred deletes with an undo window; deleted images go to the Trash view
+ * - Backend switching from the backend registry, hiding actions a backend doesn't support
+ * - Backend health indicators; uploads and deletes are disabled while a backend is read-only or down
+ * - Side-by-side backend comparison view
  * - Error generation for monitoring demos
  * - Comprehensive Datadog RUM integration
+ * - Offline mode: cached gallery per backend, uploads/deletes queued and replayed on reconnect
  * - Smart fallback to mock data when API unavailable
  * 
  * @component
@@ -124,24 +204,96 @@ const onUnhandledError = async (message) => {
  */
 export default function Home() {
   const [activeBackend, setActiveBackend] = useEnvContext();
-  const [allImages, setAllImages] = useState([]);
-  const [isLoading, setIsLoading] = useState(false);
-  const [isLoadingImages, setIsLoadingImages] = useState(false);
-  const [deletingImageId, setDeletingImageId] = useState(null);
+  const { backends, getBackend } = useBackendRegistry();
+  const { getHealth, canWrite, refresh: refreshHealth } = useBackendHealth();
+  const [cachedAt, setCachedAt] = useState(null); // Set while the gallery shown comes from the offline cache
+  const isMockDataRef = useRef(false); // Dev sample data must never end up in the offline cache
   const [selectedFiles, setSelectedFiles] = useState([]);
   const [isSelected, setIsSelected] = useState(false);
-  const [isUploadSuccessful, setIsUploadSuccessful] = useState(false);
-  const [isDeleteSuccessful, setIsDeleteSuccessful] = useState(false);
   const [isLargerThan1200] = useMediaQuery("(min-width: 1200px)");
   const [expandedDropdowns, setExpandedDropdowns] = useState({});
   const [fileUploadKey, setFileUploadKey] = useState(0); // Key to force FileUpload reset
   const fileUploadRef = useRef(null);
+  const [compressionSettings, setCompressionSettings] = useState(getDefaultCompressionSettings);
+  const { optimizedFiles, isOptimizing } = useOptimizedFiles(selectedFiles, compressionSettings);
+  const [uploadConcurrency, setUploadConcurrency] = useState(2);
+  const [pageSize, setPageSize] = useState(fetchPageSize);
+  const loadMoreRef = useRef(null);
+  const { filters, debouncedQuery, updateFilters, toggleLabel, clearFilters } = useGalleryFilters();
+  const [, setGalleryImages] = useGalleryView();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [uploadModes, setUploadModes] = useState(getUploadModes);
+  const [incompleteUploads, setIncompleteUploads] = useState([]);
+  const [chatReference, setChatReference] = useState(null); // Gallery image sent to ImageChat
+  const chatRef = useRef(null);
   const toaster = useAppToaster();
 
   // Legacy AI State (Cleaned up, now handled by ImageChat)
 
   const cols = isLargerThan1200 ? 4 : 1;
 
+  // Pair each selected file with its optimized version (falls back to the original while compressing)
+  const uploadCandidates = useMemo(() => selectedFiles.map((file, index) => (
+    optimizedFiles[index]?.original === file
+      ? optimizedFiles[index]
+      : { original: file, file, optimized: false }
+  )), [selectedFiles, optimizedFiles]);
+
+  const uploadMode = uploadModes[activeBackend] || 'standard';
+
+  // Capabilities of the active backend; actions it doesn't support are hidden
+  const activeBackendInfo = getBackend(activeBackend);
+  const canDelete = supportsCapability(activeBackendInfo, 'supportsDelete');
+  const canSearch = supportsCapability(activeBackendInfo, 'supportsSearch');
+  const canPaginate = supportsCapability(activeBackendInfo, 'supportsPagination');
+  const canLiveUpdate = supportsCapability(activeBackendInfo, 'supportsLiveUpdates');
+
+  /**
+   * Reports a replay of changes made offline
+   * @param {Object[]} results - Results from the offline outbox replay
+   */
+  const onOfflineReplayed = (results) => {
+    const succeeded = results.filter(result => result.status === 'success').length;
+    const problems = results.length - succeeded;
+    if (succeeded > 0) revalidateImages();
+    if (results.length === 0) return;
+
+    toaster.create({
+      title: problems > 0 ? "Offline Changes Need Attention" : "Offline Changes Synced",
+      description: `${succeeded} synced${problems > 0 ? `, ${problems} with conflicts or errors` : ''}`,
+      status: problems > 0 ? "warning" : "success",
+      duration: 6000,
+    });
+  };
+
+  const {
+    isOffline,
+    outbox,
+    isReplaying,
+    queueUpload,
+    queueDelete,
+    replay: replayOfflineChanges,
+    resolveEntry: resolveOfflineEntry,
+  } = useOfflineSync({ onReplayed: onOfflineReplayed });
+
+  // Uploads and deletes are disabled while the active backend is read-only or unreachable;
+  // while the whole API is offline they are queued instead (copies are not: they need the API)
+  const activeHealth = getHealth(activeBackend);
+  const isWritable = canWrite(activeBackend) || (isOffline && !activeHealth.readOnly);
+  const writeDisabledReason = isWritable
+    ? null
+    : `${activeBackendInfo?.label || activeBackend} is ${activeHealth.readOnly ? 'read-only' : 'unreachable'}`;
+
+  /**
+   * Updates a single compression setting
+   * @param {string} key - Setting name (enabled, format, maxDimension, quality)
+   * @param {*} value - New value
+   */
+  const updateCompressionSetting = (key, value) => {
+    setCompressionSettings(prev => ({ ...prev, [key]: value }));
+  };
+
   /**
    * Converts a string to mixed case (title case)
    * @param {string} str - The string to convert
@@ -177,25 +329,49 @@ export default function Home() {
     return `${truncated}-${uniqueSuffix}`;
   };
 
-  const getImages = async () => {
+  /**
+   * Fetches one page of images for the active backend
+   * @param {Object} paging - Paging parameters
+   * @param {number} paging.limit - Page size
+   * @param {string|null} paging.cursor - Server cursor from the previous page
+   * @param {number} paging.offset - Offset for servers without cursor support
+   * @returns {Promise<Object|Object[]>} Page body ({ items, next_cursor }) or a bare array
+   */
+  const getImages = async ({ limit, cursor, offset }) => {
+    // Backends without pagination return everything on the first request
+    if (!canPaginate && offset > 0) return [];
+
     try {
-      const res = await apiClient({
-        method: "get",
-        url: `/images`,
-        params: { backend: activeBackend },
+      const res = await listImages(activeBackend, {
+        ...(canPaginate ? { limit, offset } : {}),
+        ...(cursor ? { cursor } : {}),
+        // Backends that support search narrow the results; filtering also runs client-side
+        ...(canSearch && debouncedQuery.trim() ? { q: debouncedQuery.trim() } : {}),
+        ...(canSearch && filters.labels.length > 0 ? { labels: filters.labels.join(','), match: filters.match } : {}),
+        ...(canSearch ? { sort: filters.sort } : {}),
       });
       const data = await res.data;
+      localStorage.setItem("activeBackend", activeBackend);
+      if (offset === 0 && !cursor) setCachedAt(null);
+      isMockDataRef.current = false;
       return data;
     } catch (error) {
+      // Offline: show the last list cached for this backend
+      if (isNetworkError(error) && offset === 0 && !cursor) {
+        const cached = await getCachedImageList(activeBackend);
+        if (cached) {
+          console.log(`📦 API unavailable, using image list cached at ${new Date(cached.savedAt).toISOString()}`);
+          setCachedAt(cached.savedAt);
+          return cached.images;
+        }
+      }
+
       // Smart fallback handling - use mock data when API is unavailable
       const isDevelopment = import.meta.env.VITE_ENVIRONMENT === 'dev';
-      const isNetworkError = error.code === 'ERR_NETWORK' ||
-        error.code === 'ERR_NAME_NOT_RESOLVED' ||
-        error.code === 'ECONNREFUSED' ||
-        error.message?.includes('CORS');
 
-      if (isDevelopment && isNetworkError) {
+      if (isDevelopment && isNetworkError(error)) {
         console.log('🧪 API unavailable in development, using mock data');
+        isMockDataRef.current = true;
         return [
           {
             id: 'mock-1',
@@ -219,34 +395,42 @@ export default function Home() {
   };
 
   /**
-   * Posts an image to the API with form data
-   * @param {string} url - The API endpoint URL
+   * Posts an image to the active backend
    * @param {FormData} formdata - Form data containing the image file
+   * @param {Object} [options] - Extra axios options (signal, onUploadProgress)
    * @returns {Promise<Object>} Axios response object
    */
-  const postImage = async (url, formdata) => {
-    const res = await axios({
-      method: "post",
-      url: url,
-      data: formdata,
-      params: { backend: activeBackend },
-      headers: { "Content-Type": "multipart/form-data" },
-    });
-    return res;
-  };
+  const postImage = (formdata, options = {}) => uploadImage(activeBackend, formdata, options);
 
   /**
    * Deletes an image from the API by ID
    * @param {string|number} id - The image ID to delete
+   * @param {string} [backend] - Backend to delete from (defaults to the active one)
    * @returns {Promise<Object>} Axios response object
    */
-  const delImage = async (id) => {
-    const res = await axios({
-      method: "delete",
-      params: { backend: activeBackend },
-      url: `${api_base_url}/delete_image/${id}`,
-    });
-    return res;
+  const delImage = (id, backend = activeBackend) => deleteImageRequest(backend, id);
+
+  /**
+   * Shows a just-uploaded image in the grid without refetching the list
+   * Uses the record from the response when the API returns one, otherwise a
+   * placeholder built from the file until the next background refresh
+   * brings the server's copy (with its AI labels).
+   * @param {Object} res - Upload response
+   * @param {File} file - Uploaded file
+   * @param {string} backend - Backend it was uploaded to
+   */
+  const addUploadedImage = (res, file, backend) => {
+    if (backend !== activeBackend) return;
+
+    const image = res.data?.image || {
+      id: `optimistic-${crypto.randomUUID()}`,
+      name: file.name,
+      url: URL.createObjectURL(file),
+      ai_labels: [],
+      ai_text: [],
+      optimistic: true,
+    };
+    mutateImages(prev => [image, ...prev.filter(item => getImageKey(item) !== getImageKey(image))]);
   };
 
   /**
@@ -322,131 +506,289 @@ export default function Home() {
     handleFileSelection({ files: Array.from(files || []) });
   };
 
-  const onFileUpload = async (e) => {
-    if (selectedFiles.length === 0) {
-      toaster.create({
-        title: `Select Images`,
-        description: `Please select one or more images to upload`,
-        status: "error",
-        duration: 4000,
-      });
-      return;
-    }
-
-    setIsLoading(true);
-    const uploadResults = [];
+  /**
+   * Uploads a single queue entry, reporting progress back to the upload queue
+   * @param {Object} entry - Queue entry with original/optimized file
+   * @param {Object} controls - Queue controls
+   * @param {AbortSignal} controls.signal - Aborts the request when the user cancels
+   * @param {Function} controls.onProgress - Receives upload progress (0-100)
+   * @returns {Promise<Object>} Final status and message for the entry
+   */
+  const uploadQueueEntry = async ({ original, file, optimized, batchSize, resumeBackend }, { signal, onProgress }) => {
+    // Resumed uploads always continue chunked against the backend they started on
+    const backend = resumeBackend || activeBackend;
+    const mode = resumeBackend ? 'chunked' : uploadMode;
+
+    // Send custom action before upload
+    const policyValue = sendCustomAction('image_upload_started', {
+      fileName: file.name,
+      fileSize: file.size,
+      fileType: file.type,
+      originalSize: original.size,
+      optimized,
+      uploadMode: mode,
+      totalFiles: batchSize
+    });
 
     try {
-      for (const file of selectedFiles) {
+      let res;
+      if (mode === 'chunked') {
+        res = await uploadInChunks(file, { backend, signal, onProgress });
+      } else {
         const formdata = new FormData();
         formdata.append("file", file, file.name);
 
-        // Send custom action before upload
-        const policyValue = sendCustomAction('image_upload_started', {
-          fileName: file.name,
-          fileSize: file.size,
-          fileType: file.type,
-          totalFiles: selectedFiles.length
+        res = await postImage(formdata, {
+          signal,
+          onUploadProgress: (event) => {
+            if (event.total) {
+              onProgress(Math.round((event.loaded * 100) / event.total));
+            }
+          },
         });
+      }
 
-        try {
-          const res = await postImage(`${api_base_url}/add_image`, formdata);
-
-          // Send another custom action after upload completes
-          sendCustomAction('image_upload_completed', {
-            fileName: file.name,
-            status: res.status,
-            backend: activeBackend
-          });
+      // Send another custom action after upload completes
+      sendCustomAction('image_upload_completed', {
+        fileName: file.name,
+        status: res.status,
+        backend
+      });
 
-          if (res.data?.message.includes("questionable")) {
-            uploadResults.push({ file: file.name, status: 'questionable', message: res.data.message });
-          } else {
-            uploadResults.push({ file: file.name, status: 'success', policy: policyValue });
-          }
-        } catch (error) {
-          console.error(`Failed to upload ${file.name}:`, error);
-          uploadResults.push({ file: file.name, status: 'error', error: error.message });
-
-          // Send error to Datadog
-          datadogRum.addError(error, {
-            context: 'file_upload',
-            fileName: file.name,
-            backend: activeBackend
-          });
-        }
+      if (res.data?.message.includes("questionable")) {
+        return { status: 'questionable', message: res.data.message };
       }
+      addUploadedImage(res, file, backend);
+      return { status: 'success', policy: policyValue };
+    } catch (error) {
+      if (!axios.isCancel(error)) {
+        console.error(`Failed to upload ${file.name}:`, error);
 
-      // Show summary toast
-      const successCount = uploadResults.filter(r => r.status === 'success').length;
-      const errorCount = uploadResults.filter(r => r.status === 'error').length;
-      const questionableCount = uploadResults.filter(r => r.status === 'questionable').length;
-
-      if (successCount > 0) {
-        setIsUploadSuccessful(!isUploadSuccessful);
-        toaster.create({
-          title: `Upload Results`,
-          description: `${successCount} successful, ${errorCount} failed, ${questionableCount} flagged`,
-          status: successCount === selectedFiles.length ? "success" : "warning",
-          duration: 6000,
+        // Send error to Datadog
+        datadogRum.addError(error, {
+          context: 'file_upload',
+          fileName: file.name,
+          uploadMode: mode,
+          backend
         });
       }
+      throw error;
+    }
+  };
 
-      // Show individual error messages for questionable content
-      uploadResults.filter(r => r.status === 'questionable').forEach(result => {
-        toaster.create({
-          title: `Questionable Content - ${result.file}`,
-          description: result.message,
-          status: "error",
-          duration: 5000,
-        });
+  const {
+    uploadResults,
+    isUploading,
+    enqueue,
+    retryFailed,
+    cancel: cancelUpload,
+    clearFinished,
+  } = useUploadQueue(uploadQueueEntry, uploadConcurrency);
+
+  /**
+   * Shows summary and questionable-content toasts for a finished upload batch
+   * @param {Object[]} results - Final queue entries for the batch
+   */
+  const reportUploadResults = (results) => {
+    const successCount = results.filter(r => r.status === 'success').length;
+    const errorCount = results.filter(r => r.status === 'error').length;
+    const questionableCount = results.filter(r => r.status === 'questionable').length;
+
+    if (successCount > 0) {
+      // Pick up the server's records (ids, AI labels) for the placeholders
+      revalidateImages();
+      toaster.create({
+        title: `Upload Results`,
+        description: `${successCount} successful, ${errorCount} failed, ${questionableCount} flagged`,
+        status: successCount === results.length ? "success" : "warning",
+        duration: 6000,
+      });
+    } else if (errorCount > 0) {
+      toaster.create({
+        title: `Upload Failed`,
+        description: `${errorCount} upload(s) failed. Use "Retry failed" to try again.`,
+        status: "error",
+        duration: 6000,
       });
+    }
 
-    } finally {
-      setIsLoading(false);
-      setSelectedFiles([]);
-      setIsSelected(false);
-      // Increment key to force FileUpload component to reset/remount
-      setFileUploadKey(prev => prev + 1);
+    // Show individual error messages for questionable content
+    results.filter(r => r.status === 'questionable').forEach(result => {
+      toaster.create({
+        title: `Questionable Content - ${result.file.name}`,
+        description: result.message,
+        status: "error",
+        duration: 5000,
+      });
+    });
+  };
+
+  const onFileUpload = async () => {
+    if (selectedFiles.length === 0) {
+      toaster.create({
+        title: `Select Images`,
+        description: `Please select one or more images to upload`,
+        status: "error",
+        duration: 4000,
+      });
+      return;
+    }
+
+    const candidates = uploadCandidates.map(candidate => ({
+      ...candidate,
+      batchSize: uploadCandidates.length,
+    }));
+
+    // Progress now lives in the upload queue, so reset the picker right away
+    setSelectedFiles([]);
+    setIsSelected(false);
+    // Increment key to force FileUpload component to reset/remount
+    setFileUploadKey(prev => prev + 1);
+
+    if (isOffline) {
+      await Promise.all(candidates.map(candidate => queueUpload(candidate.file, activeBackend)));
+      sendCustomAction('offline_upload_queued', { count: candidates.length, backend: activeBackend });
+      toaster.info("Uploads Queued", `${candidates.length} image(s) will be uploaded when you're back online.`);
+      return;
     }
+
+    const results = await enqueue(candidates);
+    reportUploadResults(results);
+    setIncompleteUploads(await getIncompleteUploads());
   };
 
-  const onFileDelete = async (image) => {
+  const onRetryFailedUploads = async () => {
+    const results = await retryFailed();
+    reportUploadResults(results);
+    setIncompleteUploads(await getIncompleteUploads());
+  };
+
+  /**
+   * Re-queues chunked uploads that were interrupted by a reload or network drop
+   */
+  const onResumeIncompleteUploads = async () => {
+    const candidates = incompleteUploads.map(upload => ({
+      original: upload.file,
+      file: upload.file,
+      optimized: false,
+      resumeBackend: upload.backend,
+      batchSize: incompleteUploads.length,
+    }));
+    setIncompleteUploads([]);
+
+    const results = await enqueue(candidates);
+    reportUploadResults(results);
+    setIncompleteUploads(await getIncompleteUploads());
+  };
+
+  const onDiscardIncompleteUploads = async () => {
+    await Promise.all(incompleteUploads.map(upload => discardIncompleteUpload(upload.key)));
+    setIncompleteUploads([]);
+  };
+
+  /**
+   * Switches the upload mode used for the active backend
+   * @param {string} mode - Key of UPLOAD_MODES
+   */
+  const onUploadModeChange = (mode) => {
+    setUploadModes(saveUploadMode(activeBackend, mode));
+  };
+
+  /**
+   * Deletes an image and reports the outcome to Datadog
+   * @param {Object} image - Image to delete
+   * @param {string} [backend] - Backend to delete from (defaults to the active one)
+   * @returns {Promise<{res: Object, policyValue: string}>} Axios response and RUM policy
+   */
+  const deleteImage = async (image, backend = activeBackend) => {
     const id = image.id || image._id?.$oid; // Mongo or Postgres
-    console.log(`Delete: {db: ${activeBackend}, id: ${id}}`);
+    console.log(`Delete: {db: ${backend}, id: ${id}}`);
 
     // Send custom action before delete
     const policyValue = sendCustomAction('image_delete_started', {
       imageId: id,
       imageName: image.name,
-      backend: activeBackend
+      backend
     });
 
-    // Set loading state for this specific image
-    setDeletingImageId(id);
-
     try {
-      const res = await delImage(id);
+      const res = await delImage(id, backend);
 
       // Send success custom action after delete completes
       sendCustomAction('image_delete_completed', {
         imageId: id,
         status: res.status,
-        backend: activeBackend,
+        backend,
         success: true
       });
+      return { res, policyValue };
+    } catch (error) {
+      console.error('Delete failed:', error);
+
+      // Send failure custom action for monitoring
+      sendCustomAction('image_delete_failed', {
+        imageId: id,
+        imageName: image.name,
+        backend,
+        error: error.message,
+        status: error.response?.status || 'unknown',
+        success: false
+      });
+      throw error;
+    }
+  };
+
+  /**
+   * Deletes an image on the server and keeps a copy in the trash
+   * The DELETE goes out first, in the same tick, so it isn't lost if the tab
+   * closes; the copy is downloaded alongside it and is best effort. Without a
+   * copy the trash entry can still be listed, just not restored.
+   * @param {Object} image - Image to delete
+   * @param {string} backend - Backend to delete from
+   * @returns {Promise<{res: Object, policyValue: string}>} Result of deleteImage
+   */
+  const commitDelete = async (image, backend) => {
+    const deleted = deleteImage(image, backend);
+    const blob = fetchImageBlob(image).catch(() => null);
+    const result = await deleted;
+    await addToTrash(image, backend, await blob).catch(error => {
+      console.warn('Could not keep a trash copy:', error);
+    });
+    return result;
+  };
+
+  /**
+   * Performs a delete once its undo window has passed
+   * @param {Object} pending - Scheduled delete
+   * @param {Object} pending.image - Image to delete
+   * @param {string} pending.backend - Backend it was deleted from
+   * @param {boolean} [pending.batch] - Part of a batch delete, which had one toast for all
+   * @param {Object} options - From useDeferredDelete
+   * @param {boolean} options.leaving - The gallery is going away; no state updates or toasts
+   */
+  const onCommitPendingDelete = async ({ image, backend, batch }, { leaving }) => {
+    if (leaving) {
+      await commitDelete(image, backend).catch(error => {
+        console.warn(`Delete of ${image.name} failed while leaving the gallery:`, error);
+      });
+      return;
+    }
+    try {
+      const { res, policyValue } = await commitDelete(image, backend);
 
       // Fix: Check correct status codes for DELETE operations (200, 201, 204)
       if (res.status === 200 || res.status === 201 || res.status === 204) {
-        setIsDeleteSuccessful(!isDeleteSuccessful);
+        const key = getTrashKey(image, backend);
+        mutateImages(prev => prev.filter(item => getTrashKey(item, backend) !== key));
         console.log('Delete successful:', res);
+        if (batch) return;
 
         // Show success notification
         toaster.create({
           title: `Delete Successful`,
-          description: `Successfully deleted ${image.name} from ${toMixedCase(
-            activeBackend
-          )} with policy: ${policyValue}`,
+          description: `Moved ${image.name} from ${toMixedCase(
+            backend
+          )} to the trash with policy: ${policyValue}`,
           status: "success", // Fix: Changed from "error" to "success"
           duration: 3000,
         });
@@ -461,37 +803,23 @@ export default function Home() {
         });
       }
     } catch (error) {
-      console.error('Delete failed:', error);
-
-      // Send failure custom action for monitoring
-      sendCustomAction('image_delete_failed', {
-        imageId: id,
-        imageName: image.name,
-        backend: activeBackend,
-        error: error.message,
-        status: error.response?.status || 'unknown',
-        success: false
-      });
-
-      // Show user-friendly error notification
-      const errorMessage = error.response?.data?.message ||
-        error.response?.statusText ||
-        error.message ||
-        'Unknown error occurred';
-
+      // Show user-friendly error notification; the card reappears
       toaster.create({
         title: `Delete Failed`,
-        description: `Failed to delete ${image.name}: ${errorMessage}`,
+        description: `Failed to delete ${image.name}: ${getErrorMessage(error)}`,
         status: "error",
         duration: 6000,
       });
-    } finally {
-      // Always clear delete loading state
-      setDeletingImageId(null);
     }
   };
 
-  const onSendError = async (image) => {
+  /**
+   * Sends a demo error for an image to Datadog by throwing a ValidationError
+   * @param {Object} image - Image the error is about
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.silent=false] - Skip the per-image toast (used by batch actions)
+   */
+  const onSendError = async (image, { silent = false } = {}) => {
     // Add an attachment
     const name =
       image.name.substring(0, image.name.lastIndexOf(".")) || image.name;
@@ -507,18 +835,42 @@ export default function Home() {
     await image.ai_labels.map((label, index) => {
     });
 
-    toaster.create({
-      title: "Error Sent",
-      description: `We sent your ERROR on - ${image.name} with policy: ${policyValue}`,
-      status: "success",
-      duration: 5000,
-    });
+    if (!silent) {
+      toaster.create({
+        title: "Error Sent",
+        description: `We sent your ERROR on - ${image.name} with policy: ${policyValue}`,
+        status: "success",
+        duration: 5000,
+      });
+    }
 
     // throw the error
     throw new ValidationError(image.name);
   };
 
+  /**
+   * Attaches a gallery image to the chat as a reference and scrolls to it
+   * @param {Object} image - Image record
+   */
+  const onEditWithAI = (image) => {
+    sendCustomAction('image_edit_with_ai', { imageName: image.name, backend: activeBackend });
+    setChatReference({ image, requestId: crypto.randomUUID() });
+    chatRef.current?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  };
+
   const handleChatImageSave = async (file) => {
+    if (writeDisabledReason) {
+      toaster.warning("Cannot Save to Gallery", `${writeDisabledReason}.`);
+      return;
+    }
+
+    if (isOffline) {
+      await queueUpload(file, activeBackend);
+      sendCustomAction('offline_upload_queued', { count: 1, backend: activeBackend });
+      toaster.info("Upload Queued", `${file.name} will be saved to the gallery when you're back online.`);
+      return;
+    }
+
     // Logic to upload the saved image to the backend gallery
     const formdata = new FormData();
     formdata.append("file", file, file.name);
@@ -531,7 +883,7 @@ export default function Home() {
     });
 
     try {
-      const res = await postImage(`${api_base_url}/add_image`, formdata);
+      const res = await postImage(formdata);
 
       if (res.status === 200 || res.status === 201) {
         toaster.create({
@@ -540,7 +892,8 @@ export default function Home() {
           status: "success",
           duration: 3000,
         });
-        setIsUploadSuccessful(!isUploadSuccessful); // Trigger refresh
+        addUploadedImage(res, file, activeBackend);
+        revalidateImages();
       }
     } catch (error) {
       console.error("Failed to save generated image:", error);
@@ -554,62 +907,324 @@ export default function Home() {
   };
 
 
-  // Refresh after Upload or Delete
+  // Offer to resume chunked uploads left over from a previous session
   useEffect(() => {
-    const loadImages = async () => {
-      setIsLoadingImages(true);
+    getIncompleteUploads().then(setIncompleteUploads);
+  }, []);
+
+  /**
+   * Reports a failed page load to Datadog and the user
+   * @param {Error} error - Error thrown by getImages
+   */
+  const onImagesLoadError = (error) => {
+    console.error('Failed to load images:', error);
+    refreshHealth();
+
+    // Determine error type and provide specific feedback
+    let errorTitle = "Failed to Load Images";
+    let errorDescription = `Could not load images from ${activeBackend}. Please try again.`;
+
+    if (error.code === 'ERR_NETWORK' || error.code === 'ERR_NAME_NOT_RESOLVED') {
+      errorTitle = "Network Connection Error";
+      errorDescription = `Cannot connect to the API server. Using offline mode with sample data.`;
+    } else if (error.code === 'ECONNREFUSED') {
+      errorTitle = "Backend Server Unavailable";
+      errorDescription = `Backend server is not responding. Using offline mode with sample data.`;
+    } else if (error.message?.includes('CORS')) {
+      errorTitle = "CORS Configuration Issue";
+      errorDescription = `Cross-origin request blocked. Using offline mode with sample data.`;
+    } else if (error.response?.status === 404) {
+      errorTitle = "API Endpoint Not Found";
+      errorDescription = `The images endpoint was not found. Using offline mode with sample data.`;
+    }
+
+    // Send error to Datadog with enhanced context
+    datadogRum.addError(error, {
+      context: 'image_loading',
+      backend: activeBackend,
+      operation: 'getImages',
+      apiUrl: API_BASE_URL,
+      errorCode: error.code,
+      httpStatus: error.response?.status
+    });
+
+    // Show enhanced user-friendly error
+    toaster.create({
+      title: errorTitle,
+      description: errorDescription,
+      status: "error",
+      duration: 8000,
+    });
+  };
+
+  // One cached list per backend and query; uploads and deletes update it in place
+  const {
+    images: allImages,
+    mutate: mutateImages,
+    isLoading: isLoadingImages,
+    isLoadingMore,
+    isRefreshing: isRefreshingImages,
+    hasMore,
+    loadMore,
+    revalidate: revalidateImages,
+  } = usePaginatedImages(getImages, {
+    pageSize,
+    queryKey: buildQueryKey(imageListScope(activeBackend), {
+      q: debouncedQuery.trim(),
+      labels: filters.labels.join(','),
+      match: filters.match,
+      sort: filters.sort,
+      limit: pageSize,
+    }),
+    onError: onImagesLoadError,
+  });
+
+  const {
+    pendingKeys: pendingDeleteKeys,
+    schedule: scheduleDelete,
+    undo: undoDelete,
+  } = useDeferredDelete(onCommitPendingDelete, UNDO_WINDOW_MS);
+
+  /**
+   * Hides an image immediately and deletes it after the undo window
+   * @param {Object} image - Image to delete
+   */
+  const onFileDelete = async (image) => {
+    const backend = activeBackend;
+    const key = getTrashKey(image, backend);
+
+    if (isOffline) {
+      await queueDelete(image, backend);
+      sendCustomAction('offline_delete_queued', { imageName: image.name, backend });
+      toaster.info("Delete Queued", `${image.name} will be removed from ${toMixedCase(backend)} when you're back online.`);
+      return;
+    }
+
+    scheduleDelete(key, { image, backend });
+
+    toaster.withAction(
+      "Image Deleted",
+      `${image.name} will be removed from ${toMixedCase(backend)}.`,
+      {
+        label: "Undo",
+        onClick: () => {
+          if (undoDelete(key)) {
+            sendCustomAction('image_delete_undone', { imageName: image.name, backend });
+          } else {
+            // Leaving the gallery ends the undo window early
+            toaster.info("Already Deleted", `${image.name} was already removed; find it in the Trash.`);
+          }
+        },
+      },
+      UNDO_WINDOW_MS
+    );
+  };
+
+  // Deletes queued while offline are hidden like deletes waiting for their undo window
+  const queuedDeleteKeys = useMemo(() => new Set(
+    outbox
+      .filter(entry => entry.type === 'delete')
+      .map(entry => getTrashKey(entry.image, entry.backend))
+  ), [outbox]);
+
+  // Client-side search/filter/sort so results update instantly, even on servers without search
+  const visibleImages = useMemo(
+    () => sortImages(
+      filterImages(
+        allImages.filter(image => {
+          const key = getTrashKey(image, activeBackend);
+          return !pendingDeleteKeys.has(key) && !queuedDeleteKeys.has(key);
+        }),
+        filters
+      ),
+      filters.sort
+    ),
+    [allImages, filters, pendingDeleteKeys, queuedDeleteKeys, activeBackend]
+  );
+
+  // Keep the last list fetched from the API (and its first thumbnails) for offline use
+  useEffect(() => {
+    const serverImages = allImages.filter(image => !image.optimistic);
+    if (cachedAt || isOffline || isMockDataRef.current || serverImages.length === 0) return;
+    saveImageList(activeBackend, serverImages);
+    cacheThumbnails(serverImages);
+  }, [allImages, cachedAt, isOffline, activeBackend]);
+  const labelCounts = useMemo(() => collectLabelCounts(allImages), [allImages]);
+
+  // Images added or deleted elsewhere; not while showing cached or sample data
+  const {
+    status: liveStatus,
+    pendingImages: liveImages,
+    showPendingImages: showLiveImages,
+  } = useLiveImageUpdates({
+    backend: activeBackend,
+    enabled: canLiveUpdate && !isOffline && !cachedAt && !isMockDataRef.current,
+    images: allImages,
+    mutate: mutateImages,
+  });
+  // Only announce new images the current filters would show
+  const newImageCount = useMemo(() => filterImages(liveImages, filters).length, [liveImages, filters]);
+
+  /**
+   * Adds announced images to the top of the grid and scrolls up to them
+   */
+  const onShowNewImages = () => {
+    showLiveImages();
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  };
+
+  // Share the current order with the lightbox so it can step through it
+  useEffect(() => {
+    setGalleryImages(visibleImages);
+  }, [visibleImages, setGalleryImages]);
+
+  const {
+    isSelectMode,
+    toggleSelectMode,
+    selectedKeys,
+    selectedImages,
+    toggle: toggleImageSelection,
+    selectAll,
+    clearSelection,
+  } = useImageSelection(visibleImages);
+  const [batchProgress, setBatchProgress] = useState(null);
+  const [batchReport, setBatchReport] = useState(null);
+  const copyTargets = backends
+    .filter(backend => backend.id !== activeBackend)
+    .map(backend => ({ ...backend, disabled: !canWrite(backend.id) || isOffline }));
+
+  /**
+   * Runs an operation over several images with one shared progress indicator
+   * and records a consolidated result report
+   * @param {string} action - Key of BATCH_ACTIONS
+   * @param {Object[]} images - Images to process
+   * @param {Function} operation - async (image) => void, throws on failure
+   * @returns {Promise<Object[]>} Per-image results ({ image, status, message })
+   */
+  const runBatch = async (action, images, operation) => {
+    setBatchReport(null);
+    setBatchProgress({ action, done: 0, total: images.length });
+    sendCustomAction(`batch_${action}_started`, { count: images.length, backend: activeBackend });
+
+    const results = [];
+    for (const image of images) {
       try {
-        const images = await getImages();
-        setAllImages(images);
-        localStorage.setItem("activeBackend", activeBackend);
+        await operation(image);
+        results.push({ image, status: 'success' });
       } catch (error) {
-        console.error('Failed to load images:', error);
-
-        // Determine error type and provide specific feedback
-        let errorTitle = "Failed to Load Images";
-        let errorDescription = `Could not load images from ${activeBackend}. Please try again.`;
-
-        if (error.code === 'ERR_NETWORK' || error.code === 'ERR_NAME_NOT_RESOLVED') {
-          errorTitle = "Network Connection Error";
-          errorDescription = `Cannot connect to the API server. Using offline mode with sample data.`;
-        } else if (error.code === 'ECONNREFUSED') {
-          errorTitle = "Backend Server Unavailable";
-          errorDescription = `Backend server is not responding. Using offline mode with sample data.`;
-        } else if (error.message?.includes('CORS')) {
-          errorTitle = "CORS Configuration Issue";
-          errorDescription = `Cross-origin request blocked. Using offline mode with sample data.`;
-        } else if (error.response?.status === 404) {
-          errorTitle = "API Endpoint Not Found";
-          errorDescription = `The images endpoint was not found. Using offline mode with sample data.`;
-        }
+        results.push({ image, status: 'error', message: getErrorMessage(error) });
+      }
+      setBatchProgress(prev => ({ ...prev, done: prev.done + 1 }));
+    }
 
-        // Send error to Datadog with enhanced context
-        datadogRum.addError(error, {
-          context: 'image_loading',
-          backend: activeBackend,
-          operation: 'getImages',
-          apiUrl: api_base_url,
-          errorCode: error.code,
-          httpStatus: error.response?.status
-        });
+    const failedCount = results.filter(result => result.status === 'error').length;
+    sendCustomAction(`batch_${action}_completed`, {
+      count: images.length,
+      succeeded: images.length - failedCount,
+      failed: failedCount,
+      backend: activeBackend
+    });
 
-        // Show enhanced user-friendly error
-        toaster.create({
-          title: errorTitle,
-          description: errorDescription,
-          status: "error",
-          duration: 8000,
-        });
+    setBatchProgress(null);
+    setBatchReport({ action, results });
+    return results;
+  };
 
-        // Set empty array as fallback to prevent UI issues
-        setAllImages([]);
-      } finally {
-        setIsLoadingImages(false);
+  /**
+   * Hides the selected images and deletes them after one shared undo window
+   * Failures are reported per image when the window ends (see onCommitPendingDelete).
+   * Offline, the deletes are queued like single ones.
+   */
+  const onBatchDelete = async () => {
+    const backend = activeBackend;
+    const images = selectedImages;
+    const keys = images.map(image => getTrashKey(image, backend));
+
+    if (isOffline) {
+      for (const image of images) {
+        await queueDelete(image, backend);
       }
-    };
+      sendCustomAction('offline_delete_queued', { count: images.length, backend });
+      clearSelection();
+      toaster.info("Deletes Queued", `${images.length} image(s) will be removed from ${toMixedCase(backend)} when you're back online.`);
+      return;
+    }
 
-    loadImages();
-  }, [isUploadSuccessful, isDeleteSuccessful, activeBackend]);
+    images.forEach((image, index) => scheduleDelete(keys[index], { image, backend, batch: true }));
+    sendCustomAction('batch_delete_started', { count: images.length, backend });
+    clearSelection();
+
+    toaster.withAction(
+      "Images Deleted",
+      `${images.length} image(s) will be removed from ${toMixedCase(backend)}.`,
+      {
+        label: "Undo",
+        onClick: () => {
+          const undone = keys.filter(key => undoDelete(key)).length;
+          if (undone > 0) sendCustomAction('batch_delete_undone', { count: undone, backend });
+          if (undone < keys.length) {
+            // Leaving the gallery ends the undo window early
+            toaster.info("Already Deleted", `${keys.length - undone} image(s) were already removed; find them in the Trash.`);
+          }
+        },
+      },
+      UNDO_WINDOW_MS
+    );
+  };
+
+  const onBatchDownload = async () => {
+    const files = [];
+    await runBatch('download', selectedImages, async (image) => {
+      files.push({ name: image.name, data: await fetchImageBlob(image) });
+    });
+
+    if (files.length > 0) {
+      const zip = await createZip(files);
+      downloadBlob(zip, `gallery-${activeBackend}-${new Date().toISOString().slice(0, 10)}.zip`);
+    }
+  };
+
+  const onBatchSendError = async () => {
+    await runBatch('send_error', selectedImages, async (image) => {
+      try {
+        await onSendError(image, { silent: true });
+      } catch (error) {
+        // The thrown ValidationError is the error being sent, not a failure
+        if (!(error instanceof ValidationError)) throw error;
+      }
+    });
+  };
+
+  const onBatchCopy = async (targetBackend) => {
+    await runBatch('copy', selectedImages, (image) => copyImageToBackend(image, targetBackend));
+  };
+
+  /**
+   * Opens an image in the full-screen lightbox, keeping the gallery mounted underneath
+   * @param {Object} image - Image to show
+   */
+  const openLightbox = (image) => {
+    navigate(buildImagePath(getImageKey(image), activeBackend, filters), {
+      state: { backgroundLocation: location },
+    });
+  };
+
+  // Infinite scroll: load the next page as the end of the grid approaches
+  const isLoadMoreVisible = useInViewport(loadMoreRef, { rootMargin: "600px" });
+  useEffect(() => {
+    if (isLoadMoreVisible && !isLoadingImages) {
+      loadMore();
+    }
+  }, [isLoadMoreVisible, isLoadingImages, allImages.length, visibleImages.length, loadMore]);
+
+  /**
+   * Changes and persists the gallery page size
+   * @param {number} size - Images per page
+   */
+  const onPageSizeChange = (size) => {
+    localStorage.setItem("galleryPageSize", String(size));
+    setPageSize(size);
+  };
 
   return (
     <Center>
@@ -628,8 +1243,19 @@ export default function Home() {
         </Heading>
         <br></br>
 
+        <OfflinePanel
+          isOffline={isOffline}
+          cachedAt={cachedAt}
+          outbox={outbox}
+          isReplaying={isReplaying}
+          onReplay={replayOfflineChanges}
+          onResolve={resolveOfflineEntry}
+        />
+
         {/* AI Generation Section */}
-        <ImageChat onImageSave={handleChatImageSave} />
+        <Box ref={chatRef} w="100%" display="flex" justifyContent="center">
+          <ImageChat onImageSave={handleChatImageSave} referenceRequest={chatReference} />
+        </Box>
 
         <br></br>
         <Center>
@@ -663,6 +1289,12 @@ export default function Home() {
                     <FileUpload.ItemPreview type="image/*" />
                     <FileUpload.ItemName />
                     <FileUpload.ItemSizeText />
+                    {uploadCandidates[index]?.optimized && (
+                      <Text fontSize="xs" color="green.300" whiteSpace="nowrap">
+                        → {formatBytes(uploadCandidates[index].file.size)}
+                        {" "}({Math.round((1 - uploadCandidates[index].file.size / file.size) * 100)}% smaller)
+                      </Text>
+                    )}
                     <FileUpload.ItemDeleteTrigger asChild>
                       <IconButton
                         size="sm"
@@ -678,61 +1310,253 @@ export default function Home() {
               </FileUpload.ItemGroup>
             </FileUpload.Root>
 
+            {/* Pre-upload optimization and queue settings */}
+            <Stack direction={{ base: "column", md: "row" }} spacing={2} maxW="400px" width="100%" flexWrap="wrap">
+              <NativeSelect.Root size="sm">
+                <NativeSelect.Field
+                  aria-label="Output format"
+                  value={compressionSettings.enabled ? compressionSettings.format : "off"}
+                  onChange={(e) => {
+                    const value = e.target.value;
+                    updateCompressionSetting("enabled", value !== "off");
+                    if (value !== "off") updateCompressionSetting("format", value);
+                  }}
+                  bg="gray.800"
+                  borderColor="gray.600"
+                >
+                  {Object.entries(OUTPUT_FORMATS).map(([key, format]) => (
+                    <option key={key} value={key}>{format.label}</option>
+                  ))}
+                  <option value="off">No optimization</option>
+                </NativeSelect.Field>
+                <NativeSelect.Indicator />
+              </NativeSelect.Root>
+
+              <NativeSelect.Root size="sm" disabled={!compressionSettings.enabled}>
+                <NativeSelect.Field
+                  aria-label="Maximum dimension"
+                  value={compressionSettings.maxDimension}
+                  onChange={(e) => updateCompressionSetting("maxDimension", Number(e.target.value))}
+                  bg="gray.800"
+                  borderColor="gray.600"
+                >
+                  {[800, 1200, 1600, 2048, 4096].map((size) => (
+                    <option key={size} value={size}>Max {size}px</option>
+                  ))}
+                </NativeSelect.Field>
+                <NativeSelect.Indicator />
+              </NativeSelect.Root>
+
+              <NativeSelect.Root size="sm" disabled={!compressionSettings.enabled}>
+                <NativeSelect.Field
+                  aria-label="Image quality"
+                  value={compressionSettings.quality}
+                  onChange={(e) => updateCompressionSetting("quality", Number(e.target.value))}
+                  bg="gray.800"
+                  borderColor="gray.600"
+                >
+                  <option value={0.9}>High quality</option>
+                  <option value={0.8}>Medium quality</option>
+                  <option value={0.6}>Low quality</option>
+                </NativeSelect.Field>
+                <NativeSelect.Indicator />
+              </NativeSelect.Root>
+
+              <NativeSelect.Root size="sm">
+                <NativeSelect.Field
+                  aria-label="Parallel uploads"
+                  value={uploadConcurrency}
+                  onChange={(e) => setUploadConcurrency(Number(e.target.value))}
+                  bg="gray.800"
+                  borderColor="gray.600"
+                >
+                  {[1, 2, 3, 4].map((count) => (
+                    <option key={count} value={count}>{count} at a time</option>
+                  ))}
+                </NativeSelect.Field>
+                <NativeSelect.Indicator />
+              </NativeSelect.Root>
+
+              <NativeSelect.Root size="sm">
+                <NativeSelect.Field
+                  aria-label={`Upload mode for ${activeBackend}`}
+                  value={uploadMode}
+                  onChange={(e) => onUploadModeChange(e.target.value)}
+                  bg="gray.800"
+                  borderColor="gray.600"
+                >
+                  {Object.entries(UPLOAD_MODES).map(([key, label]) => (
+                    <option key={key} value={key}>{label}</option>
+                  ))}
+                </NativeSelect.Field>
+                <NativeSelect.Indicator />
+              </NativeSelect.Root>
+            </Stack>
+
+            {incompleteUploads.length > 0 && !isUploading && (
+              <Box w="100%" maxW="400px" bg="gray.800" borderRadius="lg" p={3} border="1px solid" borderColor="orange.400">
+                <Text fontSize="sm" color="orange.300" mb={2}>
+                  {incompleteUploads.length} interrupted upload(s) can be resumed
+                </Text>
+                <Stack direction="row" spacing={2}>
+                  <Button size="xs" colorScheme="orange" onClick={onResumeIncompleteUploads}>
+                    Resume
+                  </Button>
+                  <Button size="xs" variant="ghost" onClick={onDiscardIncompleteUploads}>
+                    Discard
+                  </Button>
+                </Stack>
+              </Box>
+            )}
 
             <Button
               bg="yellow.500"
               padding={5}
               size="lg"
               onClick={onFileUpload}
-              loading={isLoading}
-              loadingText={`Uploading ${selectedFiles.length} files...`}
+              loading={isOptimizing}
+              loadingText="Optimizing images..."
               className="upload_button"
-              disabled={selectedFiles.length === 0}
+              disabled={selectedFiles.length === 0 || isUploading || !isWritable}
+              title={writeDisabledReason || undefined}
               color="black"
               _hover={{ bg: "yellow.600" }}
             >
               Upload {selectedFiles.length > 0 ? `${selectedFiles.length} Photos` : 'Photos'}
               <FiUpload style={{ marginLeft: '8px' }} />
             </Button>
+
+            {writeDisabledReason && (
+              <Text fontSize="sm" color="orange.300" textAlign="center">
+                {writeDisabledReason}; uploads and deletes are disabled until it recovers.
+              </Text>
+            )}
+
+            <UploadQueue
+              entries={uploadResults}
+              isUploading={isUploading}
+              onCancel={cancelUpload}
+              onRetryFailed={onRetryFailedUploads}
+              onClear={clearFinished}
+            />
           </VStack>
         </Center>
         <Stack spacing={4} direction="row" align="center" p={5}>
+          {backends.map((backend) => {
+            const isActive = activeBackend === backend.id;
+            return (
+              <Button
+                key={backend.id}
+                size="md"
+                bg={isActive ? 'purple.500' : 'gray.700'}
+                color="white"
+                border="2px solid"
+                borderColor={isActive ? backend.color : 'gray.500'}
+                _hover={{
+                  bg: isActive ? 'purple.600' : 'gray.600',
+                  borderColor: isActive ? backend.color : 'gray.400'
+                }}
+                onClick={() => {
+                  console.log(`Switching to ${backend.id}`);
+                  setActiveBackend(backend.id);
+                }}
+              >
+                <HealthIndicator health={getHealth(backend.id)} label={backend.label} mr={2} />
+                {backend.label}
+              </Button>
+            );
+          })}
           <Button
             size="md"
-            bg={activeBackend === 'mongo' ? 'purple.500' : 'gray.700'}
-            color="white"
-            border={activeBackend === 'mongo' ? '2px solid' : '2px solid'}
-            borderColor={activeBackend === 'mongo' ? 'purple.400' : 'gray.500'}
-            _hover={{
-              bg: activeBackend === 'mongo' ? 'purple.600' : 'gray.600',
-              borderColor: activeBackend === 'mongo' ? 'purple.300' : 'gray.400'
-            }}
-            onClick={() => {
-              console.log('Switching to mongo');
-              setActiveBackend('mongo');
-            }}
+            variant="outline"
+            colorPalette="purple"
+            onClick={() => navigate('/compare')}
+            title="Query both backends side by side"
           >
-            Mongo
+            <FiBarChart2 style={{ marginRight: '6px' }} />
+            Compare
           </Button>
+          <NativeSelect.Root size="sm" width="auto">
+            <NativeSelect.Field
+              aria-label="Images per page"
+              value={pageSize}
+              onChange={(e) => onPageSizeChange(Number(e.target.value))}
+              bg="gray.800"
+              borderColor="gray.600"
+            >
+              {PAGE_SIZE_OPTIONS.map((size) => (
+                <option key={size} value={size}>{size} per page</option>
+              ))}
+            </NativeSelect.Field>
+            <NativeSelect.Indicator />
+          </NativeSelect.Root>
           <Button
             size="md"
-            bg={activeBackend === 'postgres' ? 'purple.500' : 'gray.700'}
-            color="white"
-            border={activeBackend === 'postgres' ? '2px solid' : '2px solid'}
-            borderColor={activeBackend === 'postgres' ? 'purple.400' : 'gray.500'}
-            _hover={{
-              bg: activeBackend === 'postgres' ? 'purple.600' : 'gray.600',
-              borderColor: activeBackend === 'postgres' ? 'purple.300' : 'gray.400'
-            }}
-            onClick={() => {
-              console.log('Switching to postgres');
-              setActiveBackend('postgres');
-            }}
+            variant={isSelectMode ? "solid" : "outline"}
+            colorPalette="purple"
+            onClick={toggleSelectMode}
+            disabled={Boolean(batchProgress)}
           >
-            Postgres
+            <FiCheckSquare style={{ marginRight: '6px' }} />
+            {isSelectMode ? "Done" : "Select"}
           </Button>
         </Stack>
 
+        <GalleryFilters
+          filters={filters}
+          labelCounts={labelCounts}
+          resultCount={visibleImages.length}
+          totalCount={allImages.length}
+          onChange={updateFilters}
+          onToggleLabel={toggleLabel}
+          onClear={clearFilters}
+        />
+
+        {isSelectMode && (
+          <BatchActionBar
+            selectedCount={selectedImages.length}
+            visibleCount={visibleImages.length}
+            copyTargets={copyTargets}
+            canDelete={canDelete}
+            isReadOnly={!isWritable}
+            progress={batchProgress}
+            report={batchReport}
+            handlers={{
+              onSelectAll: selectAll,
+              onClear: clearSelection,
+              onExit: toggleSelectMode,
+              onDelete: onBatchDelete,
+              onDownload: onBatchDownload,
+              onSendError: onBatchSendError,
+              onCopy: onBatchCopy,
+              onDismissReport: () => setBatchReport(null),
+            }}
+          />
+        )}
+
+        {isRefreshingImages && !isLoadingImages && (
+          <Stack direction="row" align="center" spacing={2}>
+            <Spinner size="xs" color="purple.400" />
+            <Text color="gray.400" fontSize="xs">Refreshing…</Text>
+          </Stack>
+        )}
+        {liveStatus === LIVE_STATUS.reconnecting && (
+          <Text color="yellow.400" fontSize="xs">Live updates paused, reconnecting…</Text>
+        )}
+        {newImageCount > 0 && (
+          <Box position="sticky" top={4} zIndex={10}>
+            <Button
+              size="sm"
+              colorPalette="purple"
+              borderRadius="full"
+              boxShadow="lg"
+              onClick={onShowNewImages}
+            >
+              <FiArrowUp />
+              {newImageCount} new {newImageCount === 1 ? 'image' : 'images'}
+            </Button>
+          </Box>
+        )}
         <br></br>
         <SimpleGrid
           columns={{ base: 1, md: 2, lg: cols }}
@@ -756,274 +1580,353 @@ export default function Home() {
                 </div>
               </VStack>
             </Center>
-          ) : allImages.length === 0 ? (
+          ) : visibleImages.length === 0 ? (
             <Center>
-              <Text color="gray.500" fontSize="lg">No images found in {activeBackend}</Text>
+              <Text color="gray.500" fontSize="lg">
+                {hasActiveFilters(filters) && allImages.length > 0
+                  ? `No loaded images match your filters${hasMore ? ' yet' : ''}`
+                  : `No images found in ${activeBackend}`}
+              </Text>
             </Center>
           ) : (
-            allImages.map((image) => {
+            visibleImages.map((image) => {
               // Create a consistent unique key
-              const uniqueKey = image.id || image._id?.$oid || `${image.name}-${image.url}`;
+              const uniqueKey = getImageKey(image);
               const isDropdownOpen = expandedDropdowns[uniqueKey] || false;
+              const isImageSelected = selectedKeys.has(uniqueKey);
 
               const toggleDropdown = () => {
                 setExpandedDropdowns(prev => ({ ...prev, [uniqueKey]: !prev[uniqueKey] }));
               };
 
               return (
-                <Box
-                  key={uniqueKey}
-                  className="image_container elevated-card"
-                  maxW="300px"
-                  position="relative"
-                  borderRadius="xl"
-                  overflow="hidden"
-                  bg="gray.800"
-                  cursor="default"
-                  role="button"
-                  tabIndex={0}
-                  aria-label={`View AI details for ${image.name}`}
-                  aria-expanded={isDropdownOpen}
-                  onKeyDown={(e) => {
-                    if (e.key === 'Enter' || e.key === ' ') {
-                      e.preventDefault();
-                      toggleDropdown();
-                    }
-                  }}
-                  _focus={{
-                    outline: "2px solid",
-                    outlineColor: "purple.400",
-                    outlineOffset: "2px"
-                  }}
-                >
-                  <Box position="relative" display="inline-block">
-                    <Box
-                      position="absolute"
-                      top="10px"
-                      left="10px"
-                      zIndex={10}
-                      display="flex"
-                      flexDirection="column"
-                      gap="8px"
-                    >
-                      <IconButton
-                        key={`error_button-${uniqueKey}`}
-                        bg="gray.800"
-                        color="yellow.300"
-                        className="error_button"
-                        colorScheme="yellow"
-                        aria-label="Throw Error"
-                        size="md"
-                        onClick={() => onSendError(image)}
-                      >
-                        <FiAlertTriangle />
-                      </IconButton>
-                      <IconButton
-                        key={`feedback_button-${uniqueKey}`}
-                        bg="gray.800"
-                        color="yellow.300"
-                        className="feedback_button"
-                        colorScheme="orange"
-                        aria-label="Send Feedback"
-                        size="md"
-                        onClick={() => onUnhandledError("User Feedback Error")}
-                      >
-                        <FiMessageCircle />
-                      </IconButton>
-                      <IconButton
-                        key={`delete_button-${uniqueKey}`}
-                        bg="gray.800"
-                        color="red.500"
-                        className="delete_button"
-                        colorScheme="red"
-                        aria-label="Delete Image"
-                        size="md"
-                        loading={deletingImageId === (image.id || image._id?.$oid)}
-                        onClick={() => onFileDelete(image)}
+                <VirtualizedItem key={uniqueKey} estimatedHeight={300}>
+                  <Box
+                    className="image_container elevated-card"
+                    maxW="300px"
+                    position="relative"
+                    borderRadius="xl"
+                    overflow="hidden"
+                    bg="gray.800"
+                    cursor="default"
+                    outline={isImageSelected ? "3px solid" : undefined}
+                    outlineColor={isImageSelected ? "purple.400" : undefined}
+                    role="button"
+                    tabIndex={0}
+                    aria-label={`View AI details for ${image.name}`}
+                    aria-expanded={isDropdownOpen}
+                    onKeyDown={(e) => {
+                      // Keys bubbling up from the buttons inside the card are theirs to handle
+                      if (e.target !== e.currentTarget) return;
+                      if (e.key === 'Enter' || e.key === ' ') {
+                        e.preventDefault();
+                        toggleDropdown();
+                      }
+                    }}
+                    _focus={{
+                      outline: "2px solid",
+                      outlineColor: "purple.400",
+                      outlineOffset: "2px"
+                    }}
+                  >
+                    <Box position="relative" display="inline-block">
+                      {isSelectMode && (
+                        <IconButton
+                          position="absolute"
+                          top="10px"
+                          right="10px"
+                          zIndex={10}
+                          bg="gray.800"
+                          color={isImageSelected ? "purple.300" : "gray.300"}
+                          size="md"
+                          aria-label={`${isImageSelected ? 'Deselect' : 'Select'} ${image.name}`}
+                          aria-pressed={isImageSelected}
+                          onClick={(e) => toggleImageSelection(image, e.shiftKey)}
+                        >
+                          {isImageSelected ? <FiCheckSquare /> : <FiSquare />}
+                        </IconButton>
+                      )}
+                      <Box
+                        position="absolute"
+                        top="10px"
+                        left="10px"
+                        zIndex={10}
+                        display="flex"
+                        flexDirection="column"
+                        gap="8px"
                       >
-                        <FiTrash2 />
-                      </IconButton>
-                    </Box>
-                    <Zoom>
-                      <Image
-                        key={`image-${uniqueKey}`}
-                        borderRadius={15}
-                        boxSize="300px"
-                        src={image.url}
-                        objectFit="cover"
-                        fallback={
-                          <div
-                            style={{
-                              width: '300px',
-                              height: '300px',
-                              backgroundColor: '#2D3748',
-                              borderRadius: '15px',
-                              display: 'flex',
-                              flexDirection: 'column',
-                              alignItems: 'center',
-                              justifyContent: 'center',
-                              color: '#A0AEC0',
-                              padding: '20px',
-                              textAlign: 'center'
-                            }}
+                        <IconButton
+                          key={`error_button-${uniqueKey}`}
+                          bg="gray.800"
+                          color="yellow.300"
+                          className="error_button"
+                          colorScheme="yellow"
+                          aria-label="Throw Error"
+                          size="md"
+                          onClick={() => onSendError(image)}
+                        >
+                          <FiAlertTriangle />
+                        </IconButton>
+                        <IconButton
+                          key={`feedback_button-${uniqueKey}`}
+                          bg="gray.800"
+                          color="yellow.300"
+                          className="feedback_button"
+                          colorScheme="orange"
+                          aria-label="Send Feedback"
+                          size="md"
+                          onClick={() => onUnhandledError("User Feedback Error")}
+                        >
+                          <FiMessageCircle />
+                        </IconButton>
+                        <IconButton
+                          key={`edit_button-${uniqueKey}`}
+                          bg="gray.800"
+                          color="purple.300"
+                          className="edit_button"
+                          aria-label="Edit with AI"
+                          title="Edit with AI"
+                          size="md"
+                          onClick={() => onEditWithAI(image)}
+                          disabled={image.optimistic}
+                        >
+                          <FiEdit3 />
+                        </IconButton>
+                        {canDelete && (
+                          <IconButton
+                            key={`delete_button-${uniqueKey}`}
+                            bg="gray.800"
+                            color="red.500"
+                            className="delete_button"
+                            colorScheme="red"
+                            aria-label="Delete Image"
+                            size="md"
+                            onClick={() => onFileDelete(image)}
+                            disabled={!isWritable || image.optimistic}
+                            title={writeDisabledReason || undefined}
                           >
-                            <div style={{ fontSize: '18px', marginBottom: '10px' }}>📷</div>
-                            <div style={{ fontSize: '14px' }}>Failed to Load</div>
-                            <div style={{ fontSize: '12px', marginTop: '5px', opacity: 0.7 }}>
-                              {image.name}
+                            <FiTrash2 />
+                          </IconButton>
+                        )}
+                      </Box>
+                      <Box
+                        as="button"
+                        display="block"
+                        cursor={isSelectMode ? "pointer" : "zoom-in"}
+                        aria-label={isSelectMode ? `Toggle selection of ${image.name}` : `Open ${image.name} in viewer`}
+                        onClick={(e) => (isSelectMode ? toggleImageSelection(image, e.shiftKey) : openLightbox(image))}
+                      >
+                        <Image
+                          key={`image-${uniqueKey}`}
+                          borderRadius={15}
+                          boxSize="300px"
+                          src={image.url}
+                          objectFit="cover"
+                          fallback={
+                            <div
+                              style={{
+                                width: '300px',
+                                height: '300px',
+                                backgroundColor: '#2D3748',
+                                borderRadius: '15px',
+                                display: 'flex',
+                                flexDirection: 'column',
+                                alignItems: 'center',
+                                justifyContent: 'center',
+                                color: '#A0AEC0',
+                                padding: '20px',
+                                textAlign: 'center'
+                              }}
+                            >
+                              <div style={{ fontSize: '18px', marginBottom: '10px' }}>📷</div>
+                              <div style={{ fontSize: '14px' }}>Failed to Load</div>
+                              <div style={{ fontSize: '12px', marginTop: '5px', opacity: 0.7 }}>
+                                {image.name}
+                              </div>
                             </div>
-                          </div>
-                        }
-                        onError={(e) => {
-                          console.error(`Failed to load image: ${image.url}`, e);
-
-                          // Check if it's a 403 error (access denied)
-                          const isAccessDenied = e.target.src.includes('quickstark-images.s3.amazonaws.com');
-
-                          // Send error to Datadog with more context
-                          datadogRum.addError(new Error(`Image load failed: ${image.name}`), {
-                            imageUrl: image.url,
-                            imageName: image.name,
-                            backend: activeBackend,
-                            errorType: isAccessDenied ? 'S3_ACCESS_DENIED' : 'GENERIC_LOAD_ERROR',
-                            httpStatus: isAccessDenied ? '403' : 'unknown'
-                          });
-                        }}
-                      ></Image>
-                    </Zoom>
-
-                    {/* Filename Overlay */}
-                    <Box
-                      position="absolute"
-                      bottom={0}
-                      left={0}
-                      right={0}
-                      background="linear-gradient(transparent, rgba(0,0,0,0.9))"
-                      p={4}
-                      pt={12}
-                    >
-                      <Text
-                        fontSize="lg"
-                        fontWeight="semibold"
-                        color="white"
-                        noOfLines={2}
-                        wordBreak="break-word"
-                        textShadow="0 2px 4px rgba(0,0,0,0.9)"
-                        letterSpacing="wide"
-                        lineHeight="shorter"
+                          }
+                          onError={(e) => {
+                            console.error(`Failed to load image: ${image.url}`, e);
+
+                            // Check if it's a 403 error (access denied)
+                            const isAccessDenied = e.target.src.includes('quickstark-images.s3.amazonaws.com');
+
+                            // Send error to Datadog with more context
+                            datadogRum.addError(new Error(`Image load failed: ${image.name}`), {
+                              imageUrl: image.url,
+                              imageName: image.name,
+                              backend: activeBackend,
+                              errorType: isAccessDenied ? 'S3_ACCESS_DENIED' : 'GENERIC_LOAD_ERROR',
+                              httpStatus: isAccessDenied ? '403' : 'unknown'
+                            });
+                          }}
+                        ></Image>
+                      </Box>
+
+                      {/* Filename Overlay */}
+                      <Box
+                        position="absolute"
+                        bottom={0}
+                        left={0}
+                        right={0}
+                        background="linear-gradient(transparent, rgba(0,0,0,0.9))"
+                        p={4}
+                        pt={12}
+                      >
+                        <Text
+                          fontSize="lg"
+                          fontWeight="semibold"
+                          color="white"
+                          noOfLines={2}
+                          wordBreak="break-word"
+                          textShadow="0 2px 4px rgba(0,0,0,0.9)"
+                          letterSpacing="wide"
+                          lineHeight="shorter"
+                        >
+                          {image.name}
+                        </Text>
+                      </Box>
+
+                      {/* AI Details Content */}
+                      <Box
+                        position="relative"
+                        bg="gray.800"
+                        transition="all 0.3s ease-in-out"
                       >
-                        {image.name}
-                      </Text>
-                    </Box>
 
-                    {/* AI Details Content */}
-                    <Box
-                      position="relative"
-                      bg="gray.800"
-                      transition="all 0.3s ease-in-out"
-                    >
-
-                      <Collapsible.Root open={isDropdownOpen}>
-                        <Collapsible.Content>
-                          <VStack spacing={4} align="stretch" p={4} pb={12}>
-                            {/* Text Detected Section */}
-                            <Box>
-                              <Text fontSize="sm" fontWeight="bold" color="orange.300" mb={2}>
-                                Text Detected:
-                              </Text>
-                              {image.ai_text?.length > 0 ? (
-                                <Text
-                                  fontSize="xs"
-                                  color="gray.300"
-                                  wordBreak="break-word"
-                                  bg="gray.700"
-                                  p={2}
-                                  borderRadius="sm"
-                                >
-                                  {image.ai_text.join(", ")}
+                        <Collapsible.Root open={isDropdownOpen}>
+                          <Collapsible.Content>
+                            <VStack spacing={4} align="stretch" p={4} pb={12}>
+                              {/* Text Detected Section */}
+                              <Box>
+                                <Text fontSize="sm" fontWeight="bold" color="orange.300" mb={2}>
+                                  Text Detected:
                                 </Text>
-                              ) : (
-                                <Text fontSize="xs" color="gray.300" fontStyle="italic">
-                                  No Text Detected
+                                {image.ai_text?.length > 0 ? (
+                                  <Text
+                                    fontSize="xs"
+                                    color="gray.300"
+                                    wordBreak="break-word"
+                                    bg="gray.700"
+                                    p={2}
+                                    borderRadius="sm"
+                                  >
+                                    {image.ai_text.join(", ")}
+                                  </Text>
+                                ) : (
+                                  <Text fontSize="xs" color="gray.300" fontStyle="italic">
+                                    No Text Detected
+                                  </Text>
+                                )}
+                              </Box>
+
+                              {/* Tags Section */}
+                              <Box>
+                                <Text fontSize="sm" fontWeight="bold" color="green.300" mb={2}>
+                                  Tags:
                                 </Text>
-                              )}
-                            </Box>
-
-                            {/* Tags Section */}
-                            <Box>
-                              <Text fontSize="sm" fontWeight="bold" color="green.300" mb={2}>
-                                Tags:
-                              </Text>
-                              {image.ai_labels?.length > 0 ? (
-                                <Wrap spacing={1}>
-                                  {image.ai_labels.map((label, index) => (
-                                    <WrapItem key={index}>
-                                      <Tag.Root size="sm" colorScheme="green" variant="solid">
-                                        <Tag.Label>{label}</Tag.Label>
-                                      </Tag.Root>
-                                    </WrapItem>
-                                  ))}
-                                </Wrap>
-                              ) : (
-                                <Text fontSize="xs" color="gray.300" fontStyle="italic">
-                                  No Labels Detected
-                                </Text>
-                              )}
-                            </Box>
-                          </VStack>
-                        </Collapsible.Content>
-                      </Collapsible.Root>
-                    </Box>
-
-                    {/* Elegant Chevron */}
-                    <Box
-                      position="absolute"
-                      bottom={3}
-                      right={3}
-                      className="elegant-chevron"
-                      borderRadius="full"
-                      p={1.5}
-                      transform={isDropdownOpen ? "rotate(180deg)" : "rotate(0deg)"}
-                      _hover={{
-                        transform: isDropdownOpen ? "rotate(180deg) scale(1.1)" : "rotate(0deg) scale(1.1)"
-                      }}
-                      zIndex={10}
-                      cursor="pointer"
-                      onClick={(e) => {
-                        e.stopPropagation();
-                        toggleDropdown();
-                      }}
-                      role="button"
-                      tabIndex={0}
-                      aria-label={isDropdownOpen ? "Collapse AI details" : "Expand AI details"}
-                      onKeyDown={(e) => {
-                        if (e.key === 'Enter' || e.key === ' ') {
-                          e.preventDefault();
+                                {image.ai_labels?.length > 0 ? (
+                                  <Wrap spacing={1}>
+                                    {image.ai_labels.map((label, index) => (
+                                      <WrapItem key={index}>
+                                        <Tag.Root
+                                          size="sm"
+                                          colorScheme="green"
+                                          variant="solid"
+                                          cursor="pointer"
+                                          role="button"
+                                          tabIndex={0}
+                                          title={`Filter gallery by "${label}"`}
+                                          onClick={(e) => {
+                                            e.stopPropagation();
+                                            toggleLabel(label);
+                                          }}
+                                          onKeyDown={(e) => {
+                                            if (e.key === 'Enter' || e.key === ' ') {
+                                              e.preventDefault();
+                                              e.stopPropagation();
+                                              toggleLabel(label);
+                                            }
+                                          }}
+                                        >
+                                          <Tag.Label>{label}</Tag.Label>
+                                        </Tag.Root>
+                                      </WrapItem>
+                                    ))}
+                                  </Wrap>
+                                ) : (
+                                  <Text fontSize="xs" color="gray.300" fontStyle="italic">
+                                    No Labels Detected
+                                  </Text>
+                                )}
+                              </Box>
+                            </VStack>
+                          </Collapsible.Content>
+                        </Collapsible.Root>
+                      </Box>
+
+                      {/* Elegant Chevron */}
+                      <Box
+                        position="absolute"
+                        bottom={3}
+                        right={3}
+                        className="elegant-chevron"
+                        borderRadius="full"
+                        p={1.5}
+                        transform={isDropdownOpen ? "rotate(180deg)" : "rotate(0deg)"}
+                        _hover={{
+                          transform: isDropdownOpen ? "rotate(180deg) scale(1.1)" : "rotate(0deg) scale(1.1)"
+                        }}
+                        zIndex={10}
+                        cursor="pointer"
+                        onClick={(e) => {
                           e.stopPropagation();
                           toggleDropdown();
-                        }
-                      }}
-                      _focus={{
-                        outline: "2px solid",
-                        outlineColor: "purple.400",
-                        outlineOffset: "1px"
-                      }}
-                    >
-                      <FiChevronDown
-                        size={20}
-                        color="#ECC94B"
-                        style={{
-                          filter: 'drop-shadow(0 1px 2px rgba(0,0,0,0.6))',
-                          transition: 'all 0.3s cubic-bezier(0.4, 0, 0.2, 1)'
                         }}
-                      />
+                        role="button"
+                        tabIndex={0}
+                        aria-label={isDropdownOpen ? "Collapse AI details" : "Expand AI details"}
+                        onKeyDown={(e) => {
+                          if (e.key === 'Enter' || e.key === ' ') {
+                            e.preventDefault();
+                            e.stopPropagation();
+                            toggleDropdown();
+                          }
+                        }}
+                        _focus={{
+                          outline: "2px solid",
+                          outlineColor: "purple.400",
+                          outlineOffset: "1px"
+                        }}
+                      >
+                        <FiChevronDown
+                          size={20}
+                          color="#ECC94B"
+                          style={{
+                            filter: 'drop-shadow(0 1px 2px rgba(0,0,0,0.6))',
+                            transition: 'all 0.3s cubic-bezier(0.4, 0, 0.2, 1)'
+                          }}
+                        />
+                      </Box>
                     </Box>
                   </Box>
-                </Box>
+                </VirtualizedItem>
               );
             })
           )}
         </SimpleGrid>
+
+        {/* Infinite scroll sentinel */}
+        <Box ref={loadMoreRef} h="1px" w="100%" />
+        {isLoadingMore && (
+          <Stack direction="row" align="center" spacing={2} py={4}>
+            <Spinner size="sm" color="purple.400" />
+            <Text color="purple.300" fontSize="sm">Loading more images...</Text>
+          </Stack>
+        )}
+        {!hasMore && !isLoadingImages && allImages.length > pageSize && (
+          <Text color="gray.500" fontSize="sm" py={4}>All {allImages.length} images loaded</Text>
+        )}
       </VStack>
     </Center>
   );
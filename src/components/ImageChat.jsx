@@ -1,4 +1,4 @@
-import React, { useState, useRef, useEffect } from "react";
+import React, { useState, useRef, useEffect, useMemo } from "react";
 import {
     Box,
     Button,
@@ -11,110 +11,383 @@ import {
     Select,
     IconButton,
     NativeSelect,
+    Progress,
 
     Stack
 } from "@chakra-ui/react";
-import { FiSend, FiSave, FiImage, FiCpu, FiRefreshCw } from "react-icons/fi";
+import { FiSend, FiImage, FiCpu, FiRefreshCw, FiClock, FiPlus, FiGitBranch, FiChevronLeft, FiChevronRight, FiPaperclip, FiX, FiSquare } from "react-icons/fi";
+import { datadogRum } from '@datadog/browser-rum';
 import { useAppToaster } from "../hooks/useAppToaster";
+import { useChatSessions } from "../hooks/useChatSessions";
+import { CHAT_MAX_REQUEST_BYTES, CHAT_TIMEOUT_MS, editImage, editImageStream } from "../api/chat";
+import {
+    appendMessage,
+    appendReply,
+    branchFrom,
+    cancelBranch,
+    createSession,
+    createThumbnail,
+    getSiblings,
+    getThread,
+    isBranching,
+    switchBranch,
+} from "../utils/chatSessions";
+import {
+    SUPPORTED_ATTACHMENT_TYPES,
+    createAttachment,
+    getImageFiles,
+    getMaxReferenceImages,
+    toDataUrl,
+} from "../utils/chatAttachments";
+import {
+    CONTEXT_IMAGE_OPTIONS,
+    DEFAULT_CONTEXT_IMAGES,
+    buildPayloadMessages,
+    getRequestBytes,
+    getRequestSizeLevel,
+} from "../utils/chatPayload";
+import { formatBytes } from "../utils/imageCompression";
+import { getResponseParts } from "../utils/chatResponse";
+import { fetchImageBlob } from "../utils/imageTransfer";
+import ChatImageCarousel from "./ChatImageCarousel";
+import ChatMarkdown from "./ChatMarkdown";
+import ChatSessionList from "./ChatSessionList";
+
+const DEFAULT_MODEL = "gemini-3-pro-image-preview";
+const DEFAULT_RESOLUTION = "1024x1024";
 
-// Use the same base URL as Home.jsx, assuming it's the correct one for image operations
-const API_BASE_URL = "https://api-images.quickstark.com/api/v1";
+// Generation timeouts offered in the settings
+const TIMEOUT_OPTIONS_MS = [30000, 60000, 120000, 300000];
+const CHAT_SETTINGS_STORAGE_KEY = "imageChatSettings";
 
-const ImageChat = ({ onImageSave }) => {
-    const [messages, setMessages] = useState([]);
+// Color of the request size indicator per level (see getRequestSizeLevel)
+const REQUEST_SIZE_COLORS = { ok: "gray.500", warning: "orange.300", over: "red.300" };
+
+/**
+ * Reads the response mode, timeout and image context from localStorage
+ * @returns {{streaming: boolean, timeoutMs: number, contextImages: number}} Settings
+ */
+const getChatSettings = () => {
+    const defaults = { streaming: true, timeoutMs: CHAT_TIMEOUT_MS, contextImages: DEFAULT_CONTEXT_IMAGES };
+    try {
+        const stored = JSON.parse(localStorage.getItem(CHAT_SETTINGS_STORAGE_KEY)) || {};
+        return {
+            streaming: typeof stored.streaming === 'boolean' ? stored.streaming : defaults.streaming,
+            timeoutMs: TIMEOUT_OPTIONS_MS.includes(stored.timeoutMs) ? stored.timeoutMs : defaults.timeoutMs,
+            contextImages: CONTEXT_IMAGE_OPTIONS.includes(stored.contextImages) ? stored.contextImages : defaults.contextImages,
+        };
+    } catch {
+        return defaults;
+    }
+};
+
+/**
+ * Formats an elapsed time as m:ss
+ * @param {number} ms - Milliseconds
+ * @returns {string} Formatted time
+ */
+const formatElapsed = (ms) => {
+    const seconds = Math.floor(ms / 1000);
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+/**
+ * Groups an assistant message's parts for display
+ * Consecutive images share a carousel; text stays where the model put it.
+ * @param {Object[]} parts - Message parts
+ * @returns {Object[]} [{ text part } | { images: [image parts] }]
+ */
+const groupResponseParts = (parts) => parts.reduce((groups, part) => {
+    const last = groups[groups.length - 1];
+    if (!part.image_base64) return [...groups, part];
+    if (last?.images) {
+        last.images.push(part);
+        return groups;
+    }
+    return [...groups, { images: [part] }];
+}, []);
+
+/**
+ * Multi-turn image generation and editing chat
+ * @param {Object} props - Component props
+ * @param {Function} props.onImageSave - (file) => void, saves a generated image to the gallery
+ * @param {Object} [props.referenceRequest] - { image, requestId } from a gallery card's "Edit with AI"
+ */
+const ImageChat = ({ onImageSave, referenceRequest }) => {
+    const { sessions, activeSession, getSession, select, startNew, save, rename, remove } = useChatSessions();
     const [prompt, setPrompt] = useState("");
-    const [isLoading, setIsLoading] = useState(false);
-    const [selectedModel, setSelectedModel] = useState("gemini-3-pro-image-preview");
-    const [resolution, setResolution] = useState("1024x1024");
+    const [loadingSessionId, setLoadingSessionId] = useState(null);
+    const [selectedModel, setSelectedModel] = useState(DEFAULT_MODEL);
+    const [resolution, setResolution] = useState(DEFAULT_RESOLUTION);
+    const [isHistoryOpen, setIsHistoryOpen] = useState(false);
+    const [attachments, setAttachments] = useState([]);
+    const [isAttaching, setIsAttaching] = useState(false);
+    const [isDragging, setIsDragging] = useState(false);
+    const [settings, setSettings] = useState(getChatSettings);
+    // Running generation: { startedAt, progress, message, texts }
+    const [generation, setGeneration] = useState(null);
+    const [now, setNow] = useState(Date.now);
+    const requestRef = useRef(null); // { controller, timedOut, silent } of the running generation
 
     const scrollRef = useRef(null);
+    const fileInputRef = useRef(null);
     const toaster = useAppToaster();
 
-    // Scroll to bottom on new message
+    // The thread shown is the active session's current branch
+    const messages = useMemo(() => getThread(activeSession), [activeSession]);
+    const isLoading = loadingSessionId !== null && loadingSessionId === activeSession?.id;
+    const branching = isBranching(activeSession);
+
+    // Reopened sessions continue with the model and size they used
     useEffect(() => {
-        if (scrollRef.current) {
-            scrollRef.current.scrollTop = scrollRef.current.scrollHeight;
+        if (!activeSession) return;
+        setSelectedModel(activeSession.model || DEFAULT_MODEL);
+        setResolution(activeSession.size || DEFAULT_RESOLUTION);
+    }, [activeSession?.id]);
+
+    const maxAttachments = getMaxReferenceImages(selectedModel);
+    // Switching to a model with a lower limit keeps the attachments but blocks sending
+    const tooManyAttachments = attachments.length > maxAttachments;
+
+    /**
+     * Builds the request body for a thread, leaving out images beyond the context setting
+     * @param {Object[]} thread - Messages up to and including the prompt
+     * @returns {{body: Object, omittedImages: number}} Body and how many images were left out
+     */
+    const buildRequest = (thread) => {
+        const { messages: payloadMessages, omittedImages } = buildPayloadMessages(thread, settings.contextImages);
+        return { body: { model: selectedModel, size: resolution, messages: payloadMessages }, omittedImages };
+    };
+
+    // Size of the next request, before the prompt text (a few bytes at most) is typed
+    const nextRequest = useMemo(() => {
+        if (messages.length === 0 && attachments.length === 0) return null;
+        const { body, omittedImages } = buildRequest([
+            ...messages,
+            { role: "user", parts: [...attachments, { text: "" }] },
+        ]);
+        const bytes = getRequestBytes(body);
+        return { bytes, omittedImages, level: getRequestSizeLevel(bytes, CHAT_MAX_REQUEST_BYTES) };
+    }, [messages, attachments, settings.contextImages, selectedModel, resolution]);
+    const requestTooLarge = nextRequest?.level === 'over';
+
+    /**
+     * Attaches images to the next prompt, up to the model's limit
+     * @param {Array<File|Blob>} files - Images
+     * @param {string} source - 'file' | 'drop' | 'paste' | 'gallery', for RUM
+     * @param {string} [name] - Display name for a single unnamed blob
+     */
+    const addAttachments = async (files, source, name) => {
+        if (files.length === 0) return;
+        const room = maxAttachments - attachments.length;
+        if (files.length > room) {
+            toaster.warning(
+                "Too Many Images",
+                `This model takes up to ${maxAttachments} reference images per prompt${room > 0 ? `; only the first ${room} were added` : ''}.`
+            );
         }
-    }, [messages, isLoading]);
+        if (room <= 0) return;
 
-    const handleSendMessage = async () => {
-        if (!prompt.trim()) return;
+        setIsAttaching(true);
+        const results = await Promise.allSettled(files.slice(0, room).map(file => createAttachment(file, name)));
+        setIsAttaching(false);
 
-        const userMessage = { role: "user", parts: [{ text: prompt }] };
-        const newMessages = [...messages, userMessage];
+        const added = results.filter(result => result.status === 'fulfilled').map(result => result.value);
+        results.filter(result => result.status === 'rejected').forEach(result => {
+            toaster.error("Could Not Attach Image", result.reason.message);
+        });
+        if (added.length === 0) return;
 
-        setMessages(newMessages);
-        setPrompt("");
-        setIsLoading(true);
+        setAttachments(prev => [...prev, ...added].slice(0, maxAttachments));
+        datadogRum.addAction('image_chat_reference_added', { source, count: added.length });
+    };
 
-        try {
-            // Prepare payload for multi-turn api
-            // The API expects: { model, size, messages: [...] }
-            // Each message part needs specific formatting.
+    const removeAttachment = (id) => {
+        setAttachments(prev => prev.filter(attachment => attachment.id !== id));
+    };
+
+    // "Edit with AI" on a gallery card
+    useEffect(() => {
+        if (!referenceRequest) return;
+        const { image } = referenceRequest;
+        fetchImageBlob(image)
+            .then(blob => addAttachments([blob], 'gallery', image.name))
+            .catch(error => toaster.error("Could Not Attach Image", error.message));
+    }, [referenceRequest?.requestId]);
+
+    const handleDrop = (e) => {
+        e.preventDefault();
+        setIsDragging(false);
+        addAttachments(getImageFiles(e.dataTransfer), 'drop');
+    };
+
+    const handlePaste = (e) => {
+        const files = getImageFiles(e.clipboardData);
+        if (files.length === 0) return; // Plain text paste
+        e.preventDefault();
+        addAttachments(files, 'paste');
+    };
 
-            const payloadMessages = newMessages.map(msg => {
-                // Ensure we send correct structure to backend
-                // If it's an assistant message with image, we might need to send back the image_base64 or reference
-                // For now, let's assume we send what we have, but we might need to optimize if images are large
-                // The nano-banana.md example shows specific "image_base64" field for assistant parts.
+    const updateSettings = (changes) => {
+        const next = { ...settings, ...changes };
+        setSettings(next);
+        localStorage.setItem(CHAT_SETTINGS_STORAGE_KEY, JSON.stringify(next));
+    };
+
+    // Tick the elapsed time while generating
+    useEffect(() => {
+        if (!generation) return undefined;
+        setNow(Date.now());
+        const timer = setInterval(() => setNow(Date.now()), 1000);
+        return () => clearInterval(timer);
+    }, [generation?.startedAt]);
+
+    // Don't leave a generation running after leaving the page
+    useEffect(() => () => {
+        if (!requestRef.current) return;
+        requestRef.current.silent = true;
+        requestRef.current.controller.abort();
+    }, []);
 
+    /**
+     * Applies a progress or interim text event from a streamed generation
+     * @param {Object} event - See utils/chatStream.js
+     */
+    const handleStreamEvent = (event) => {
+        setGeneration(current => {
+            if (!current) return current;
+            if (event.type === 'progress') {
                 return {
-                    role: msg.role,
-                    parts: msg.parts.map(part => {
-                        if (part.image_base64) {
-                            return {
-                                image_base64: part.image_base64,
-                                mime_type: part.mime_type
-                            };
-                        }
-                        return { text: part.text };
-                    })
+                    ...current,
+                    progress: typeof event.progress === 'number' ? event.progress : current.progress,
+                    message: event.message || current.message,
                 };
-            });
+            }
+            if (event.type === 'text' && event.text) {
+                return { ...current, texts: [...current.texts, { text: event.text, thought: Boolean(event.thought) }] };
+            }
+            return current;
+        });
+    };
 
-            const response = await fetch(`${API_BASE_URL}/gemini-edit-image`, {
-                method: "POST",
-                headers: { "Content-Type": "application/json" },
-                body: JSON.stringify({
-                    model: selectedModel,
-                    size: resolution,
-                    messages: payloadMessages
-                })
-            });
+    const handleStop = () => {
+        requestRef.current?.controller.abort();
+    };
 
-            if (!response.ok) {
-                const errorData = await response.json();
-                throw new Error(errorData.detail || `API Error: ${response.status}`);
-            }
+    // Scroll to bottom on new message
+    useEffect(() => {
+        if (scrollRef.current) {
+            scrollRef.current.scrollTop = scrollRef.current.scrollHeight;
+        }
+    }, [messages, isLoading, generation]);
 
-            const data = await response.json();
-            // Expecting: { model, mime_type, image_base64, prompt, size }
+    const handleSendMessage = async () => {
+        if (!prompt.trim() || loadingSessionId || isAttaching || tooManyAttachments || requestTooLarge) return;
 
-            if (!data.image_base64) {
-                throw new Error("No image data received from API");
+        if (branching) {
+            datadogRum.addAction('image_chat_branched', { sessionId: activeSession.id });
+        }
+        const base = activeSession || createSession({ model: selectedModel, size: resolution });
+        const withPrompt = appendMessage(
+            { ...base, model: selectedModel, size: resolution },
+            {
+                role: "user",
+                // References go before the instruction, as in the Gemini examples
+                parts: [
+                    ...attachments.map(({ image_base64, mime_type }) => ({ image_base64, mime_type })),
+                    { text: prompt },
+                ],
             }
+        );
+        const newMessages = getThread(withPrompt);
 
-            const assistantMessage = {
-                role: "assistant",
-                parts: [{
-                    image_base64: data.image_base64,
-                    mime_type: data.mime_type || "image/png"
-                }]
-            };
+        // Sessions are saved from the first prompt on, so nothing is lost on refresh
+        save(withPrompt);
+        select(withPrompt.id);
+        setPrompt("");
+        setAttachments([]);
+        setLoadingSessionId(withPrompt.id);
 
-            setMessages([...newMessages, assistantMessage]);
+        // Our own timer rather than axios' timeout, so a timeout can be told apart from Stop
+        const request = { controller: new AbortController(), timedOut: false, silent: false };
+        requestRef.current = request;
+        const timeoutTimer = setTimeout(() => {
+            request.timedOut = true;
+            request.controller.abort();
+        }, settings.timeoutMs);
+        const startedAt = Date.now();
+        const streamedTexts = [];
+        setGeneration({ startedAt, progress: null, message: null, texts: [] });
+
+        try {
+            const { body } = buildRequest(newMessages);
+            const requestOptions = { signal: request.controller.signal, timeout: 0 };
+            // Text and images in any of the shapes utils/chatResponse.js accepts
+            const data = settings.streaming
+                ? await editImageStream(body, {
+                    ...requestOptions,
+                    onEvent: (event) => {
+                        if (event.type === 'text' && event.text) {
+                            streamedTexts.push({ text: event.text, ...(event.thought ? { thought: true } : {}) });
+                        }
+                        handleStreamEvent(event);
+                    },
+                })
+                : (await editImage(body, requestOptions)).data;
+
+            // Text-only replies (thinking, questions, refusals) are shown rather than treated as errors
+            const parts = getResponseParts(data, streamedTexts);
+            const images = parts.filter(part => part.image_base64);
+            if (images.length === 0) {
+                datadogRum.addAction('image_chat_text_only_reply', { model: selectedModel });
+            }
+            const latestImage = images[images.length - 1];
+            const thumbnail = latestImage && await createThumbnail(latestImage.image_base64, latestImage.mime_type);
+            // Saved even if another session is open by now, on top of any rename or
+            // branch switch made while generating; a session deleted meanwhile stays deleted
+            const latest = getSession(withPrompt.id);
+            if (latest) {
+                const withReply = appendReply(latest, withPrompt.activeLeafId, { role: "assistant", parts });
+                await save({ ...withReply, thumbnail: thumbnail || withReply.thumbnail });
+            }
 
         } catch (error) {
-            console.error("Chat error:", error);
-            toaster.create({
-                title: "Generation Failed",
-                description: error.message || "Failed to generate image",
-                status: "error",
-                duration: 5000,
-            });
-            // Optionally remove the last user message if failed, or just show error
+            const elapsedMs = Date.now() - startedAt;
+            // The prompt stays in the thread so it can be retried
+            if (error.code === 'ERR_CANCELED' && request.timedOut) {
+                datadogRum.addAction('image_chat_timed_out', { model: selectedModel, timeoutMs: settings.timeoutMs });
+                toaster.error(
+                    "Generation Timed Out",
+                    `No image after ${formatElapsed(elapsedMs)}. You can allow more time in the chat settings.`
+                );
+            } else if (error.code === 'ERR_CANCELED' && request.silent) {
+                // Unmounted mid-generation; nobody is looking
+            } else if (error.code === 'ERR_CANCELED') {
+                datadogRum.addAction('image_chat_cancelled', { model: selectedModel, elapsedMs });
+                toaster.info("Generation Stopped", `Stopped after ${formatElapsed(elapsedMs)}.`);
+            } else if (error.response?.status === 413) {
+                datadogRum.addAction('image_chat_request_too_large', {
+                    model: selectedModel,
+                    contextImages: settings.contextImages,
+                });
+                toaster.error(
+                    "Request Too Large",
+                    "The API rejected the conversation's size. Send fewer earlier images (chat settings) or fewer references."
+                );
+            } else {
+                console.error("Chat error:", error);
+                toaster.create({
+                    title: "Generation Failed",
+                    description: error.message || "Failed to generate image",
+                    status: "error",
+                    duration: 5000,
+                });
+            }
         } finally {
-            setIsLoading(false);
+            clearTimeout(timeoutTimer);
+            requestRef.current = null;
+            setGeneration(null);
+            setLoadingSessionId(null);
         }
     };
 
@@ -130,7 +403,8 @@ const ImageChat = ({ onImageSave }) => {
             const blob = new Blob([byteArray], { type: mimeType });
 
             const timestamp = new Date().getTime();
-            const filename = `ai-chat-edit-${timestamp}.png`;
+            const extension = mimeType === "image/jpeg" ? "jpg" : mimeType.split("/")[1] || "png";
+            const filename = `ai-chat-edit-${timestamp}.${extension}`;
             const file = new File([blob], filename, { type: mimeType });
 
             if (onImageSave) {
@@ -147,15 +421,45 @@ const ImageChat = ({ onImageSave }) => {
         }
     };
 
-    const handleClearChat = () => {
-        setMessages([]);
+    const handleNewChat = () => {
+        startNew();
         setPrompt("");
+        setAttachments([]);
+    };
+
+    /**
+     * Continues editing from an earlier image, keeping the thread after it as its own branch
+     * @param {Object} message - Assistant message to continue from
+     */
+    const handleBranchFrom = (message) => {
+        save(branchFrom(activeSession, message.id));
+    };
+
+    /**
+     * Shows a sibling branch of a message
+     * @param {Object} message - Message whose siblings are browsed
+     * @param {number} step - -1 for the previous branch, 1 for the next
+     */
+    const handleSwitchBranch = (message, step) => {
+        const siblings = getSiblings(activeSession, message);
+        const target = siblings[siblings.indexOf(message) + step];
+        if (target) save(switchBranch(activeSession, target.id));
+    };
+
+    const handleDeleteSession = (session) => {
+        remove(session);
+        datadogRum.addAction('image_chat_session_deleted', { messages: session.messages.length });
+        toaster.withAction(
+            "Chat Deleted",
+            `"${session.title}" was removed.`,
+            { label: "Undo", onClick: () => save(session) }
+        );
     };
 
     return (
         <Box
             w="100%"
-            maxW="600px"
+            maxW={isHistoryOpen ? "860px" : "600px"}
             bg="gray.800"
             borderRadius="xl"
             border="1px solid"
@@ -165,7 +469,34 @@ const ImageChat = ({ onImageSave }) => {
             display="flex"
             flexDirection="column"
             h="700px" // Fixed height for chat interface
+            position="relative"
+            onDragOver={(e) => {
+                if (!e.dataTransfer.types.includes('Files')) return;
+                e.preventDefault();
+                setIsDragging(true);
+            }}
+            onDragLeave={(e) => {
+                if (!e.currentTarget.contains(e.relatedTarget)) setIsDragging(false);
+            }}
+            onDrop={handleDrop}
         >
+            {isDragging && (
+                <Box
+                    position="absolute"
+                    inset={0}
+                    zIndex={20}
+                    bg="rgba(26, 32, 44, 0.85)"
+                    border="2px dashed"
+                    borderColor="purple.400"
+                    borderRadius="xl"
+                    display="flex"
+                    alignItems="center"
+                    justifyContent="center"
+                    pointerEvents="none"
+                >
+                    <Text color="purple.200">Drop images to use as references</Text>
+                </Box>
+            )}
             {/* Header */}
             <Box p={4} borderBottom="1px solid" borderColor="gray.700" bg="gray.900">
                 <HStack justify="space-between">
@@ -173,9 +504,19 @@ const ImageChat = ({ onImageSave }) => {
                         <FiCpu color="#D6BCFA" />
                         <Text color="purple.300" fontWeight="bold">Nano Banana Chat</Text>
                     </HStack>
-                    <Button size="xs" colorScheme="red" variant="ghost" onClick={handleClearChat}>
-                        Clear
-                    </Button>
+                    <HStack spacing={1}>
+                        <Button
+                            size="xs"
+                            variant={isHistoryOpen ? "subtle" : "ghost"}
+                            onClick={() => setIsHistoryOpen(open => !open)}
+                            aria-pressed={isHistoryOpen}
+                        >
+                            <FiClock /> History{sessions.length > 0 && ` (${sessions.length})`}
+                        </Button>
+                        <Button size="xs" variant="ghost" onClick={handleNewChat} disabled={!activeSession}>
+                            <FiPlus /> New chat
+                        </Button>
+                    </HStack>
                 </HStack>
 
                 {/* Controls */}
@@ -207,118 +548,326 @@ const ImageChat = ({ onImageSave }) => {
                         </NativeSelect.Field>
                         <NativeSelect.Indicator />
                     </NativeSelect.Root>
+
+                    <NativeSelect.Root size="sm" width="auto">
+                        <NativeSelect.Field
+                            value={settings.streaming ? "stream" : "single"}
+                            onChange={(e) => updateSettings({ streaming: e.target.value === "stream" })}
+                            bg="gray.800"
+                            borderColor="gray.600"
+                            aria-label="Response mode"
+                        >
+                            <option value="stream">Stream progress</option>
+                            <option value="single">Single response</option>
+                        </NativeSelect.Field>
+                        <NativeSelect.Indicator />
+                    </NativeSelect.Root>
+
+                    <NativeSelect.Root size="sm" width="auto">
+                        <NativeSelect.Field
+                            value={settings.timeoutMs}
+                            onChange={(e) => updateSettings({ timeoutMs: Number(e.target.value) })}
+                            bg="gray.800"
+                            borderColor="gray.600"
+                            aria-label="Generation timeout"
+                        >
+                            {TIMEOUT_OPTIONS_MS.map(ms => (
+                                <option key={ms} value={ms}>Timeout {formatElapsed(ms)}</option>
+                            ))}
+                        </NativeSelect.Field>
+                        <NativeSelect.Indicator />
+                    </NativeSelect.Root>
+
+                    <NativeSelect.Root size="sm" width="auto">
+                        <NativeSelect.Field
+                            value={settings.contextImages}
+                            onChange={(e) => updateSettings({ contextImages: Number(e.target.value) })}
+                            bg="gray.800"
+                            borderColor="gray.600"
+                            aria-label="Earlier images sent with each prompt"
+                        >
+                            {CONTEXT_IMAGE_OPTIONS.map(count => (
+                                <option key={count} value={count}>
+                                    {count === 0 ? "Send all images" : `Send last ${count} image${count === 1 ? "" : "s"}`}
+                                </option>
+                            ))}
+                        </NativeSelect.Field>
+                        <NativeSelect.Indicator />
+                    </NativeSelect.Root>
                 </Stack>
             </Box>
 
-            {/* Chat Area */}
-            <Box
-                flex="1"
-                overflowY="auto"
-                p={4}
-                css={{
-                    '&::-webkit-scrollbar': { width: '4px' },
-                    '&::-webkit-scrollbar-track': { width: '6px' },
-                    '&::-webkit-scrollbar-thumb': { background: '#555', borderRadius: '24px' },
-                }}
-                ref={scrollRef}
-            >
-                {messages.length === 0 && (
-                    <VStack h="100%" justify="center" opacity={0.5} spacing={4}>
-                        <FiImage size="48px" color="gray" />
-                        <Text color="gray.400" textAlign="center">
-                            Start a conversation to generate and edit images.<br />
-                            Try "Create a cyberpunk city" then "Make it rainy".
-                        </Text>
-                    </VStack>
+            <Box flex="1" display="flex" minH={0}>
+                {isHistoryOpen && (
+                    <Box w="240px" flexShrink={0} overflowY="auto" borderRight="1px solid" borderColor="gray.700" bg="gray.900">
+                        <ChatSessionList
+                            sessions={sessions}
+                            activeId={activeSession?.id ?? null}
+                            onSelect={(session) => select(session.id)}
+                            onRename={rename}
+                            onDelete={handleDeleteSession}
+                        />
+                    </Box>
                 )}
 
-                {messages.map((msg, idx) => (
-                    <Box key={idx} mb={4} alignSelf={msg.role === 'user' ? 'flex-end' : 'flex-start'}>
-                        {msg.role === 'user' ? (
-                            <Box
-                                bg="purple.600"
-                                color="white"
-                                p={3}
-                                borderRadius="lg"
-                                borderBottomRightRadius="0"
-                                maxW="80%"
-                                ml="auto"
-                            >
-                                <Text fontSize="sm">{msg.parts[0].text}</Text>
-                            </Box>
-                        ) : (
-                            <VStack align="start" spacing={2} maxW="100%">
-                                <Box
-                                    bg="gray.700"
-                                    p={2}
-                                    borderRadius="lg"
-                                    borderTopLeftRadius="0"
-                                    border="1px solid"
-                                    borderColor="gray.600"
-                                >
-                                    {msg.parts[0].image_base64 && (
-                                        <VStack>
-                                            <Image
-                                                src={`data:${msg.parts[0].mime_type};base64,${msg.parts[0].image_base64}`}
-                                                borderRadius="md"
-                                                maxH="300px"
-                                                objectFit="contain"
-                                            />
-                                            <Button
-                                                size="xs"
-                                                leftIcon={<FiSave />}
-                                                colorScheme="green"
-                                                variant="solid"
-                                                onClick={() => handleSaveImage(msg.parts[0].image_base64, msg.parts[0].mime_type)}
-                                                w="full"
+                <Box flex="1" display="flex" flexDirection="column" minW={0}>
+                    {/* Chat Area */}
+                    <Box
+                        flex="1"
+                        overflowY="auto"
+                        p={4}
+                        css={{
+                            '&::-webkit-scrollbar': { width: '4px' },
+                            '&::-webkit-scrollbar-track': { width: '6px' },
+                            '&::-webkit-scrollbar-thumb': { background: '#555', borderRadius: '24px' },
+                        }}
+                        ref={scrollRef}
+                    >
+                        {messages.length === 0 && (
+                            <VStack h="100%" justify="center" opacity={0.5} spacing={4}>
+                                <FiImage size="48px" color="gray" />
+                                <Text color="gray.400" textAlign="center">
+                                    Start a conversation to generate and edit images.<br />
+                                    Try "Create a cyberpunk city" then "Make it rainy".
+                                </Text>
+                            </VStack>
+                        )}
+
+                        {messages.map((msg, idx) => {
+                            const siblings = msg.role === 'user' ? getSiblings(activeSession, msg) : [];
+                            const branchIndex = siblings.indexOf(msg);
+                            const isLast = idx === messages.length - 1;
+                            return (
+                                <Box key={msg.id} mb={4} alignSelf={msg.role === 'user' ? 'flex-end' : 'flex-start'}>
+                                    {msg.role === 'user' ? (
+                                        <VStack align="end" spacing={1}>
+                                            <Box
+                                                bg="purple.600"
+                                                color="white"
+                                                p={3}
+                                                borderRadius="lg"
+                                                borderBottomRightRadius="0"
+                                                maxW="80%"
+                                                ml="auto"
+                                            >
+                                                {msg.parts.some(part => part.image_base64) && (
+                                                    <HStack spacing={1} mb={2} flexWrap="wrap">
+                                                        {msg.parts.filter(part => part.image_base64).map((part, partIdx) => (
+                                                            <Image
+                                                                key={partIdx}
+                                                                src={toDataUrl(part)}
+                                                                boxSize="56px"
+                                                                objectFit="cover"
+                                                                borderRadius="sm"
+                                                                alt="Reference image"
+                                                            />
+                                                        ))}
+                                                    </HStack>
+                                                )}
+                                                <Text fontSize="sm">{msg.parts.find(part => part.text)?.text}</Text>
+                                            </Box>
+                                            {siblings.length > 1 && (
+                                                <HStack spacing={0} color="gray.400" fontSize="xs">
+                                                    <IconButton
+                                                        size="2xs"
+                                                        variant="ghost"
+                                                        aria-label="Previous branch"
+                                                        disabled={branchIndex === 0 || !!loadingSessionId}
+                                                        onClick={() => handleSwitchBranch(msg, -1)}
+                                                    >
+                                                        <FiChevronLeft />
+                                                    </IconButton>
+                                                    <Text>Branch {branchIndex + 1}/{siblings.length}</Text>
+                                                    <IconButton
+                                                        size="2xs"
+                                                        variant="ghost"
+                                                        aria-label="Next branch"
+                                                        disabled={branchIndex === siblings.length - 1 || !!loadingSessionId}
+                                                        onClick={() => handleSwitchBranch(msg, 1)}
+                                                    >
+                                                        <FiChevronRight />
+                                                    </IconButton>
+                                                </HStack>
+                                            )}
+                                        </VStack>
+                                    ) : (
+                                        <VStack align="start" spacing={2} maxW="100%">
+                                            <Box
+                                                bg="gray.700"
+                                                p={2}
+                                                borderRadius="lg"
+                                                borderTopLeftRadius="0"
+                                                border="1px solid"
+                                                borderColor="gray.600"
                                             >
-                                                Save to Gallery
-                                            </Button>
+                                                <VStack align="stretch" spacing={2}>
+                                                    {groupResponseParts(msg.parts).map((group, groupIdx) => (group.images ? (
+                                                        <ChatImageCarousel
+                                                            key={groupIdx}
+                                                            images={group.images}
+                                                            onSave={(part) => handleSaveImage(part.image_base64, part.mime_type)}
+                                                        />
+                                                    ) : (
+                                                        <ChatMarkdown
+                                                            key={groupIdx}
+                                                            text={group.text}
+                                                            color={group.thought ? "gray.400" : "gray.100"}
+                                                            fontStyle={group.thought ? "italic" : "normal"}
+                                                        />
+                                                    )))}
+                                                    {!isLast && (
+                                                        <Button
+                                                            size="xs"
+                                                            variant="outline"
+                                                            colorPalette="purple"
+                                                            onClick={() => handleBranchFrom(msg)}
+                                                            disabled={!!loadingSessionId}
+                                                            w="full"
+                                                        >
+                                                            <FiGitBranch /> Continue from here
+                                                        </Button>
+                                                    )}
+                                                </VStack>
+                                            </Box>
                                         </VStack>
                                     )}
                                 </Box>
-                            </VStack>
+                            );
+                        })}
+
+                        {isLoading && generation && (
+                            <Box alignSelf="flex-start" bg="gray.700" p={3} borderRadius="lg" borderTopLeftRadius="0" maxW="90%">
+                                {generation.texts.map((part, partIdx) => (
+                                    <ChatMarkdown
+                                        key={partIdx}
+                                        text={part.text}
+                                        color={part.thought ? "gray.400" : "gray.100"}
+                                        fontStyle={part.thought ? "italic" : "normal"}
+                                        mb={2}
+                                    />
+                                ))}
+                                {generation.progress !== null && (
+                                    <Progress.Root size="xs" value={Math.round(generation.progress * 100)} colorPalette="purple" mb={2}>
+                                        <Progress.Track bg="gray.600">
+                                            <Progress.Range />
+                                        </Progress.Track>
+                                    </Progress.Root>
+                                )}
+                                <HStack spacing={2}>
+                                    <Spinner size="xs" color="purple.400" />
+                                    <Text fontSize="xs" color="gray.400">
+                                        {generation.message || "Thinking..."} · {formatElapsed(now - generation.startedAt)}
+                                        {` / ${formatElapsed(settings.timeoutMs)}`}
+                                    </Text>
+                                    <Button size="2xs" variant="outline" colorPalette="red" onClick={handleStop}>
+                                        <FiSquare /> Stop
+                                    </Button>
+                                </HStack>
+                            </Box>
                         )}
                     </Box>
-                ))}
 
-                {isLoading && (
-                    <Box alignSelf="flex-start" bg="gray.700" p={3} borderRadius="lg" borderTopLeftRadius="0">
-                        <HStack spacing={2}>
-                            <Spinner size="xs" color="purple.400" />
-                            <Text fontSize="xs" color="gray.400">Thinking...</Text>
+                    {/* Input Area */}
+                    <Box p={4} bg="gray.900" borderTop="1px solid" borderColor="gray.700">
+                        {branching && (
+                            <HStack justify="space-between" mb={2}>
+                                <HStack spacing={1} color="purple.300" fontSize="xs">
+                                    <FiGitBranch />
+                                    <Text>Your next prompt starts a new branch from this image</Text>
+                                </HStack>
+                                <Button size="xs" variant="ghost" onClick={() => save(cancelBranch(activeSession))}>
+                                    Cancel
+                                </Button>
+                            </HStack>
+                        )}
+                        {(attachments.length > 0 || isAttaching) && (
+                            <HStack spacing={2} mb={2} flexWrap="wrap" align="center">
+                                {attachments.map(attachment => (
+                                    <Box key={attachment.id} position="relative">
+                                        <Image
+                                            src={toDataUrl(attachment)}
+                                            boxSize="48px"
+                                            objectFit="cover"
+                                            borderRadius="md"
+                                            title={attachment.name}
+                                            alt={attachment.name}
+                                        />
+                                        <IconButton
+                                            size="2xs"
+                                            position="absolute"
+                                            top="-6px"
+                                            right="-6px"
+                                            borderRadius="full"
+                                            colorPalette="gray"
+                                            aria-label={`Remove ${attachment.name}`}
+                                            onClick={() => removeAttachment(attachment.id)}
+                                        >
+                                            <FiX />
+                                        </IconButton>
+                                    </Box>
+                                ))}
+                                {isAttaching && <Spinner size="xs" color="purple.400" />}
+                                <Text fontSize="xs" color={tooManyAttachments ? "red.300" : "gray.500"}>
+                                    {attachments.length}/{maxAttachments} reference images
+                                </Text>
+                            </HStack>
+                        )}
+                        <HStack>
+                            <input
+                                ref={fileInputRef}
+                                type="file"
+                                accept={SUPPORTED_ATTACHMENT_TYPES.join(",")}
+                                multiple
+                                hidden
+                                onChange={(e) => {
+                                    addAttachments(Array.from(e.target.files), 'file');
+                                    e.target.value = "";
+                                }}
+                            />
+                            <IconButton
+                                variant="ghost"
+                                aria-label="Attach reference images"
+                                title="Attach images (or drop / paste them)"
+                                onClick={() => fileInputRef.current?.click()}
+                                disabled={isAttaching || attachments.length >= maxAttachments}
+                            >
+                                <FiPaperclip />
+                            </IconButton>
+                            <Input
+                                placeholder={attachments.length > 0 ? "Describe how to use these images..." : "Describe your image or edit..."}
+                                value={prompt}
+                                onChange={(e) => setPrompt(e.target.value)}
+                                onPaste={handlePaste}
+                                onKeyDown={(e) => {
+                                    if (e.key === 'Enter' && !e.shiftKey) {
+                                        e.preventDefault();
+                                        handleSendMessage();
+                                    }
+                                }}
+                                bg="gray.800"
+                                border="none"
+                                _focus={{ ring: 2, ringColor: "purple.500" }}
+                                disabled={isLoading}
+                            />
+                            <IconButton
+                                icon={<FiSend />}
+                                colorScheme="purple"
+                                onClick={handleSendMessage}
+                                disabled={!!loadingSessionId || !prompt.trim() || isAttaching || tooManyAttachments || requestTooLarge}
+                                isLoading={isLoading}
+                                aria-label="Send message"
+                            />
                         </HStack>
+                        {nextRequest && !isLoading && (
+                            <Text fontSize="xs" color={REQUEST_SIZE_COLORS[nextRequest.level]} mt={2}>
+                                Request {formatBytes(nextRequest.bytes)} of {formatBytes(CHAT_MAX_REQUEST_BYTES)}
+                                {nextRequest.omittedImages > 0 && ` · ${nextRequest.omittedImages} earlier image${nextRequest.omittedImages === 1 ? "" : "s"} left out`}
+                                {nextRequest.level === 'warning' && " · Close to the limit; send fewer earlier images or start a new chat"}
+                                {nextRequest.level === 'over' && " · Too large to send; send fewer earlier images or remove references"}
+                            </Text>
+                        )}
                     </Box>
-                )}
-            </Box>
-
-            {/* Input Area */}
-            <Box p={4} bg="gray.900" borderTop="1px solid" borderColor="gray.700">
-                <HStack>
-                    <Input
-                        placeholder="Describe your image or edit..."
-                        value={prompt}
-                        onChange={(e) => setPrompt(e.target.value)}
-                        onKeyDown={(e) => {
-                            if (e.key === 'Enter' && !e.shiftKey) {
-                                e.preventDefault();
-                                handleSendMessage();
-                            }
-                        }}
-                        bg="gray.800"
-                        border="none"
-                        _focus={{ ring: 2, ringColor: "purple.500" }}
-                        disabled={isLoading}
-                    />
-                    <IconButton
-                        icon={<FiSend />}
-                        colorScheme="purple"
-                        onClick={handleSendMessage}
-                        disabled={isLoading || !prompt.trim()}
-                        isLoading={isLoading}
-                        aria-label="Send message"
-                    />
-                </HStack>
+                </Box>
             </Box>
         </Box>
     );
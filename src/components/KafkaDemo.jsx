@@ -16,8 +16,7 @@ import {
 } from '@chakra-ui/react';
 import { FiPlay, FiSquare, FiActivity, FiServer } from 'react-icons/fi';
 import { useAppToaster } from '../hooks/useAppToaster';
-
-const API_BASE_URL = "https://api-images.quickstark.com/api/v1/kafka-demo";
+import { getKafkaStatus, startKafkaDemo, stopKafkaDemo, updateKafkaFaults } from '../api/kafka';
 
 const KafkaDemo = () => {
     const { create: toast } = useAppToaster();
@@ -35,9 +34,7 @@ const KafkaDemo = () => {
 
     const fetchStatus = useCallback(async () => {
         try {
-            const response = await fetch(`${API_BASE_URL}/status`);
-            if (!response.ok) throw new Error('Failed to fetch status');
-            const data = await response.json();
+            const { data } = await getKafkaStatus();
             setStatus(data);
             setLastUpdated(new Date());
             // Sync local fault config with server state if not currently editing? 
@@ -61,23 +58,12 @@ const KafkaDemo = () => {
     const handleStart = async () => {
         setIsLoading(true);
         try {
-            const response = await fetch(`${API_BASE_URL}/start`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    rate_per_sec: 5,
-                    scenario: "f1",
-                    topic_prefix: "f1",
-                    fault: faultConfig
-                })
+            const { data } = await startKafkaDemo({
+                rate_per_sec: 5,
+                scenario: "f1",
+                topic_prefix: "f1",
+                fault: faultConfig
             });
-
-            if (!response.ok) {
-                const err = await response.json();
-                throw new Error(err.detail || 'Failed to start demo');
-            }
-
-            const data = await response.json();
             setStatus(data);
             toast({
                 title: "Demo Started",
@@ -99,11 +85,7 @@ const KafkaDemo = () => {
     const handleStop = async () => {
         setIsLoading(true);
         try {
-            const response = await fetch(`${API_BASE_URL}/stop`, {
-                method: 'POST'
-            });
-
-            if (!response.ok) throw new Error('Failed to stop demo');
+            await stopKafkaDemo();
 
             // Immediately fetch status to confirm stop
             await fetchStatus();
@@ -128,13 +110,7 @@ const KafkaDemo = () => {
     const updateFaults = async () => {
         setIsLoading(true);
         try {
-            const response = await fetch(`${API_BASE_URL}/fault`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ fault: faultConfig })
-            });
-
-            if (!response.ok) throw new Error('Failed to update faults');
+            await updateKafkaFaults(faultConfig);
 
             await fetchStatus();
             toast({
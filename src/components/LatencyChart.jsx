@@ -0,0 +1,54 @@
+import React from "react";
+import { Box, HStack, Text } from "@chakra-ui/react";
+
+const WIDTH = 480;
+const HEIGHT = 120;
+const PADDING = 8;
+
+/**
+ * Small line chart of request latency per run
+ * @param {Object} props - Component props
+ * @param {Object[]} props.series - [{ id, label, color, values: number[] }]
+ * @returns {JSX.Element} SVG chart with legend
+ */
+export default function LatencyChart({ series }) {
+  const runCount = Math.max(0, ...series.map(line => line.values.length));
+  const maxValue = Math.max(1, ...series.flatMap(line => line.values));
+
+  const toPoint = (value, index) => {
+    const x = PADDING + (runCount > 1 ? (index * (WIDTH - 2 * PADDING)) / (runCount - 1) : (WIDTH - 2 * PADDING) / 2);
+    const y = HEIGHT - PADDING - (value / maxValue) * (HEIGHT - 2 * PADDING);
+    return [x, y];
+  };
+
+  return (
+    <Box>
+      <Box as="svg" viewBox={`0 0 ${WIDTH} ${HEIGHT}`} w="100%" h="120px" bg="gray.900" borderRadius="md"
+        role="img" aria-label="Latency per run in milliseconds">
+        {series.map(line => (
+          <g key={line.id}>
+            <polyline
+              fill="none"
+              stroke={line.color}
+              strokeWidth="2"
+              points={line.values.map((value, index) => toPoint(value, index).join(",")).join(" ")}
+            />
+            {line.values.map((value, index) => {
+              const [x, y] = toPoint(value, index);
+              return <circle key={index} cx={x} cy={y} r="3" fill={line.color} />;
+            })}
+          </g>
+        ))}
+      </Box>
+      <HStack spacing={4} mt={2} fontSize="xs" color="gray.400">
+        {series.map(line => (
+          <HStack key={line.id} spacing={1}>
+            <Box w="10px" h="10px" borderRadius="full" bg={line.color} />
+            <Text>{line.label}</Text>
+          </HStack>
+        ))}
+        <Text ml="auto">max {Math.round(maxValue)} ms</Text>
+      </HStack>
+    </Box>
+  );
+}
@@ -0,0 +1,348 @@
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import {
+  Box,
+  Flex,
+  HStack,
+  IconButton,
+  Image,
+  Spinner,
+  Stack,
+  Tag,
+  Text,
+  VStack,
+  Wrap,
+  WrapItem,
+} from "@chakra-ui/react";
+import { FiChevronLeft, FiChevronRight, FiX } from "react-icons/fi";
+import { useLocation, useNavigate, useParams } from "react-router-dom";
+import Zoom from 'react-medium-image-zoom';
+import "react-medium-image-zoom/dist/styles.css";
+import { datadogRum } from '@datadog/browser-rum';
+
+import { getImage, listImages } from "../api/images";
+import { useEnvContext, useGalleryView } from "./Context";
+import { getImageKey, normalizeImagePage } from "../hooks/usePaginatedImages";
+import { formatBytes } from "../utils/imageCompression";
+import {
+  buildImagePath,
+  filterImages,
+  getImageTimestamp,
+  parseFilters,
+  serializeFilters,
+  sortImages,
+} from "../utils/galleryFilters";
+
+// Images fetched when the lightbox is opened from a deep link
+const DEEP_LINK_PAGE_SIZE = 100;
+// Minimum horizontal swipe distance in pixels
+const SWIPE_THRESHOLD = 50;
+
+/**
+ * Metadata row in the side panel
+ * @param {Object} props - Component props
+ * @param {string} props.label - Field name
+ * @param {React.ReactNode} props.children - Field value
+ */
+const MetadataField = ({ label, children }) => (
+  <Box>
+    <Text fontSize="xs" fontWeight="bold" color="gray.400" textTransform="uppercase" mb={1}>
+      {label}
+    </Text>
+    {children}
+  </Box>
+);
+
+/**
+ * Lightbox - Full-screen image viewer at /image/:id
+ *
+ * Steps through the same (filtered, sorted) order Home is showing, via
+ * arrow keys, swipe or the on-screen buttons. When opened from a deep link
+ * it loads the gallery itself using the backend and filters in the URL.
+ *
+ * @component
+ * @returns {JSX.Element} Full-screen lightbox overlay
+ */
+export default function Lightbox() {
+  const { id } = useParams();
+  const location = useLocation();
+  const navigate = useNavigate();
+  const [activeBackend] = useEnvContext();
+  const [galleryImages] = useGalleryView();
+  const [fetchedImages, setFetchedImages] = useState(null);
+  const [isFetching, setIsFetching] = useState(false);
+  const [dimensions, setDimensions] = useState(null);
+  const touchStartRef = useRef(null);
+  const viewedKeyRef = useRef(null);
+
+  const searchParams = useMemo(() => new URLSearchParams(location.search), [location.search]);
+  const filters = useMemo(() => parseFilters(searchParams), [searchParams]);
+  const backend = searchParams.get('backend') || activeBackend;
+  const imageKey = id;
+
+  const isInGallery = galleryImages.some(image => getImageKey(image) === imageKey);
+  const images = isInGallery ? galleryImages : fetchedImages || [];
+  const index = images.findIndex(image => getImageKey(image) === imageKey);
+  const image = index >= 0 ? images[index] : null;
+
+  // Deep link: load the gallery for this backend and apply the URL filters
+  useEffect(() => {
+    if (isInGallery || fetchedImages) return;
+
+    let cancelled = false;
+    setIsFetching(true);
+    listImages(backend, { limit: DEEP_LINK_PAGE_SIZE, offset: 0 })
+      .then(async res => {
+        const { items } = normalizeImagePage(res.data, DEEP_LINK_PAGE_SIZE, 0);
+        const visible = filterImages(items, filters);
+        // Images past the first page (or outside the filters) are fetched on their own
+        if (!visible.some(item => getImageKey(item) === imageKey)) {
+          const linked = await getImage(backend, imageKey)
+            .then(imageRes => imageRes.data)
+            .catch(error => {
+              if (error.response?.status !== 404) console.error('Failed to load linked image:', error);
+              return null;
+            });
+          if (linked) visible.push(linked);
+        }
+        if (cancelled) return;
+        setFetchedImages(sortImages(visible, filters.sort));
+      })
+      .catch(error => {
+        if (cancelled) return;
+        console.error('Failed to load image for lightbox:', error);
+        setFetchedImages([]);
+      })
+      .finally(() => {
+        if (!cancelled) setIsFetching(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [isInGallery, fetchedImages, backend, filters, imageKey]);
+
+  useEffect(() => {
+    setDimensions(null);
+  }, [imageKey]);
+
+  // Record each image shown, once it is available
+  useEffect(() => {
+    if (!image || viewedKeyRef.current === imageKey) return;
+    viewedKeyRef.current = imageKey;
+    datadogRum.addAction('image_viewed', {
+      imageId: imageKey,
+      imageName: image.name,
+      backend,
+      position: index + 1,
+      total: images.length,
+    });
+  }, [image, imageKey, backend, index, images.length]);
+
+  const close = useCallback(() => {
+    if (location.state?.backgroundLocation) {
+      navigate(-1);
+    } else {
+      const query = serializeFilters(filters).toString();
+      navigate(query ? `/?${query}` : '/');
+    }
+  }, [location.state, navigate, filters]);
+
+  /**
+   * Moves to the previous/next image in gallery order
+   * @param {number} step - -1 for previous, 1 for next
+   */
+  const go = useCallback((step) => {
+    const target = images[index + step];
+    if (!target) return;
+    navigate(buildImagePath(getImageKey(target), backend, filters), {
+      replace: true,
+      state: location.state,
+    });
+  }, [images, index, navigate, backend, filters, location.state]);
+
+  // Keyboard navigation
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'ArrowLeft') go(-1);
+      else if (e.key === 'ArrowRight') go(1);
+      else if (e.key === 'Escape') close();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [go, close]);
+
+  const handleTouchStart = (e) => {
+    touchStartRef.current = e.touches[0].clientX;
+  };
+
+  const handleTouchEnd = (e) => {
+    if (touchStartRef.current === null) return;
+    const deltaX = e.changedTouches[0].clientX - touchStartRef.current;
+    touchStartRef.current = null;
+    if (Math.abs(deltaX) >= SWIPE_THRESHOLD) {
+      go(deltaX > 0 ? -1 : 1);
+    }
+  };
+
+  const timestamp = image ? getImageTimestamp(image) : 0;
+  const size = image ? image.size || image.file_size || image.bytes : null;
+
+  return (
+    <Box
+      position="fixed"
+      inset={0}
+      zIndex={1400}
+      bg="rgba(0, 0, 0, 0.95)"
+      role="dialog"
+      aria-modal="true"
+      aria-label={image ? `Viewing ${image.name}` : "Image viewer"}
+    >
+      <Flex h="100%" direction={{ base: "column", lg: "row" }}>
+        {/* Image area */}
+        <Flex
+          flex="1"
+          position="relative"
+          align="center"
+          justify="center"
+          minH={0}
+          onTouchStart={handleTouchStart}
+          onTouchEnd={handleTouchEnd}
+        >
+          <IconButton
+            position="absolute"
+            top={4}
+            right={4}
+            zIndex={2}
+            variant="ghost"
+            color="white"
+            aria-label="Close viewer"
+            onClick={close}
+          >
+            <FiX />
+          </IconButton>
+
+          {isFetching || (!isInGallery && !fetchedImages) ? (
+            <Spinner size="xl" color="purple.400" />
+          ) : !image ? (
+            <Text color="gray.400">Image not found in {backend}</Text>
+          ) : (
+            <>
+              <IconButton
+                position="absolute"
+                left={4}
+                zIndex={2}
+                variant="ghost"
+                color="white"
+                size="lg"
+                aria-label="Previous image"
+                disabled={index <= 0}
+                onClick={() => go(-1)}
+              >
+                <FiChevronLeft />
+              </IconButton>
+
+              <Zoom>
+                <Image
+                  key={imageKey}
+                  src={image.url}
+                  alt={image.name}
+                  maxH={{ base: "60vh", lg: "90vh" }}
+                  maxW={{ base: "100vw", lg: "calc(100vw - 420px)" }}
+                  objectFit="contain"
+                  onLoad={(e) => setDimensions({
+                    width: e.target.naturalWidth,
+                    height: e.target.naturalHeight,
+                  })}
+                />
+              </Zoom>
+
+              <IconButton
+                position="absolute"
+                right={4}
+                zIndex={2}
+                variant="ghost"
+                color="white"
+                size="lg"
+                aria-label="Next image"
+                disabled={index >= images.length - 1}
+                onClick={() => go(1)}
+              >
+                <FiChevronRight />
+              </IconButton>
+            </>
+          )}
+        </Flex>
+
+        {/* Metadata panel */}
+        {image && (
+          <Box
+            w={{ base: "100%", lg: "360px" }}
+            maxH={{ base: "40vh", lg: "100%" }}
+            overflowY="auto"
+            bg="gray.900"
+            borderLeft={{ lg: "1px solid" }}
+            borderTop={{ base: "1px solid", lg: "none" }}
+            borderColor="gray.700"
+            p={6}
+          >
+            <VStack align="stretch" spacing={5}>
+              <Box>
+                <Text fontSize="lg" fontWeight="semibold" wordBreak="break-word">{image.name}</Text>
+                <Text fontSize="sm" color="gray.500">
+                  {index + 1} of {images.length}
+                </Text>
+              </Box>
+
+              <MetadataField label="Backend">
+                <Text fontSize="sm" color="purple.300" textTransform="capitalize">{backend}</Text>
+              </MetadataField>
+
+              <HStack spacing={8} align="start">
+                <MetadataField label="Size">
+                  <Text fontSize="sm">{size ? formatBytes(size) : "Unknown"}</Text>
+                </MetadataField>
+                <MetadataField label="Dimensions">
+                  <Text fontSize="sm">{dimensions ? `${dimensions.width} × ${dimensions.height}` : "…"}</Text>
+                </MetadataField>
+              </HStack>
+
+              <MetadataField label="Uploaded">
+                <Text fontSize="sm">{timestamp ? new Date(timestamp).toLocaleString() : "Unknown"}</Text>
+              </MetadataField>
+
+              <MetadataField label="Labels">
+                {image.ai_labels?.length > 0 ? (
+                  <Wrap spacing={1}>
+                    {image.ai_labels.map((label, labelIndex) => (
+                      <WrapItem key={labelIndex}>
+                        <Tag.Root size="sm" colorPalette="green" variant="solid">
+                          <Tag.Label>{label}</Tag.Label>
+                        </Tag.Root>
+                      </WrapItem>
+                    ))}
+                  </Wrap>
+                ) : (
+                  <Text fontSize="sm" color="gray.500" fontStyle="italic">No Labels Detected</Text>
+                )}
+              </MetadataField>
+
+              <MetadataField label="Text Detected">
+                {image.ai_text?.length > 0 ? (
+                  <Text fontSize="sm" color="gray.300" bg="gray.800" p={2} borderRadius="sm" wordBreak="break-word">
+                    {image.ai_text.join(", ")}
+                  </Text>
+                ) : (
+                  <Text fontSize="sm" color="gray.500" fontStyle="italic">No Text Detected</Text>
+                )}
+              </MetadataField>
+
+              <Stack fontSize="xs" color="gray.600" pt={2}>
+                <Text>← → to navigate · Esc to close</Text>
+              </Stack>
+            </VStack>
+          </Box>
+        )}
+      </Flex>
+    </Box>
+  );
+}
@@ -0,0 +1,78 @@
+import React, { useState } from "react";
+import {
+  Button,
+  DialogBackdrop,
+  DialogBody,
+  DialogContent,
+  DialogFooter,
+  DialogHeader,
+  DialogRoot,
+  Text,
+  VStack,
+} from "@chakra-ui/react";
+import { FiLogIn } from "react-icons/fi";
+import { useAuth } from "./Context";
+
+/**
+ * Login prompt shown when the API answers 401 or the user picks "Sign in"
+ * Login happens in an Authelia popup so the current page, and any requests
+ * waiting for the login, survive. "Full-page login" falls back to a redirect
+ * that returns to the current route.
+ */
+export default function LoginModal() {
+  const { isLoginOpen, login, completeLogin, dismissLogin, redirectToLogin } = useAuth();
+  const [isChecking, setIsChecking] = useState(false);
+  const [notSignedIn, setNotSignedIn] = useState(false);
+
+  const handleCheck = async () => {
+    setIsChecking(true);
+    const signedIn = await completeLogin();
+    setIsChecking(false);
+    setNotSignedIn(!signedIn);
+  };
+
+  const handleOpenChange = ({ open }) => {
+    if (!open) {
+      setNotSignedIn(false);
+      dismissLogin();
+    }
+  };
+
+  return (
+    <DialogRoot open={isLoginOpen} onOpenChange={handleOpenChange} closeOnInteractOutside={false}>
+      <DialogBackdrop />
+      <DialogContent bg="gray.800" color="white">
+        <DialogHeader fontWeight="semibold">Sign in required</DialogHeader>
+        <DialogBody>
+          <VStack align="stretch" spacing={3}>
+            <Text fontSize="sm" color="gray.300">
+              Your session has expired or you are not signed in. Sign in in the popup window;
+              whatever you were doing is retried automatically once you are back.
+            </Text>
+            {notSignedIn && (
+              <Text fontSize="sm" color="orange.300">
+                No session found yet. Finish signing in in the popup, or use the full-page login.
+              </Text>
+            )}
+          </VStack>
+        </DialogBody>
+        <DialogFooter>
+          <VStack w="100%" align="stretch" spacing={2}>
+            <Button colorPalette="purple" onClick={login}>
+              <FiLogIn style={{ marginRight: '6px' }} /> Sign in
+            </Button>
+            <Button size="sm" variant="outline" onClick={handleCheck} loading={isChecking}>
+              I&apos;ve signed in
+            </Button>
+            <Button size="sm" variant="ghost" onClick={redirectToLogin}>
+              Full-page login
+            </Button>
+            <Button size="sm" variant="ghost" color="gray.400" onClick={() => handleOpenChange({ open: false })}>
+              Cancel
+            </Button>
+          </VStack>
+        </DialogFooter>
+      </DialogContent>
+    </DialogRoot>
+  );
+}
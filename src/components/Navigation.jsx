@@ -1,12 +1,72 @@
-import { Button, Center, Flex, Box, HStack } from "@chakra-ui/react";
+import { Button, Center, Flex, Box, HStack, Menu, Portal, Text } from "@chakra-ui/react";
 import React from "react";
 import { NavLink } from "react-router-dom";
+import { FiLogIn, FiLogOut, FiUser } from "react-icons/fi";
+import { AUTH_STATUS, useAuth, useBackendHealth } from "./Context";
+import HealthIndicator from "./HealthIndicator";
+import { useAppToaster } from "../hooks/useAppToaster";
+
+/**
+ * Signed-in user with a logout action, or a "Sign in" button
+ * Hidden while the session is being checked or Authelia is unreachable.
+ */
+function UserMenu() {
+  const { user, status, login, logout } = useAuth();
+  const toaster = useAppToaster();
+
+  const handleLogout = async () => {
+    try {
+      await logout();
+      toaster.info("Signed Out", "You have been signed out.");
+    } catch (error) {
+      toaster.error("Sign Out Failed", error.message);
+    }
+  };
+
+  if (status === AUTH_STATUS.anonymous) {
+    return (
+      <Button margin={2} size="sm" colorPalette="purple" variant="outline" onClick={login}>
+        <FiLogIn style={{ marginRight: '6px' }} /> Sign in
+      </Button>
+    );
+  }
+  if (status !== AUTH_STATUS.authenticated) return null;
+
+  return (
+    <Menu.Root>
+      <Menu.Trigger asChild>
+        <Button margin={2} size="sm" variant="outline" aria-label="User menu">
+          <FiUser style={{ marginRight: '6px' }} /> {user.displayName}
+        </Button>
+      </Menu.Trigger>
+      <Portal>
+        <Menu.Positioner>
+          <Menu.Content bg="gray.800" color="white">
+            <Box px={3} py={2}>
+              <Text fontSize="sm" fontWeight="semibold">{user.username}</Text>
+              {user.email && <Text fontSize="xs" color="gray.400">{user.email}</Text>}
+            </Box>
+            <Menu.Separator />
+            <Menu.Item value="logout" onClick={handleLogout}>
+              <FiLogOut /> Sign out
+            </Menu.Item>
+          </Menu.Content>
+        </Menu.Positioner>
+      </Portal>
+    </Menu.Root>
+  );
+}
 
 export default function Navigation() {
+  const { api } = useBackendHealth();
+
   return (
     <Box bg='gray.900' px={4}>
       <Flex h={16} alignItems={'center'} justifyContent={'space-between'}>
-        <Box>Image Gallery</Box>
+        <HStack spacing={2}>
+          <Box>Image Gallery</Box>
+          <HealthIndicator health={api} label="API" />
+        </HStack>
         <Flex>
           <Button margin={2}>
             <NavLink
@@ -62,6 +122,41 @@ export default function Navigation() {
               Kafka Demo
             </NavLink>
           </Button>
+
+          <Button margin={2}>
+            <NavLink
+              to="/trash"
+              style={({ isActive }) => {
+                return isActive ? { color: "orange" } : { color: "gray" };
+              }}
+            >
+              Trash
+            </NavLink>
+          </Button>
+
+          <Button margin={2}>
+            <NavLink
+              to="/migrate"
+              style={({ isActive }) => {
+                return isActive ? { color: "orange" } : { color: "gray" };
+              }}
+            >
+              Migrate
+            </NavLink>
+          </Button>
+
+          <Button margin={2}>
+            <NavLink
+              to="/compare"
+              style={({ isActive }) => {
+                return isActive ? { color: "orange" } : { color: "gray" };
+              }}
+            >
+              Compare
+            </NavLink>
+          </Button>
+
+          <UserMenu />
         </Flex>
       </Flex>
     </Box>
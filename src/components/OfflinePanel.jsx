@@ -0,0 +1,92 @@
+import React from "react";
+import {
+  Badge,
+  Box,
+  Button,
+  HStack,
+  Stack,
+  Text,
+  VStack,
+} from "@chakra-ui/react";
+import { FiRefreshCw, FiWifiOff } from "react-icons/fi";
+import { OUTBOX_STATUS } from "../utils/offlineStore";
+
+/**
+ * Offline banner and outbox for uploads/deletes waiting to be sent
+ * Renders nothing while online with an empty outbox.
+ * @param {Object} props - Component props
+ * @param {boolean} props.isOffline - Whether the API is unreachable
+ * @param {number|null} props.cachedAt - When the gallery shown was cached, if it came from the cache
+ * @param {Object[]} props.outbox - Outbox entries
+ * @param {boolean} props.isReplaying - Whether a replay is running
+ * @param {Function} props.onReplay - Sends pending entries now
+ * @param {Function} props.onResolve - (entry, 'retry' | 'discard')
+ */
+export default function OfflinePanel({ isOffline, cachedAt, outbox, isReplaying, onReplay, onResolve }) {
+  if (!isOffline && !cachedAt && outbox.length === 0) return null;
+
+  const pending = outbox.filter(entry => entry.status === OUTBOX_STATUS.pending);
+  const problems = outbox.filter(entry => entry.status !== OUTBOX_STATUS.pending);
+
+  return (
+    <Box
+      w="100%"
+      maxW="1200px"
+      mx="auto"
+      bg="gray.800"
+      borderRadius="lg"
+      p={3}
+      border="1px solid"
+      borderColor={isOffline ? "orange.400" : "gray.600"}
+    >
+      <Stack direction={{ base: "column", md: "row" }} justify="space-between" align={{ md: "center" }} spacing={2}>
+        <HStack spacing={2}>
+          {isOffline && <FiWifiOff color="orange" />}
+          <Text fontSize="sm" color={isOffline ? "orange.300" : "gray.300"}>
+            {isOffline ? "Offline" : "Back online"}
+            {cachedAt && ` · showing gallery cached ${new Date(cachedAt).toLocaleString()}`}
+            {pending.length > 0 && ` · ${pending.length} change(s) waiting to sync`}
+          </Text>
+        </HStack>
+        {pending.length > 0 && (
+          <Button size="xs" colorPalette="purple" onClick={onReplay} loading={isReplaying} disabled={isOffline}>
+            <FiRefreshCw style={{ marginRight: '4px' }} /> Sync now
+          </Button>
+        )}
+      </Stack>
+
+      {outbox.length > 0 && (
+        <VStack align="stretch" spacing={1} mt={2} maxH="180px" overflowY="auto">
+          {pending.map(entry => (
+            <Text key={entry.id} fontSize="xs" color="gray.400">
+              {entry.type === 'upload' ? `Upload ${entry.file.name}` : `Delete ${entry.image.name}`} · {entry.backend}
+            </Text>
+          ))}
+          {problems.map(entry => (
+            <HStack key={entry.id} justify="space-between" bg="gray.900" borderRadius="md" p={2}>
+              <Box minW={0}>
+                <HStack spacing={2}>
+                  <Badge colorPalette={entry.status === OUTBOX_STATUS.conflict ? "orange" : "red"}>
+                    {entry.status}
+                  </Badge>
+                  <Text fontSize="xs" truncate>
+                    {entry.type === 'upload' ? entry.file.name : entry.image.name}
+                  </Text>
+                </HStack>
+                <Text fontSize="xs" color="gray.400">{entry.message}</Text>
+              </Box>
+              <HStack spacing={1}>
+                <Button size="2xs" colorPalette="purple" onClick={() => onResolve(entry, 'retry')} disabled={isOffline || isReplaying}>
+                  {entry.status === OUTBOX_STATUS.conflict ? "Upload anyway" : "Retry"}
+                </Button>
+                <Button size="2xs" variant="ghost" onClick={() => onResolve(entry, 'discard')} disabled={isReplaying}>
+                  Discard
+                </Button>
+              </HStack>
+            </HStack>
+          ))}
+        </VStack>
+      )}
+    </Box>
+  );
+}
@@ -1,13 +1,25 @@
 import React, { useEffect } from "react";
-import { useLocation } from "react-router-dom";
+import { matchPath, useLocation } from "react-router-dom";
 import { datadogRum } from "@datadog/browser-rum";
 
+/**
+ * Starts a Datadog RUM view for each navigation to an allowed path
+ * Paths may contain route params (e.g. '/image/:id'); every matching URL
+ * starts its own view named after the pattern, with the params as context.
+ */
 const RumViewTracker = ({ allowedViewPaths }) => {
   const location = useLocation();
 
   useEffect(() => {
-    if (allowedViewPaths && allowedViewPaths.includes(location.pathname)) {
-      datadogRum.startView({ name: location.pathname });
+    const match = allowedViewPaths
+      ?.map(path => matchPath({ path, end: true }, location.pathname))
+      .find(Boolean);
+
+    if (match) {
+      datadogRum.startView({
+        name: match.pattern.path,
+        context: { path: location.pathname, ...match.params },
+      });
       console.log(`Datadog RUM: Started view - ${location.pathname} (allowed)`);
     } else {
       console.log(`Datadog RUM: View not started for ${location.pathname} (path not in allowedViewPaths or prop not provided)`);
@@ -17,4 +29,4 @@ const RumViewTracker = ({ allowedViewPaths }) => {
   return null; // This component does not render anything
 };
 
-export default RumViewTracker; 
\ No newline at end of file
+export default RumViewTracker;
\ No newline at end of file
@@ -0,0 +1,164 @@
+import React, { useEffect, useMemo, useState } from "react";
+import {
+  Box,
+  Button,
+  Center,
+  Container,
+  Flex,
+  Heading,
+  HStack,
+  Image,
+  SimpleGrid,
+  Spinner,
+  Text,
+  VStack,
+} from "@chakra-ui/react";
+import { FiRotateCcw, FiTrash2 } from "react-icons/fi";
+import { datadogRum } from '@datadog/browser-rum';
+
+import { useAppToaster } from "../hooks/useAppToaster";
+import {
+  TRASH_RETENTION_MS,
+  getTrash,
+  purgeFromTrash,
+  restoreFromTrash,
+} from "../utils/trash";
+
+/**
+ * Trash - Recently deleted images
+ *
+ * Lists images deleted from any backend during the last week with
+ * actions to restore them (re-upload the saved copy) or purge them.
+ *
+ * @component
+ * @returns {JSX.Element} Trash view
+ */
+export default function Trash() {
+  const [entries, setEntries] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [busyKey, setBusyKey] = useState(null);
+  const toaster = useAppToaster();
+
+  useEffect(() => {
+    getTrash()
+      .then(setEntries)
+      .finally(() => setIsLoading(false));
+  }, []);
+
+  // Thumbnails come from the saved copy, since the original URL is gone
+  const thumbnails = useMemo(() => {
+    const urls = new Map();
+    entries.forEach(entry => {
+      if (entry.blob) urls.set(entry.key, URL.createObjectURL(entry.blob));
+    });
+    return urls;
+  }, [entries]);
+
+  useEffect(() => () => thumbnails.forEach(url => URL.revokeObjectURL(url)), [thumbnails]);
+
+  const removeEntry = (key) => {
+    setEntries(prev => prev.filter(entry => entry.key !== key));
+  };
+
+  const onRestore = async (entry) => {
+    setBusyKey(entry.key);
+    try {
+      await restoreFromTrash(entry);
+      removeEntry(entry.key);
+      datadogRum.addAction('image_restored', { imageName: entry.image.name, backend: entry.backend });
+      toaster.success("Image Restored", `${entry.image.name} was re-uploaded to ${entry.backend}.`);
+    } catch (error) {
+      console.error('Restore failed:', error);
+      toaster.error("Restore Failed", error.response?.data?.message || error.message);
+    } finally {
+      setBusyKey(null);
+    }
+  };
+
+  const onPurge = async (entry) => {
+    setBusyKey(entry.key);
+    try {
+      await purgeFromTrash(entry.key);
+      removeEntry(entry.key);
+      datadogRum.addAction('image_purged', { imageName: entry.image.name, backend: entry.backend });
+    } finally {
+      setBusyKey(null);
+    }
+  };
+
+  const onEmptyTrash = async () => {
+    await Promise.all(entries.map(entry => purgeFromTrash(entry.key)));
+    datadogRum.addAction('trash_emptied', { count: entries.length });
+    setEntries([]);
+  };
+
+  return (
+    <Container maxW="container.xl" py={8}>
+      <VStack spacing={6} align="stretch">
+        <Flex justify="space-between" align="center" bg="gray.800" p={6} borderRadius="xl">
+          <Box>
+            <Heading size="lg" color="white" mb={1}>Trash</Heading>
+            <Text fontSize="sm" color="gray.400">
+              Deleted images are kept on this device for {TRASH_RETENTION_MS / (24 * 60 * 60 * 1000)} days.
+            </Text>
+          </Box>
+          <Button colorPalette="red" variant="outline" onClick={onEmptyTrash} disabled={entries.length === 0}>
+            <FiTrash2 style={{ marginRight: '8px' }} />
+            Empty Trash
+          </Button>
+        </Flex>
+
+        {isLoading ? (
+          <Center py={12}><Spinner color="purple.400" /></Center>
+        ) : entries.length === 0 ? (
+          <Center py={12}><Text color="gray.500">Trash is empty</Text></Center>
+        ) : (
+          <SimpleGrid columns={{ base: 1, md: 3, lg: 4 }} gap={6}>
+            {entries.map(entry => (
+              <Box key={entry.key} bg="gray.800" borderRadius="xl" overflow="hidden">
+                <Image
+                  src={thumbnails.get(entry.key) || entry.image.url}
+                  alt={entry.image.name}
+                  h="180px"
+                  w="100%"
+                  objectFit="cover"
+                  opacity={0.7}
+                />
+                <VStack align="stretch" spacing={2} p={3}>
+                  <Text fontWeight="semibold" truncate title={entry.image.name}>{entry.image.name}</Text>
+                  <Text fontSize="xs" color="gray.400">
+                    {entry.backend} · deleted {new Date(entry.deletedAt).toLocaleString()}
+                  </Text>
+                  <HStack spacing={2}>
+                    <Button
+                      size="xs"
+                      colorPalette="green"
+                      flex="1"
+                      onClick={() => onRestore(entry)}
+                      loading={busyKey === entry.key}
+                      disabled={!entry.blob || Boolean(busyKey)}
+                      title={entry.blob ? undefined : "No saved copy is available to restore"}
+                    >
+                      <FiRotateCcw style={{ marginRight: '4px' }} />
+                      Restore
+                    </Button>
+                    <Button
+                      size="xs"
+                      colorPalette="red"
+                      variant="ghost"
+                      flex="1"
+                      onClick={() => onPurge(entry)}
+                      disabled={Boolean(busyKey)}
+                    >
+                      Purge
+                    </Button>
+                  </HStack>
+                </VStack>
+              </Box>
+            ))}
+          </SimpleGrid>
+        )}
+      </VStack>
+    </Container>
+  );
+}
@@ -0,0 +1,38 @@
+import { useEffect } from "react";
+import { datadogRum } from '@datadog/browser-rum';
+import { useAppToaster } from "../hooks/useAppToaster";
+import { applyServiceWorkerUpdate, registerServiceWorker } from "../utils/serviceWorker";
+
+const release = import.meta.env.VITE_RELEASE;
+
+/**
+ * Registers the service worker and offers a reload when a new release is deployed
+ * Renders nothing; the prompt is a toast with a "Reload" action.
+ */
+export default function UpdatePrompt() {
+  const toaster = useAppToaster();
+
+  useEffect(() => {
+    registerServiceWorker({
+      onUpdate: (worker, version) => {
+        datadogRum.addAction('app_update_available', { currentRelease: release, newRelease: version });
+        toaster.withAction(
+          "Update Available",
+          version ? `Version ${version} is ready (you have ${release}).` : "A new version is ready.",
+          {
+            label: "Reload",
+            onClick: () => {
+              datadogRum.addAction('app_update_applied', { currentRelease: release, newRelease: version });
+              applyServiceWorkerUpdate(worker);
+            },
+          },
+          Infinity
+        );
+      },
+    }).catch((error) => {
+      console.warn('Service worker registration failed:', error);
+    });
+  }, []); // Register once per page load
+
+  return null;
+}
@@ -0,0 +1,105 @@
+import React from "react";
+import {
+  Box,
+  Button,
+  HStack,
+  IconButton,
+  Progress,
+  Stack,
+  Text,
+  VStack,
+} from "@chakra-ui/react";
+import { FiRefreshCw, FiX } from "react-icons/fi";
+import { formatBytes } from "../utils/imageCompression";
+
+// Display color and label for each queue entry status
+const STATUS_STYLES = {
+  pending: { color: "gray.400", label: "Waiting" },
+  uploading: { color: "purple.300", label: "Uploading" },
+  success: { color: "green.300", label: "Uploaded" },
+  questionable: { color: "orange.300", label: "Flagged" },
+  error: { color: "red.400", label: "Failed" },
+  cancelled: { color: "gray.500", label: "Cancelled" },
+};
+
+/**
+ * Upload queue panel showing per-file progress with cancel and retry actions
+ * @param {Object} props - Component props
+ * @param {Object[]} props.entries - Queue entries from useUploadQueue
+ * @param {boolean} props.isUploading - Whether the queue is currently running
+ * @param {Function} props.onCancel - Called with an entry ID to cancel it
+ * @param {Function} props.onRetryFailed - Re-queues failed entries
+ * @param {Function} props.onClear - Removes finished entries
+ */
+export default function UploadQueue({ entries, isUploading, onCancel, onRetryFailed, onClear }) {
+  if (entries.length === 0) return null;
+
+  const failedCount = entries.filter(entry => entry.status === "error").length;
+  const doneCount = entries.filter(entry => !["pending", "uploading"].includes(entry.status)).length;
+
+  return (
+    <Box w="100%" maxW="400px" bg="gray.800" borderRadius="lg" p={3} border="1px solid" borderColor="gray.700">
+      <HStack justify="space-between" mb={2}>
+        <Text fontSize="sm" fontWeight="bold" color="purple.300">
+          Uploads ({doneCount}/{entries.length})
+        </Text>
+        <HStack spacing={1}>
+          {failedCount > 0 && (
+            <Button size="xs" colorScheme="orange" variant="ghost" onClick={onRetryFailed} disabled={isUploading}>
+              <FiRefreshCw style={{ marginRight: '4px' }} />
+              Retry failed ({failedCount})
+            </Button>
+          )}
+          <Button size="xs" variant="ghost" onClick={onClear} disabled={doneCount === 0}>
+            Clear
+          </Button>
+        </HStack>
+      </HStack>
+
+      <VStack align="stretch" spacing={2}>
+        {entries.map(entry => {
+          const style = STATUS_STYLES[entry.status];
+          const isActive = entry.status === "pending" || entry.status === "uploading";
+
+          return (
+            <Stack key={entry.id} spacing={1}>
+              <HStack justify="space-between">
+                <Text fontSize="xs" color="gray.200" truncate maxW="220px" title={entry.file.name}>
+                  {entry.file.name}
+                  <Text as="span" color="gray.500"> · {formatBytes(entry.file.size)}</Text>
+                </Text>
+                <HStack spacing={1}>
+                  <Text fontSize="xs" color={style.color}>
+                    {entry.status === "uploading" ? `${entry.progress}%` : style.label}
+                  </Text>
+                  {isActive && (
+                    <IconButton
+                      size="2xs"
+                      variant="ghost"
+                      aria-label={`Cancel upload of ${entry.file.name}`}
+                      onClick={() => onCancel(entry.id)}
+                    >
+                      <FiX />
+                    </IconButton>
+                  )}
+                </HStack>
+              </HStack>
+              <Progress.Root
+                size="xs"
+                value={entry.status === "success" || entry.status === "questionable" ? 100 : entry.progress}
+                colorPalette={entry.status === "error" ? "red" : entry.status === "questionable" ? "orange" : "purple"}
+              >
+                <Progress.Track bg="gray.700">
+                  <Progress.Range />
+                </Progress.Track>
+              </Progress.Root>
+              {entry.message && entry.status !== "success" && (
+                <Text fontSize="2xs" color={style.color}>{entry.message}</Text>
+              )}
+            </Stack>
+          );
+        })}
+      </VStack>
+    </Box>
+  );
+}
@@ -0,0 +1,31 @@
+import React, { useLayoutEffect, useRef } from "react";
+import { Box } from "@chakra-ui/react";
+import { useInViewport } from "../hooks/useInViewport";
+
+/**
+ * Renders its children only while near the viewport
+ * Off-screen items are replaced by an empty box of their last measured
+ * height so the grid keeps its layout and scroll position.
+ * @param {Object} props - Component props
+ * @param {React.ReactNode} props.children - Content to virtualize
+ * @param {number} [props.estimatedHeight=300] - Placeholder height before first render
+ * @param {string} [props.rootMargin="1000px"] - How far outside the viewport to keep content mounted
+ */
+export default function VirtualizedItem({ children, estimatedHeight = 300, rootMargin = "1000px", ...rest }) {
+  const ref = useRef(null);
+  const heightRef = useRef(estimatedHeight);
+  const isVisible = useInViewport(ref, { rootMargin });
+
+  // Remember the rendered height for when this item scrolls away
+  useLayoutEffect(() => {
+    if (isVisible && ref.current) {
+      heightRef.current = ref.current.offsetHeight || heightRef.current;
+    }
+  });
+
+  return (
+    <Box ref={ref} minH={isVisible ? undefined : `${heightRef.current}px`} {...rest}>
+      {isVisible ? children : null}
+    </Box>
+  );
+}
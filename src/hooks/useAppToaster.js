@@ -1,12 +1,22 @@
 import { createToaster } from "@chakra-ui/react";
 
 // Centralized toaster configuration for consistent notifications across the app
-const toaster = createToaster({
+// Rendered once by components/AppToaster.jsx
+export const toaster = createToaster({
   placement: "top",
   pauseOnPageIdle: true,
   max: 5, // Limit concurrent toasts
 });
 
+/**
+ * Creates a toast, accepting the `status` option used throughout the app
+ * as an alias for Chakra's `type`
+ * @param {Object} options - Toast options (title, description, status, duration, action)
+ * @returns {string} Toast ID
+ */
+const createToast = ({ status, ...options }) =>
+  toaster.create({ type: status, ...options });
+
 /**
  * Custom hook for application-wide toast notifications
  * Provides consistent styling and behavior across all components
@@ -15,11 +25,11 @@ const toaster = createToaster({
 export const useAppToaster = () => {
   return {
     // Standard toast creation
-    create: toaster.create,
+    create: createToast,
     
     // Enhanced toast methods with consistent styling
     success: (title, description, duration = 3000) => 
-      toaster.create({
+      createToast({
         title,
         description,
         status: "success",
@@ -27,7 +37,7 @@ export const useAppToaster = () => {
       }),
     
     error: (title, description, duration = 6000) => 
-      toaster.create({
+      createToast({
         title,
         description,
         status: "error",
@@ -35,7 +45,7 @@ export const useAppToaster = () => {
       }),
     
     warning: (title, description, duration = 4000) => 
-      toaster.create({
+      createToast({
         title,
         description,
         status: "warning",
@@ -43,7 +53,7 @@ export const useAppToaster = () => {
       }),
     
     info: (title, description, duration = 3000) => 
-      toaster.create({
+      createToast({
         title,
         description,
         status: "info",
@@ -52,19 +62,29 @@ export const useAppToaster = () => {
 
     // Quick feedback methods
     quickSuccess: (message) => 
-      toaster.create({
+      createToast({
         description: message,
         status: "success",
         duration: 2000,
       }),
     
     quickError: (message) => 
-      toaster.create({
+      createToast({
         description: message,
         status: "error",
         duration: 4000,
       }),
 
+    // Toast with an action button (e.g. Undo)
+    withAction: (title, description, action, duration = 5000) =>
+      createToast({
+        title,
+        description,
+        status: "info",
+        duration,
+        action,
+      }),
+
     // Close methods
     close: toaster.close,
     closeAll: toaster.closeAll,
@@ -0,0 +1,104 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { deleteSession, listSessions, saveSession } from "../utils/chatSessions";
+import { useAppToaster } from "./useAppToaster";
+
+// Session reopened after a reload
+const ACTIVE_SESSION_STORAGE_KEY = "imageChatSessionId";
+
+/**
+ * Explains a failed IndexedDB write
+ * @param {Error} error - Error from utils/db.js
+ * @returns {string} Toast description
+ */
+const describeStorageError = (error) =>
+  (error?.name === 'QuotaExceededError'
+    ? "Browser storage is full. Delete older chats to free up space."
+    : error?.message || "The browser refused to store the chat.");
+
+/**
+ * Custom hook managing ImageChat sessions stored in IndexedDB
+ * Changes show up immediately and are written in the background; a session
+ * is only saved once it has a message, so "New chat" leaves nothing behind.
+ * Failed writes keep the change on screen and show a toast.
+ * @returns {Object} sessions, activeSession, isLoaded, getSession and actions (select, startNew, save, rename, remove)
+ */
+export const useChatSessions = () => {
+  const toaster = useAppToaster();
+  const [sessions, setSessions] = useState([]);
+  const sessionsRef = useRef(sessions);
+  sessionsRef.current = sessions;
+  const [activeId, setActiveId] = useState(() => localStorage.getItem(ACTIVE_SESSION_STORAGE_KEY));
+  const [isLoaded, setIsLoaded] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    listSessions().then((stored) => {
+      if (cancelled) return;
+      setSessions(stored);
+      setIsLoaded(true);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  useEffect(() => {
+    if (activeId) {
+      localStorage.setItem(ACTIVE_SESSION_STORAGE_KEY, activeId);
+    } else {
+      localStorage.removeItem(ACTIVE_SESSION_STORAGE_KEY);
+    }
+  }, [activeId]);
+
+  /**
+   * Stores a new or updated session and keeps the list ordered by last update
+   * @param {Object} session - Session
+   * @returns {Promise<void>} Resolves once written
+   */
+  const save = useCallback(async (session) => {
+    setSessions(prev => [session, ...prev.filter(item => item.id !== session.id)]
+      .sort((a, b) => b.updatedAt - a.updatedAt));
+    try {
+      await saveSession(session);
+    } catch (error) {
+      console.warn('Could not save chat session:', error);
+      toaster.error("Chat Not Saved", describeStorageError(error));
+    }
+  }, [toaster]);
+
+  const rename = useCallback((session, title) => {
+    const trimmed = title.trim();
+    if (!trimmed || trimmed === session.title) return Promise.resolve();
+    // Renaming doesn't move the session to the top
+    setSessions(prev => prev.map(item => (item.id === session.id ? { ...item, title: trimmed } : item)));
+    return saveSession({ ...session, title: trimmed }).catch(error => {
+      console.warn('Could not rename chat session:', error);
+      toaster.error("Chat Not Renamed", describeStorageError(error));
+    });
+  }, [toaster]);
+
+  const remove = useCallback(async (session) => {
+    setSessions(prev => prev.filter(item => item.id !== session.id));
+    setActiveId(current => (current === session.id ? null : current));
+    try {
+      await deleteSession(session.id);
+    } catch (error) {
+      console.warn('Could not delete chat session:', error);
+      toaster.error("Chat Not Deleted", describeStorageError(error));
+    }
+  }, [toaster]);
+
+  const startNew = useCallback(() => setActiveId(null), []);
+
+  /**
+   * Latest version of a session, including changes made after a caller read it
+   * @param {string} id - Session id
+   * @returns {Object|null} Session, or null once deleted
+   */
+  const getSession = useCallback(id => sessionsRef.current.find(session => session.id === id) || null, []);
+
+  // The stored id may point at a session deleted in another tab; that just shows a new chat
+  const activeSession = sessions.find(session => session.id === activeId) || null;
+
+  return { sessions, activeSession, isLoaded, getSession, select: setActiveId, startNew, save, rename, remove };
+};
@@ -0,0 +1,83 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+
+/**
+ * Custom hook delaying deletes so they can be undone
+ * Scheduled items are reported as pending right away (so the UI can hide
+ * them) and only committed once the undo window has passed, or right away
+ * when the page is left. Commits made while leaving pass `{ leaving: true }`:
+ * onCommit must send its request synchronously (the page may be gone before a
+ * later await resumes) and must not touch component state or show toasts.
+ * @param {Function} onCommit - async (item, { leaving }) => void, performs the real delete
+ * @param {number} delay - Undo window in milliseconds
+ * @returns {Object} pendingKeys and schedule/undo actions
+ */
+export const useDeferredDelete = (onCommit, delay) => {
+  const [pendingKeys, setPendingKeys] = useState(() => new Set());
+  const pendingRef = useRef(new Map()); // key -> { item, timer }
+  const onCommitRef = useRef(onCommit);
+  onCommitRef.current = onCommit;
+
+  const removePending = useCallback((key) => {
+    setPendingKeys(prev => {
+      const next = new Set(prev);
+      next.delete(key);
+      return next;
+    });
+  }, []);
+
+  /**
+   * Runs a delete now, whether its window has passed or the page is going away
+   * @param {string} key - Key passed to schedule()
+   * @param {boolean} [leaving] - The page or component is going away
+   */
+  const commit = useCallback(async (key, leaving = false) => {
+    const pending = pendingRef.current.get(key);
+    if (!pending) return;
+    clearTimeout(pending.timer);
+    pendingRef.current.delete(key);
+    try {
+      await onCommitRef.current(pending.item, { leaving });
+    } finally {
+      if (!leaving) removePending(key);
+    }
+  }, [removePending]);
+
+  /**
+   * Hides an item now and deletes it after the undo window
+   * @param {string} key - Unique key for the item
+   * @param {*} item - Value passed to onCommit
+   */
+  const schedule = useCallback((key, item) => {
+    if (pendingRef.current.has(key)) return;
+
+    setPendingKeys(prev => new Set(prev).add(key));
+    pendingRef.current.set(key, { item, timer: setTimeout(() => commit(key), delay) });
+  }, [delay, commit]);
+
+  /**
+   * Cancels a scheduled delete
+   * @param {string} key - Key passed to schedule()
+   * @returns {boolean} True if the delete was still pending
+   */
+  const undo = useCallback((key) => {
+    const pending = pendingRef.current.get(key);
+    if (!pending) return false;
+    clearTimeout(pending.timer);
+    pendingRef.current.delete(key);
+    removePending(key);
+    return true;
+  }, [removePending]);
+
+  // The user was told these items will be removed: leaving the page (route change,
+  // closed tab) ends the undo window early rather than dropping the deletes
+  useEffect(() => {
+    const commitAll = () => [...pendingRef.current.keys()].forEach(key => commit(key, true));
+    window.addEventListener('pagehide', commitAll);
+    return () => {
+      window.removeEventListener('pagehide', commitAll);
+      commitAll();
+    };
+  }, [commit]);
+
+  return { pendingKeys, schedule, undo };
+};
@@ -0,0 +1,51 @@
+import { useCallback, useEffect, useMemo, useState } from "react";
+import { useSearchParams } from "react-router-dom";
+import { parseFilters, serializeFilters } from "../utils/galleryFilters";
+
+/**
+ * Custom hook exposing gallery filters stored in the URL query string
+ * @returns {Object} filters, debouncedQuery and update helpers
+ */
+export const useGalleryFilters = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const filters = useMemo(() => parseFilters(searchParams), [searchParams]);
+  const [debouncedQuery, setDebouncedQuery] = useState(filters.query);
+
+  // Avoid refetching from the server on every keystroke
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedQuery(filters.query), 300);
+    return () => clearTimeout(timer);
+  }, [filters.query]);
+
+  /**
+   * Merges changes into the current filters and writes them to the URL
+   * @param {Object} changes - Partial filters
+   */
+  const updateFilters = useCallback((changes) => {
+    setSearchParams(
+      prev => serializeFilters({ ...parseFilters(prev), ...changes }, prev),
+      { replace: true }
+    );
+  }, [setSearchParams]);
+
+  /**
+   * Adds or removes a label filter
+   * @param {string} label - Label to toggle
+   */
+  const toggleLabel = useCallback((label) => {
+    setSearchParams(prev => {
+      const current = parseFilters(prev);
+      const normalized = label.toLowerCase();
+      const labels = current.labels.some(l => l.toLowerCase() === normalized)
+        ? current.labels.filter(l => l.toLowerCase() !== normalized)
+        : [...current.labels, normalized];
+      return serializeFilters({ ...current, labels }, prev);
+    }, { replace: true });
+  }, [setSearchParams]);
+
+  const clearFilters = useCallback(() => {
+    updateFilters({ query: '', labels: [] });
+  }, [updateFilters]);
+
+  return { filters, debouncedQuery, updateFilters, toggleLabel, clearFilters };
+};
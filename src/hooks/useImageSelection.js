@@ -0,0 +1,79 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { getImageKey } from "./usePaginatedImages";
+
+/**
+ * Custom hook managing multi-select over the visible gallery
+ * Supports shift-click ranges in the current display order and drops
+ * selections for images that are no longer shown.
+ * @param {Object[]} visibleImages - Images in display order
+ * @returns {Object} Selection state and actions
+ */
+export const useImageSelection = (visibleImages) => {
+  const [isSelectMode, setIsSelectMode] = useState(false);
+  const [selectedKeys, setSelectedKeys] = useState(() => new Set());
+  const anchorKeyRef = useRef(null);
+
+  // Forget selections that were filtered out or deleted
+  useEffect(() => {
+    setSelectedKeys(prev => {
+      const visibleKeys = new Set(visibleImages.map(getImageKey));
+      const next = new Set([...prev].filter(key => visibleKeys.has(key)));
+      return next.size === prev.size ? prev : next;
+    });
+  }, [visibleImages]);
+
+  /**
+   * Toggles one image, or selects the range from the last clicked image when shift is held
+   * @param {Object} image - Clicked image
+   * @param {boolean} [isRange=false] - Whether shift was held
+   */
+  const toggle = useCallback((image, isRange = false) => {
+    const key = getImageKey(image);
+    // Resolved now: the updater may run later (or twice), after the anchor has moved
+    const keys = visibleImages.map(getImageKey);
+    const anchorIndex = keys.indexOf(anchorKeyRef.current);
+    const targetIndex = keys.indexOf(key);
+
+    setSelectedKeys(prev => {
+      const next = new Set(prev);
+
+      if (isRange && anchorIndex >= 0) {
+        const [start, end] = anchorIndex < targetIndex ? [anchorIndex, targetIndex] : [targetIndex, anchorIndex];
+        keys.slice(start, end + 1).forEach(rangeKey => next.add(rangeKey));
+      } else if (next.has(key)) {
+        next.delete(key);
+      } else {
+        next.add(key);
+      }
+      return next;
+    });
+
+    anchorKeyRef.current = key;
+  }, [visibleImages]);
+
+  const selectAll = useCallback(() => {
+    setSelectedKeys(new Set(visibleImages.map(getImageKey)));
+  }, [visibleImages]);
+
+  const clearSelection = useCallback(() => {
+    setSelectedKeys(new Set());
+    anchorKeyRef.current = null;
+  }, []);
+
+  const toggleSelectMode = useCallback(() => {
+    setIsSelectMode(prev => !prev);
+    clearSelection();
+  }, [clearSelection]);
+
+  const selectedImages = visibleImages.filter(image => selectedKeys.has(getImageKey(image)));
+
+  return {
+    isSelectMode,
+    toggleSelectMode,
+    selectedKeys,
+    selectedImages,
+    toggle,
+    selectAll,
+    clearSelection,
+  };
+};
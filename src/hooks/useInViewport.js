@@ -0,0 +1,51 @@
+import { useEffect, useState } from "react";
+
+// One observer per rootMargin shared by every element using it
+const observers = new Map();
+
+/**
+ * Returns (creating if needed) a shared IntersectionObserver
+ * @param {string} rootMargin - Margin around the viewport
+ * @returns {{observer: IntersectionObserver, callbacks: Map<Element, Function>}} Shared observer
+ */
+const getSharedObserver = (rootMargin) => {
+  if (!observers.has(rootMargin)) {
+    const callbacks = new Map();
+    const observer = new IntersectionObserver((entries) => {
+      entries.forEach(entry => callbacks.get(entry.target)?.(entry.isIntersecting));
+    }, { rootMargin });
+    observers.set(rootMargin, { observer, callbacks });
+  }
+  return observers.get(rootMargin);
+};
+
+/**
+ * Custom hook reporting whether an element is within (or near) the viewport
+ * @param {React.RefObject<Element>} ref - Element to watch
+ * @param {Object} [options] - Hook options
+ * @param {string} [options.rootMargin="0px"] - Margin around the viewport
+ * @param {boolean} [options.initial=false] - Value before the first observation
+ * @returns {boolean} True while the element intersects the (expanded) viewport
+ */
+export const useInViewport = (ref, { rootMargin = "0px", initial = false } = {}) => {
+  const [isInViewport, setIsInViewport] = useState(initial);
+
+  useEffect(() => {
+    const element = ref.current;
+    if (!element || typeof IntersectionObserver === "undefined") {
+      setIsInViewport(true);
+      return;
+    }
+
+    const { observer, callbacks } = getSharedObserver(rootMargin);
+    callbacks.set(element, setIsInViewport);
+    observer.observe(element);
+
+    return () => {
+      observer.unobserve(element);
+      callbacks.delete(element);
+    };
+  }, [ref, rootMargin]);
+
+  return isInViewport;
+};
@@ -0,0 +1,87 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { datadogRum } from '@datadog/browser-rum';
+
+import { imageListScope } from "../api/images";
+import { invalidateQueries } from "../utils/queryCache";
+import { LIVE_STATUS, subscribeToImageEvents } from "../utils/liveEvents";
+import { getImageKey, revokePlaceholderUrl } from "./usePaginatedImages";
+
+/**
+ * Custom hook applying live image events to the loaded gallery
+ * Deletions are applied in place. Images added by someone else are held
+ * back and announced ("N new images") so the grid doesn't reflow under the
+ * user; showPendingImages() puts them at the top. Our own uploads are
+ * already in the list (or replace their optimistic placeholder), so they
+ * never count as new.
+ * @param {Object} options - Hook options
+ * @param {string} options.backend - Active backend id
+ * @param {boolean} options.enabled - Subscribe at all (e.g. backend supports it, not offline)
+ * @param {Object[]} options.images - Loaded list (from usePaginatedImages)
+ * @param {Function} options.mutate - List updater (from usePaginatedImages)
+ * @returns {Object} status, pendingImages and showPendingImages()
+ */
+export const useLiveImageUpdates = ({ backend, enabled, images, mutate }) => {
+  const [status, setStatus] = useState(LIVE_STATUS.connecting);
+  const [pending, setPending] = useState([]);
+  const imagesRef = useRef(images);
+  const mutateRef = useRef(mutate);
+  imagesRef.current = images;
+  mutateRef.current = mutate;
+
+  useEffect(() => {
+    setPending([]);
+    if (!enabled) return undefined;
+
+    const handleAdded = (image) => {
+      const key = getImageKey(image);
+      const list = imagesRef.current;
+      if (list.some(item => getImageKey(item) === key)) return;
+
+      const placeholder = list.find(item => item.optimistic && item.name === image.name);
+      if (placeholder) {
+        mutateRef.current(prev => prev.map(item => (item === placeholder ? image : item)));
+        revokePlaceholderUrl(placeholder);
+        return;
+      }
+      setPending(prev => (prev.some(item => getImageKey(item) === key) ? prev : [image, ...prev]));
+    };
+
+    const handleDeleted = (id) => {
+      setPending(prev => prev.filter(item => getImageKey(item) !== id));
+      if (imagesRef.current.some(item => getImageKey(item) === id)) {
+        mutateRef.current(prev => prev.filter(item => getImageKey(item) !== id));
+      }
+    };
+
+    return subscribeToImageEvents(backend, {
+      onEvent: (event) => {
+        // Other filter combinations of this backend refetch when next shown
+        invalidateQueries(imageListScope(backend));
+        if (event.type === 'image_added' && event.image) handleAdded(event.image);
+        if (event.type === 'image_deleted' && event.id) handleDeleted(event.id);
+      },
+      onStatusChange: (next, { attempt }) => {
+        if (next === LIVE_STATUS.live && attempt > 0) {
+          datadogRum.addAction('live_updates_reconnected', { backend, attempts: attempt });
+        }
+        setStatus(next);
+      },
+    });
+  }, [backend, enabled]);
+
+  // Pending images may reach the list another way (a revalidation, our own upload)
+  const pendingImages = useMemo(() => {
+    const loadedKeys = new Set(images.map(getImageKey));
+    const placeholderNames = new Set(images.filter(image => image.optimistic).map(image => image.name));
+    return pending.filter(image => !loadedKeys.has(getImageKey(image)) && !placeholderNames.has(image.name));
+  }, [pending, images]);
+
+  const showPendingImages = useCallback(() => {
+    if (pendingImages.length === 0) return;
+    datadogRum.addAction('live_images_shown', { backend, count: pendingImages.length });
+    mutate(prev => [...pendingImages, ...prev]);
+    setPending([]);
+  }, [backend, mutate, pendingImages]);
+
+  return { status: enabled ? status : null, pendingImages, showPendingImages };
+};
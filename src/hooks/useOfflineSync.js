@@ -0,0 +1,141 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { datadogRum } from '@datadog/browser-rum';
+
+import { useBackendHealth } from "../components/Context";
+import { HEALTH_STATUS } from "../utils/backendHealth";
+import {
+  OUTBOX_STATUS,
+  getQueuedMutations,
+  queueMutation,
+  removeQueuedMutation,
+  replayMutations,
+} from "../utils/offlineStore";
+
+/**
+ * Custom hook tracking connectivity and the offline outbox
+ * The app counts as offline when the browser reports no network or the API
+ * root fails its health probe. Queued mutations are replayed automatically
+ * once connectivity returns.
+ * @param {Object} [options] - Hook options
+ * @param {Function} [options.onReplayed] - Called with the results after a replay
+ * @returns {Object} isOffline, outbox entries and queue/replay/resolve actions
+ */
+export const useOfflineSync = ({ onReplayed } = {}) => {
+  const { api, refresh: refreshHealth } = useBackendHealth();
+  const [isBrowserOnline, setIsBrowserOnline] = useState(() => navigator.onLine);
+  const [outbox, setOutbox] = useState([]);
+  const [isReplaying, setIsReplaying] = useState(false);
+  // Flaky connections can flip back online mid-replay; a second run would resend the same entries
+  const replayLockRef = useRef(false);
+  const onReplayedRef = useRef(onReplayed);
+  onReplayedRef.current = onReplayed;
+
+  const isOffline = !isBrowserOnline || api?.status === HEALTH_STATUS.down;
+
+  const reloadOutbox = useCallback(async () => {
+    setOutbox(await getQueuedMutations());
+  }, []);
+
+  useEffect(() => {
+    reloadOutbox();
+  }, [reloadOutbox]);
+
+  // Browser connectivity events; re-probe right away instead of waiting for the next interval
+  useEffect(() => {
+    const onOnline = () => {
+      setIsBrowserOnline(true);
+      refreshHealth();
+    };
+    const onOffline = () => setIsBrowserOnline(false);
+    window.addEventListener('online', onOnline);
+    window.addEventListener('offline', onOffline);
+    return () => {
+      window.removeEventListener('online', onOnline);
+      window.removeEventListener('offline', onOffline);
+    };
+  }, [refreshHealth]);
+
+  /**
+   * Replays entries and reports the outcome
+   * Does nothing while another replay is running.
+   * @param {Function} getEntries - async () => outbox entries, read once the lock is held
+   * @param {Object} [options] - Passed to replayMutations
+   * @returns {Promise<Object[]>} Replay results
+   */
+  const runReplay = useCallback(async (getEntries, options) => {
+    if (replayLockRef.current) return [];
+    replayLockRef.current = true;
+    try {
+      const entries = await getEntries();
+      if (entries.length === 0) return [];
+      setIsReplaying(true);
+      const results = await replayMutations(entries, options);
+      const count = (status) => results.filter(result => result.status === status).length;
+      datadogRum.addAction('offline_queue_replayed', {
+        queued: entries.length,
+        replayed: results.length,
+        succeeded: count('success'),
+        conflicts: count(OUTBOX_STATUS.conflict),
+        failed: count(OUTBOX_STATUS.error),
+      });
+      onReplayedRef.current?.(results);
+      return results;
+    } finally {
+      await reloadOutbox();
+      replayLockRef.current = false;
+      setIsReplaying(false);
+    }
+  }, [reloadOutbox]);
+
+  /**
+   * Replays every pending entry
+   * @returns {Promise<Object[]>} Replay results
+   */
+  const replay = useCallback(async () => {
+    return runReplay(async () => (await getQueuedMutations()).filter(entry => entry.status === OUTBOX_STATUS.pending));
+  }, [runReplay]);
+
+  // Replay automatically when coming back online
+  const wasOfflineRef = useRef(isOffline);
+  useEffect(() => {
+    if (wasOfflineRef.current && !isOffline) replay();
+    wasOfflineRef.current = isOffline;
+  }, [isOffline, replay]);
+
+  /**
+   * Queues an upload made while offline
+   * @param {File} file - File to upload
+   * @param {string} backend - Target backend
+   */
+  const queueUpload = useCallback(async (file, backend) => {
+    await queueMutation({ type: 'upload', backend, file });
+    await reloadOutbox();
+  }, [reloadOutbox]);
+
+  /**
+   * Queues a delete made while offline
+   * @param {Object} image - Image to delete
+   * @param {string} backend - Backend it belongs to
+   */
+  const queueDelete = useCallback(async (image, backend) => {
+    await queueMutation({ type: 'delete', backend, image });
+    await reloadOutbox();
+  }, [reloadOutbox]);
+
+  /**
+   * Resolves a conflicting or failed entry
+   * @param {Object} entry - Outbox entry
+   * @param {'retry'|'discard'} resolution - Send it anyway, or drop it
+   */
+  const resolveEntry = useCallback(async (entry, resolution) => {
+    datadogRum.addAction('offline_conflict_resolved', { type: entry.type, resolution, backend: entry.backend });
+    if (resolution === 'discard') {
+      await removeQueuedMutation(entry.id);
+      await reloadOutbox();
+      return;
+    }
+    await runReplay(async () => [entry], { force: true });
+  }, [reloadOutbox, runReplay]);
+
+  return { isOffline, outbox, isReplaying, queueUpload, queueDelete, replay, resolveEntry };
+};
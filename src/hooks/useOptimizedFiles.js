@@ -0,0 +1,40 @@
+import { useEffect, useState } from "react";
+import { compressImage } from "../utils/imageCompression";
+
+/**
+ * Custom hook that prepares selected files for upload
+ * Re-runs compression whenever the selection or settings change and
+ * discards results from superseded runs
+ * @param {File[]} files - Files chosen by the user
+ * @param {Object} settings - Compression settings
+ * @returns {{optimizedFiles: Array<{original: File, file: File, optimized: boolean}>, isOptimizing: boolean}}
+ */
+export const useOptimizedFiles = (files, settings) => {
+  const [optimizedFiles, setOptimizedFiles] = useState([]);
+  const [isOptimizing, setIsOptimizing] = useState(false);
+
+  useEffect(() => {
+    if (files.length === 0) {
+      setOptimizedFiles([]);
+      setIsOptimizing(false);
+      return;
+    }
+
+    let cancelled = false;
+    setIsOptimizing(true);
+
+    Promise.all(files.map((file) => compressImage(file, settings)))
+      .then((results) => {
+        if (!cancelled) setOptimizedFiles(results);
+      })
+      .finally(() => {
+        if (!cancelled) setIsOptimizing(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [files, settings]);
+
+  return { optimizedFiles, isOptimizing };
+};
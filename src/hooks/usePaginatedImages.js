@@ -0,0 +1,257 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { DEFAULT_STALE_TIME_MS, fetchQuery, getQueryData, isQueryStale, setQueryData } from "../utils/queryCache";
+
+/**
+ * Normalizes an /images response into a page
+ * Supports the cursor API ({ items, next_cursor }) as well as servers that
+ * return a bare array, paging those by offset until a short page comes back.
+ * @param {Object|Object[]} data - Response body
+ * @param {number} limit - Requested page size
+ * @param {number} offset - Offset of this page
+ * @returns {{items: Object[], nextCursor: string|null, nextOffset: number|null}} Normalized page
+ */
+export const normalizeImagePage = (data, limit, offset) => {
+  if (Array.isArray(data)) {
+    // Only a full page suggests more; shorter (or unpaged, longer) arrays are the end
+    const hasMore = data.length === limit;
+    return { items: data, nextCursor: null, nextOffset: hasMore ? offset + data.length : null };
+  }
+
+  const items = data?.items || data?.images || [];
+  return { items, nextCursor: data?.next_cursor ?? null, nextOffset: null };
+};
+
+/**
+ * Returns a stable key for an image regardless of backend
+ * @param {Object} image - Image record (Mongo or Postgres)
+ * @returns {string} Unique key
+ */
+export const getImageKey = (image) => image.id || image._id?.$oid || `${image.name}-${image.url}`;
+
+/**
+ * Merges a freshly fetched first page into an already loaded list
+ * The fresh page replaces the first `windowSize` items (so new images appear
+ * and removed ones disappear); later pages are kept as loaded. Optimistic
+ * placeholders are always dropped in favour of server data.
+ * @param {Object[]} current - Loaded list
+ * @param {Object[]} freshPage - First page from the server
+ * @param {number} windowSize - Size of the first page the list was loaded with
+ * @returns {Object[]} Merged list
+ */
+export const mergeFirstPage = (current, freshPage, windowSize) => {
+  const freshKeys = new Set(freshPage.map(getImageKey));
+  const rest = current
+    .filter(image => !image.optimistic)
+    .slice(windowSize)
+    .filter(image => !freshKeys.has(getImageKey(image)));
+  return [...freshPage, ...rest];
+};
+
+/**
+ * Frees the object URL behind an optimistic placeholder's preview
+ * Call once the placeholder has left the list for good.
+ * @param {Object} image - Image record
+ */
+export const revokePlaceholderUrl = (image) => {
+  if (image.optimistic && image.url?.startsWith('blob:')) URL.revokeObjectURL(image.url);
+};
+
+/**
+ * Custom hook loading the gallery one page at a time
+ * The loaded list is kept in the query cache under `queryKey`, so switching
+ * back to a backend or filter shows it instantly (stale-while-revalidate).
+ * Stale lists are revalidated in the background on switch and on window focus.
+ * @param {Function} fetchPage - async ({ limit, cursor, offset }) => response body
+ * @param {Object} options - Hook options
+ * @param {number} options.pageSize - Images per page
+ * @param {string} options.queryKey - Identifies the list (backend + query params, see buildQueryKey)
+ * @param {number} [options.staleTime] - How long a loaded list counts as fresh
+ * @param {Function} [options.onError] - Called with the error when a page fails
+ * @returns {Object} Images, loading flags, loadMore(), revalidate() and mutate()
+ */
+export const usePaginatedImages = (fetchPage, { pageSize, queryKey, staleTime = DEFAULT_STALE_TIME_MS, onError }) => {
+  const [images, setImages] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
+  const [isRefreshing, setIsRefreshing] = useState(false);
+  const [hasMore, setHasMore] = useState(false);
+
+  // Latest callbacks and paging position, readable without re-running effects
+  const fetchPageRef = useRef(fetchPage);
+  const onErrorRef = useRef(onError);
+  const pagingRef = useRef({ cursor: null, offset: 0, generation: 0, inFlight: false });
+  const imagesRef = useRef(images);
+  const queryKeyRef = useRef(queryKey);
+  fetchPageRef.current = fetchPage;
+  onErrorRef.current = onError;
+  imagesRef.current = images;
+  queryKeyRef.current = queryKey;
+
+  /**
+   * Fetches one page, sharing the request with identical in-flight fetches
+   * @param {Object} paging - { limit, cursor, offset }
+   * @returns {Promise<Object|Object[]>} Response body
+   */
+  const requestPage = useCallback((paging) => fetchQuery(
+    `${queryKeyRef.current}#${paging.cursor || paging.offset}`,
+    () => fetchPageRef.current(paging),
+    { staleTime: 0 }
+  ), []);
+
+  /**
+   * Stores the list and paging position for this query
+   * @param {Object[]} list - Loaded images
+   * @param {boolean} more - Whether more pages exist
+   * @param {boolean} fresh - Whether the list was just confirmed by the server
+   */
+  const saveSnapshot = useCallback((list, more, fresh) => {
+    const { cursor, offset } = pagingRef.current;
+    setQueryData(queryKeyRef.current, { images: list, cursor, offset, hasMore: more }, { fresh });
+  }, []);
+
+  /**
+   * Fetches the next page and appends it, skipping images already shown
+   * @param {boolean} reset - Start over from the first page
+   */
+  const loadPage = useCallback(async (reset) => {
+    const paging = pagingRef.current;
+    if (!reset && paging.inFlight) return;
+
+    if (reset) {
+      paging.generation += 1;
+      paging.cursor = null;
+      paging.offset = 0;
+    }
+    const generation = paging.generation;
+    paging.inFlight = true;
+    reset ? setIsLoading(true) : setIsLoadingMore(true);
+
+    try {
+      const data = await requestPage({
+        limit: pageSize,
+        cursor: paging.cursor,
+        offset: paging.offset,
+      });
+      // A newer reset started while this page was loading
+      if (generation !== paging.generation) return;
+
+      const page = normalizeImagePage(data, pageSize, paging.offset);
+      const seen = new Set(reset ? [] : imagesRef.current.map(getImageKey));
+      const fresh = page.items.filter(image => !seen.has(getImageKey(image)));
+      const list = reset ? fresh : [...imagesRef.current, ...fresh];
+
+      imagesRef.current = list;
+      setImages(list);
+      paging.cursor = page.nextCursor;
+      paging.offset += page.items.length;
+
+      // Stop when the server signals the end or only returned duplicates
+      const moreAvailable = page.nextCursor !== null || page.nextOffset !== null;
+      setHasMore(moreAvailable && fresh.length > 0);
+      saveSnapshot(list, moreAvailable && fresh.length > 0, reset);
+    } catch (error) {
+      if (generation !== paging.generation) return;
+      if (reset) setImages([]);
+      setHasMore(false);
+      onErrorRef.current?.(error);
+    } finally {
+      if (generation === paging.generation) {
+        paging.inFlight = false;
+        setIsLoading(false);
+        setIsLoadingMore(false);
+      }
+    }
+  }, [pageSize, requestPage, saveSnapshot]);
+
+  /**
+   * Refetches the first page in the background and merges it into the list
+   * Keeps the images already shown (no spinner, no scroll jump).
+   */
+  const revalidate = useCallback(async () => {
+    const paging = pagingRef.current;
+    if (paging.inFlight) return;
+
+    const generation = paging.generation;
+    const key = queryKeyRef.current;
+    setIsRefreshing(true);
+    try {
+      const data = await requestPage({ limit: pageSize, cursor: null, offset: 0 });
+      if (generation !== paging.generation || key !== queryKeyRef.current) return;
+
+      const page = normalizeImagePage(data, pageSize, 0);
+      const pageHasMore = page.nextCursor !== null || page.nextOffset !== null;
+      // Only a single loaded page adopts the fresh cursor; deeper lists keep their position
+      const isSinglePage = imagesRef.current.length <= pageSize;
+      const more = isSinglePage ? pageHasMore : Boolean(getQueryData(key)?.hasMore);
+      const list = mergeFirstPage(imagesRef.current, page.items, pageSize);
+      imagesRef.current.forEach(revokePlaceholderUrl);
+
+      if (isSinglePage) {
+        paging.cursor = page.nextCursor;
+        paging.offset = page.items.length;
+      }
+      imagesRef.current = list;
+      setImages(list);
+      setHasMore(more);
+      saveSnapshot(list, more, true);
+    } catch (error) {
+      // Background refreshes fail quietly; the cached list stays on screen
+      console.warn('Background refresh failed:', error.message);
+    } finally {
+      setIsRefreshing(false);
+    }
+  }, [pageSize, requestPage, saveSnapshot]);
+
+  // Switching lists: show the cached snapshot right away, then revalidate if stale
+  useEffect(() => {
+    const snapshot = getQueryData(queryKey);
+    if (!snapshot) {
+      loadPage(true);
+      return;
+    }
+
+    const paging = pagingRef.current;
+    paging.generation += 1;
+    paging.cursor = snapshot.cursor;
+    paging.offset = snapshot.offset;
+    paging.inFlight = false;
+    imagesRef.current = snapshot.images;
+    setImages(snapshot.images);
+    setHasMore(snapshot.hasMore);
+    setIsLoading(false);
+    setIsLoadingMore(false);
+    if (isQueryStale(queryKey, staleTime)) revalidate();
+  }, [queryKey, staleTime, loadPage, revalidate]);
+
+  // Refresh stale lists when the user comes back to the tab
+  useEffect(() => {
+    const onFocus = () => {
+      if (document.visibilityState === 'visible' && isQueryStale(queryKeyRef.current, staleTime)) {
+        revalidate();
+      }
+    };
+    window.addEventListener('focus', onFocus);
+    document.addEventListener('visibilitychange', onFocus);
+    return () => {
+      window.removeEventListener('focus', onFocus);
+      document.removeEventListener('visibilitychange', onFocus);
+    };
+  }, [staleTime, revalidate]);
+
+  /**
+   * Updates the list locally (optimistic updates) and in the cache
+   * @param {Function} updater - (images) => images
+   */
+  const mutate = useCallback((updater) => {
+    const list = updater(imagesRef.current);
+    imagesRef.current = list;
+    setImages(list);
+    setQueryData(queryKeyRef.current, snapshot => ({ ...snapshot, images: list }));
+  }, []);
+
+  const loadMore = useCallback(() => {
+    if (hasMore) loadPage(false);
+  }, [hasMore, loadPage]);
+
+  return { images, mutate, isLoading, isLoadingMore, isRefreshing, hasMore, loadMore, revalidate };
+};
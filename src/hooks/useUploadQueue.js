@@ -0,0 +1,138 @@
+import { useCallback, useRef, useState } from "react";
+import axios from "axios";
+
+/**
+ * Custom hook managing a parallel upload queue
+ * Each entry tracks its own progress, status and AbortController so files
+ * can be cancelled individually and failed entries re-queued.
+ *
+ * Entry status lifecycle: pending -> uploading -> success | questionable | error | cancelled
+ *
+ * @param {Function} uploadFile - async (entry, { signal, onProgress }) => { status, message }
+ * @param {number} concurrency - Maximum number of simultaneous uploads
+ * @returns {Object} Queue state and actions
+ */
+export const useUploadQueue = (uploadFile, concurrency = 2) => {
+  const [uploadResults, setUploadResults] = useState([]);
+  const [isUploading, setIsUploading] = useState(false);
+  const controllersRef = useRef(new Map());
+  const nextIdRef = useRef(0);
+
+  const updateEntry = useCallback((id, changes) => {
+    setUploadResults(prev => prev.map(entry => (entry.id === id ? { ...entry, ...changes } : entry)));
+  }, []);
+
+  /**
+   * Uploads a single entry, translating thrown errors into a final status
+   * @param {Object} entry - Queue entry
+   * @returns {Promise<Object>} Entry with its final status
+   */
+  const processEntry = async (entry) => {
+    const controller = controllersRef.current.get(entry.id);
+
+    if (controller.signal.aborted) {
+      const cancelled = { ...entry, status: 'cancelled', progress: 0 };
+      updateEntry(entry.id, cancelled);
+      return cancelled;
+    }
+
+    updateEntry(entry.id, { status: 'uploading', progress: 0, message: null });
+
+    let finished;
+    try {
+      const result = await uploadFile(entry, {
+        signal: controller.signal,
+        onProgress: (progress) => updateEntry(entry.id, { progress }),
+      });
+      finished = { ...entry, ...result, progress: 100 };
+    } catch (error) {
+      finished = axios.isCancel(error) || controller.signal.aborted
+        ? { ...entry, status: 'cancelled', progress: 0 }
+        : { ...entry, status: 'error', message: error.message };
+    } finally {
+      controllersRef.current.delete(entry.id);
+    }
+
+    updateEntry(entry.id, finished);
+    return finished;
+  };
+
+  /**
+   * Runs entries through a fixed-size worker pool
+   * @param {Object[]} entries - Entries to upload
+   * @returns {Promise<Object[]>} Entries with their final status, in input order
+   */
+  const runQueue = async (entries) => {
+    setIsUploading(true);
+    const finished = new Array(entries.length);
+    let cursor = 0;
+
+    const worker = async () => {
+      while (cursor < entries.length) {
+        const index = cursor++;
+        finished[index] = await processEntry(entries[index]);
+      }
+    };
+
+    try {
+      const workerCount = Math.max(1, Math.min(concurrency, entries.length));
+      await Promise.all(Array.from({ length: workerCount }, worker));
+    } finally {
+      setIsUploading(false);
+    }
+    return finished;
+  };
+
+  /**
+   * Adds files to the queue and starts uploading them
+   * @param {Array<{original: File, file: File, optimized: boolean}>} candidates - Files to upload
+   * @returns {Promise<Object[]>} Final entries for this batch
+   */
+  const enqueue = async (candidates) => {
+    const entries = candidates.map(candidate => {
+      const id = `upload-${nextIdRef.current++}`;
+      controllersRef.current.set(id, new AbortController());
+      return { id, ...candidate, status: 'pending', progress: 0, message: null };
+    });
+
+    setUploadResults(entries);
+    return runQueue(entries);
+  };
+
+  /**
+   * Re-queues only the entries that ended with an error
+   * @returns {Promise<Object[]>} Final entries for the retried batch
+   */
+  const retryFailed = async () => {
+    const failed = uploadResults.filter(entry => entry.status === 'error');
+    if (failed.length === 0) return [];
+
+    const entries = failed.map(entry => {
+      controllersRef.current.set(entry.id, new AbortController());
+      return { ...entry, status: 'pending', progress: 0, message: null };
+    });
+    entries.forEach(entry => updateEntry(entry.id, entry));
+
+    return runQueue(entries);
+  };
+
+  /**
+   * Cancels a pending or in-flight upload
+   * @param {string} id - Entry ID
+   */
+  const cancel = (id) => {
+    const controller = controllersRef.current.get(id);
+    if (!controller) return;
+    controller.abort();
+    updateEntry(id, { status: 'cancelled', progress: 0 });
+  };
+
+  /**
+   * Removes finished entries from the list
+   */
+  const clearFinished = () => {
+    setUploadResults(prev => prev.filter(entry => ['pending', 'uploading'].includes(entry.status)));
+  };
+
+  return { uploadResults, isUploading, enqueue, retryFailed, cancel, clearFinished };
+};
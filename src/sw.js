@@ -0,0 +1,145 @@
+/**
+ * Service worker template
+ * Not bundled with the app: serviceWorkerPlugin in vite.config.js fills in
+ * the placeholders below and emits the result as /sw.js on `vite build`.
+ *
+ * - App shell (the Vite build output) is precached and served cache-first
+ * - Navigations are network-first, falling back to the cached app shell (`/`)
+ * - Gallery images (anything requested as an <img>, plus URLs seen in
+ *   /images responses) use stale-while-revalidate
+ * - Caches are named after the release, so a deploy replaces them
+ */
+
+const CACHE_VERSION = __CACHE_VERSION__;
+const PRECACHE_URLS = __PRECACHE_MANIFEST__;
+
+const SHELL_CACHE = `gallery-shell-${CACHE_VERSION}`;
+const IMAGE_CACHE = `gallery-images-${CACHE_VERSION}`;
+const MAX_CACHED_IMAGES = 200;
+
+// Image URLs returned by /images since this worker started
+const knownImageUrls = new Set();
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE).then(cache => cache.addAll(PRECACHE_URLS))
+  );
+  // Don't skipWaiting here: the page asks the user first (see components/UpdatePrompt.jsx)
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys
+          .filter(key => key.startsWith('gallery-') && key !== SHELL_CACHE && key !== IMAGE_CACHE)
+          .map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  } else if (event.data?.type === 'GET_VERSION') {
+    event.ports[0]?.postMessage({ version: CACHE_VERSION });
+  }
+});
+
+/**
+ * Drops the oldest entries once the image cache grows past its limit
+ * @param {Cache} cache - Image cache
+ */
+const trimImageCache = async (cache) => {
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - MAX_CACHED_IMAGES)).map(key => cache.delete(key)));
+};
+
+/**
+ * Serves from the cache right away and refreshes the entry in the background
+ * @param {FetchEvent} event - Image request
+ * @returns {Promise<Response>} Cached or network response
+ */
+const staleWhileRevalidate = async (event) => {
+  const cache = await caches.open(IMAGE_CACHE);
+  const cached = await cache.match(event.request);
+
+  const network = fetch(event.request)
+    .then(async (response) => {
+      // Opaque (no-cors) responses are cached too; they can't be inspected but still render
+      if (response.ok || response.type === 'opaque') {
+        await cache.put(event.request, response.clone());
+        await trimImageCache(cache);
+      }
+      return response;
+    });
+
+  if (cached) {
+    event.waitUntil(network.catch(() => undefined));
+    return cached;
+  }
+  return network;
+};
+
+/**
+ * Answers a navigation the network couldn't serve
+ * The shell is precached as `/` (index.html is emitted after the manifest is
+ * built, so it is not in the list under its own name).
+ * @returns {Promise<Response>} Cached shell, or a plain offline page if it is missing
+ */
+const offlineNavigation = async () => {
+  const shell = await caches.match('/');
+  if (shell) return shell;
+  return new Response('<!doctype html><title>Offline</title><p>You are offline and the app is not cached yet.</p>', {
+    status: 503,
+    headers: { 'Content-Type': 'text/html; charset=utf-8' },
+  });
+};
+
+/**
+ * Passes an /images request through and remembers the image URLs it returns
+ * @param {Request} request - /images request
+ * @returns {Promise<Response>} Network response
+ */
+const trackImageList = async (request) => {
+  const response = await fetch(request);
+  response.clone().json()
+    .then((data) => {
+      const items = Array.isArray(data) ? data : data?.items || data?.images || [];
+      items.forEach(item => item?.url && knownImageUrls.add(item.url));
+    })
+    .catch(() => undefined);
+  return response;
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  const isSameOrigin = url.origin === self.location.origin;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      fetch(request).catch(offlineNavigation)
+    );
+    return;
+  }
+
+  if (url.pathname.endsWith('/images')) {
+    event.respondWith(trackImageList(request));
+    return;
+  }
+
+  if (request.destination === 'image' || knownImageUrls.has(request.url)) {
+    event.respondWith(staleWhileRevalidate(event));
+    return;
+  }
+
+  if (isSameOrigin && PRECACHE_URLS.includes(url.pathname)) {
+    event.respondWith(
+      caches.match(request).then(cached => cached || fetch(request))
+    );
+  }
+});
@@ -1,71 +1,250 @@
 import axios from 'axios';
+import { datadogRum } from '@datadog/browser-rum';
+import { datadogLogs } from '@datadog/browser-logs';
+import { DEFAULT_RETRY_POLICY, getRetryDelay, resolveRetryPolicy, shouldRetry } from './retryPolicy';
+import { createCircuitBreaker, DEFAULT_BREAKER_OPTIONS } from './circuitBreaker';
 
-// Create axios instance with default configuration
-const apiClient = axios.create({
-  baseURL: import.meta.env.VITE_API_URL || 'http://localhost:8000',
-  timeout: 30000,
-  withCredentials: true, // Enable sending cookies for Authelia auth
-  headers: {
-    'Content-Type': 'application/json',
+// Every request in the app goes through this client; endpoint modules live in src/api
+export const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:8000';
+
+// Versioned routes (chat, Kafka demo) are mounted under this prefix on the API
+export const API_V1_PREFIX = '/api/v1';
+
+/**
+ * Builds a readable message from an API error
+ * FastAPI puts the reason in `detail` (a string, or a list of validation
+ * errors); other handlers use `message`.
+ * @param {Object} error - Axios error
+ * @returns {string|null} Server-provided message, if any
+ */
+const getServerMessage = (error) => {
+  const data = error.response?.data;
+  if (!data || typeof data !== 'object') return null;
+  if (typeof data.detail === 'string') return data.detail;
+  if (Array.isArray(data.detail)) return data.detail.map(item => item.msg || JSON.stringify(item)).join('; ');
+  return typeof data.message === 'string' ? data.message : null;
+};
+
+/**
+ * Adds the optional API key header
+ * User authentication is the Authelia session cookie (withCredentials), see AuthProvider.
+ * @param {Object} config - Axios request config
+ * @returns {Object} Config with auth headers
+ */
+const addAuthHeaders = (config) => {
+  const apiKey = import.meta.env.VITE_API_KEY;
+  if (import.meta.env.VITE_USE_AUTH === 'true' && apiKey) {
+    config.headers['X-API-Key'] = apiKey;
   }
-});
+  return config;
+};
+
+/**
+ * Normalizes errors
+ * @param {Object} error - Axios error
+ * @returns {Promise<never>} Rejects with the same error
+ */
+const handleResponseError = (error) => {
+  // Surface the server's reason as error.message so callers can show it as-is
+  if (error.response) {
+    error.status = error.response.status;
+    error.message = getServerMessage(error) || `${error.message} (${error.config?.method?.toUpperCase()} ${error.config?.url})`;
+  }
+  return Promise.reject(error);
+};
+
+// (error) => Promise<boolean>, resolving true once the user has logged in again
+let unauthorizedHandler = null;
+
+/**
+ * Registers who handles 401 responses (the AuthProvider)
+ * While a handler is set, a request failing with 401 waits for it and is
+ * replayed once if it resolves true.
+ * @param {Function|null} handler - Handler, or null to unregister
+ */
+export const setUnauthorizedHandler = (handler) => {
+  unauthorizedHandler = handler;
+};
 
-// Request interceptor for auth
-apiClient.interceptors.request.use(
-  (config) => {
-    // Check if we need authentication
-    const useAuth = import.meta.env.VITE_USE_AUTH === 'true';
-    
-    if (useAuth) {
-      // Option 1: Basic Authentication (if username and password are provided)
-      const username = import.meta.env.VITE_AUTH_USERNAME;
-      const password = import.meta.env.VITE_AUTH_PASSWORD;
-      
-      if (username && password) {
-        // Create Basic Auth header
-        const basicAuth = btoa(`${username}:${password}`);
-        config.headers['Authorization'] = `Basic ${basicAuth}`;
-        
-        // Add custom header that your API/Authelia might recognize
-        config.headers['X-Auth-User'] = username;
-      } 
-      // Option 2: API Key authentication (fallback)
-      else {
-        const apiKey = import.meta.env.VITE_API_KEY;
-        if (apiKey) {
-          config.headers['X-API-Key'] = apiKey;
-        }
+/**
+ * Replays requests that failed with 401 after the user logs in
+ * Requests can opt out with `authReplay: false`.
+ * @param {Object} client - Axios instance
+ */
+const installAuthReplay = (client) => {
+  client.interceptors.response.use(
+    (response) => response,
+    async (error) => {
+      const { config } = error;
+      if (error.response?.status !== 401 || !config || config.authReplay === false || config.authReplayed) {
+        throw error;
       }
+      if (!unauthorizedHandler) {
+        console.error('Authentication required. Please login.');
+        throw error;
+      }
+
+      const authenticated = await unauthorizedHandler(error);
+      if (!authenticated) throw error;
+      return client.request({ ...config, authReplayed: true });
     }
-    // If no auth needed, just return the config as-is
-    
-    return config;
-  },
-  (error) => {
-    return Promise.reject(error);
+  );
+};
+
+/**
+ * Host a request is sent to; circuits are tracked per host
+ * @param {Object} client - Axios instance
+ * @param {Object} config - Request config
+ * @returns {string} Host (with port)
+ */
+const getRequestHost = (client, config) => {
+  try {
+    return new URL(client.getUri(config), globalThis.location?.href).host;
+  } catch {
+    return 'unknown';
   }
-);
-
-// Response interceptor for auth errors
-apiClient.interceptors.response.use(
-  (response) => response,
-  (error) => {
-    if (error.response?.status === 401) {
-      // Handle unauthorized - redirect to Authelia login
-      const currentUrl = window.location.href;
-      const authUrl = `https://auth.quickstark.com/?rd=${encodeURIComponent(currentUrl)}`;
-      
-      // Option 1: Auto-redirect to login
-      // window.location.href = authUrl;
-      
-      // Option 2: Show error and let user decide
-      console.error('Authentication required. Please login.');
-      
-      // You could also emit an event or update global state here
-      // to show a login modal or notification
-    }
-    return Promise.reject(error);
+};
+
+/**
+ * Whether an error should count against the host's circuit
+ * Only failures that suggest the host is unhealthy count; 4xx answers mean it is up.
+ * @param {Object} error - Axios error
+ * @returns {boolean} True for network errors, timeouts and 5xx
+ */
+const isHostFailure = (error) =>
+  !axios.isCancel(error) && (!error.response || error.response.status >= 500);
+
+/**
+ * Waits before a retry, giving up early if the request is aborted
+ * @param {number} ms - Delay
+ * @param {AbortSignal} [signal] - Request signal
+ * @returns {Promise<void>}
+ */
+const defaultSleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(new axios.CanceledError());
+    return;
   }
-);
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer);
+    reject(new axios.CanceledError());
+  }, { once: true });
+});
+
+/**
+ * Reports circuit transitions to Datadog
+ * @param {Object} change - { host, from, to, failures }
+ */
+const reportCircuitChange = (change) => {
+  datadogRum.addAction('api_circuit_state_changed', change);
+  datadogLogs.logger.warn(`API circuit for ${change.host} ${change.to}`, change);
+};
+
+/**
+ * Adds retries and a per-host circuit breaker to an axios instance
+ * @param {Object} client - Axios instance
+ * @param {Object} options - See createApiClient
+ */
+const installResilience = (client, { retryPolicy, breaker, sleep, random }) => {
+  client.interceptors.request.use((config) => {
+    const host = getRequestHost(client, config);
+    if (!breaker.canRequest(host)) {
+      return Promise.reject(new axios.AxiosError(
+        `Circuit open for ${host}, not sending ${config.method?.toUpperCase()} ${config.url}`,
+        'ERR_CIRCUIT_OPEN',
+        config
+      ));
+    }
+    return config;
+  });
+
+  client.interceptors.response.use(
+    (response) => {
+      breaker.recordSuccess(getRequestHost(client, response.config));
+      return response;
+    },
+    async (error) => {
+      const { config } = error;
+      if (!config || error.code === 'ERR_CIRCUIT_OPEN') throw error;
+
+      const host = getRequestHost(client, config);
+      if (isHostFailure(error)) {
+        breaker.recordFailure(host);
+      } else if (axios.isCancel(error)) {
+        breaker.release(host);
+      } else {
+        breaker.recordSuccess(host);
+      }
+
+      const attempt = config.retryAttempt || 0;
+      const policy = resolveRetryPolicy(config, retryPolicy);
+      if (!shouldRetry(error, policy, attempt)) throw error;
+
+      const delayMs = getRetryDelay(attempt, policy, {
+        retryAfter: error.response?.headers?.['retry-after'],
+        random,
+      });
+      datadogRum.addAction('api_request_retried', {
+        host,
+        method: config.method,
+        url: config.url,
+        attempt: attempt + 1,
+        delayMs,
+        status: error.response?.status,
+        errorCode: error.code,
+      });
+
+      await sleep(delayMs, config.signal);
+      return client.request({ ...config, retryAttempt: attempt + 1 });
+    }
+  );
+};
+
+/**
+ * Creates an API client
+ * The app uses the default instance below; tests can build their own with a
+ * fake adapter, a synchronous sleep and a fixed random source.
+ * @param {Object} [options] - Client options
+ * @param {Function} [options.adapter] - Axios adapter (defaults to XHR/fetch)
+ * @param {Object} [options.retryPolicy] - Overrides for DEFAULT_RETRY_POLICY
+ * @param {Object} [options.breaker] - Circuit breaker (see createCircuitBreaker)
+ * @param {Function} [options.sleep] - (ms, signal) => Promise, waits between retries
+ * @param {Function} [options.random] - Returns [0, 1), used for jitter
+ * @returns {Object} Axios instance
+ */
+export const createApiClient = ({
+  adapter,
+  retryPolicy = {},
+  breaker = createCircuitBreaker({ ...DEFAULT_BREAKER_OPTIONS, onStateChange: reportCircuitChange }),
+  sleep = defaultSleep,
+  random = Math.random,
+} = {}) => {
+  const client = axios.create({
+    baseURL: API_BASE_URL,
+    timeout: 30000,
+    withCredentials: true, // Enable sending cookies for Authelia auth
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    ...(adapter ? { adapter } : {}),
+  });
+
+  client.interceptors.request.use(addAuthHeaders);
+  client.interceptors.response.use((response) => response, handleResponseError);
+  // Registered after normalization so they see normalized errors and their retries resolve the whole chain
+  installResilience(client, {
+    retryPolicy: { ...DEFAULT_RETRY_POLICY, ...retryPolicy },
+    breaker,
+    sleep,
+    random,
+  });
+  installAuthReplay(client);
+
+  client.breaker = breaker;
+  return client;
+};
+
+const apiClient = createApiClient();
 
 export default apiClient;
@@ -0,0 +1,193 @@
+import { describe, expect, it, vi } from 'vitest';
+import { AxiosError } from 'axios';
+
+vi.mock('@datadog/browser-rum', () => ({ datadogRum: { addAction: vi.fn() } }));
+vi.mock('@datadog/browser-logs', () => ({ datadogLogs: { logger: { warn: vi.fn() } } }));
+
+import { createApiClient } from './apiClient';
+import { CIRCUIT_STATE, createCircuitBreaker } from './circuitBreaker';
+
+/**
+ * Outcome of one fake request: an HTTP status (with optional body and headers) or a network error
+ * @param {number} status - Status code
+ * @param {Object} [data] - Response body
+ * @param {Object} [headers] - Response headers (lower-case names)
+ * @returns {Function} (config) => Promise, as an axios adapter would return
+ */
+const reply = (status, data = {}, headers = {}) => (config) => {
+  const response = { data, status, statusText: String(status), headers, config };
+  if (status < 400) return Promise.resolve(response);
+  return Promise.reject(new AxiosError(`Request failed with status code ${status}`, AxiosError.ERR_BAD_RESPONSE, config, null, response));
+};
+const networkError = () => (config) => Promise.reject(new AxiosError('Network Error', AxiosError.ERR_NETWORK, config));
+
+/**
+ * Fake adapter answering with the given outcomes in order (the last one repeats)
+ * @param {Function[]} outcomes - From reply() / networkError()
+ * @returns {Function} Adapter; `adapter.calls` holds the configs it received
+ */
+const fakeAdapter = (outcomes) => {
+  const adapter = (config) => {
+    adapter.calls.push(config);
+    return outcomes[Math.min(adapter.calls.length - 1, outcomes.length - 1)](config);
+  };
+  adapter.calls = [];
+  return adapter;
+};
+
+/**
+ * Client with instant retries and fixed jitter
+ * @param {Function[]} outcomes - Fake responses
+ * @param {Object} [options] - Extra createApiClient options
+ * @returns {{client: Object, adapter: Function, sleep: Function}} Client and its seams
+ */
+const setup = (outcomes, options = {}) => {
+  const adapter = fakeAdapter(outcomes);
+  const sleep = vi.fn(() => Promise.resolve());
+  const client = createApiClient({ adapter, sleep, random: () => 0.5, ...options });
+  return { client, adapter, sleep };
+};
+
+describe('createApiClient retries', () => {
+  it('retries idempotent requests with exponential backoff and jitter', async () => {
+    const { client, adapter, sleep } = setup([reply(503), reply(502), reply(200, { ok: true })]);
+
+    const res = await client.get('/images');
+
+    expect(res.data).toEqual({ ok: true });
+    expect(adapter.calls).toHaveLength(3);
+    // random() = 0.5 of a ceiling of 300 ms, then 600 ms
+    expect(sleep.mock.calls.map(([ms]) => ms)).toEqual([150, 300]);
+  });
+
+  it('retries network errors', async () => {
+    const { client, adapter } = setup([networkError(), reply(200)]);
+
+    await client.get('/images');
+
+    expect(adapter.calls).toHaveLength(2);
+  });
+
+  it('gives up after the configured retries with the server message', async () => {
+    const { client, adapter } = setup([reply(503, { detail: 'Database unavailable' })], {
+      retryPolicy: { retries: 2 },
+    });
+
+    await expect(client.get('/images')).rejects.toMatchObject({ status: 503, message: 'Database unavailable' });
+    expect(adapter.calls).toHaveLength(3);
+  });
+
+  it('does not retry non-idempotent methods', async () => {
+    const { client, adapter } = setup([reply(503), reply(200)]);
+
+    await expect(client.post('/add_image', {})).rejects.toMatchObject({ status: 503 });
+    expect(adapter.calls).toHaveLength(1);
+  });
+
+  it('does not retry client errors', async () => {
+    const { client, adapter } = setup([reply(404, { detail: 'Not found' }), reply(200)]);
+
+    await expect(client.get('/images/missing')).rejects.toMatchObject({ status: 404 });
+    expect(adapter.calls).toHaveLength(1);
+  });
+
+  it('lets a request opt out with retry: false', async () => {
+    const { client, adapter } = setup([reply(503), reply(200)]);
+
+    await expect(client.get('/images', { retry: false })).rejects.toMatchObject({ status: 503 });
+    expect(adapter.calls).toHaveLength(1);
+  });
+
+  it('waits for Retry-After instead of the backoff', async () => {
+    const { client, sleep } = setup([reply(429, {}, { 'retry-after': '2' }), reply(200)]);
+
+    await client.get('/images');
+
+    expect(sleep).toHaveBeenCalledWith(2000, undefined);
+  });
+
+  it('caps Retry-After at maxRetryAfterMs', async () => {
+    const { client, sleep } = setup([reply(503, {}, { 'retry-after': '120' }), reply(200)]);
+
+    await client.get('/images');
+
+    expect(sleep.mock.calls[0][0]).toBe(30000);
+  });
+
+  it('stops retrying when the request is aborted during the wait', async () => {
+    const controller = new AbortController();
+    const { client, adapter } = setup([reply(503), reply(200)], {
+      sleep: () => {
+        controller.abort();
+        return Promise.reject(new AxiosError('canceled', AxiosError.ERR_CANCELED));
+      },
+    });
+
+    await expect(client.get('/images', { signal: controller.signal })).rejects.toMatchObject({ code: 'ERR_CANCELED' });
+    expect(adapter.calls).toHaveLength(1);
+  });
+});
+
+describe('createApiClient circuit breaker', () => {
+  /**
+   * Client whose breaker opens after two failures and uses a controllable clock
+   * @param {Function[]} outcomes - Fake responses
+   * @returns {Object} setup() result plus the breaker, clock and recorded transitions
+   */
+  const setupBreaker = (outcomes) => {
+    const clock = { now: 0 };
+    const transitions = [];
+    const breaker = createCircuitBreaker({
+      failureThreshold: 2,
+      cooldownMs: 1000,
+      now: () => clock.now,
+      onStateChange: ({ from, to }) => transitions.push(`${from}->${to}`),
+    });
+    return { ...setup(outcomes, { breaker, retryPolicy: { retries: 0 } }), breaker, clock, transitions };
+  };
+
+  it('opens after consecutive host failures and fails fast without sending', async () => {
+    const { client, adapter, breaker } = setupBreaker([reply(500), reply(500), reply(200)]);
+
+    await expect(client.get('/images')).rejects.toMatchObject({ status: 500 });
+    await expect(client.get('/images')).rejects.toMatchObject({ status: 500 });
+    await expect(client.get('/images')).rejects.toMatchObject({ code: 'ERR_CIRCUIT_OPEN' });
+
+    expect(adapter.calls).toHaveLength(2);
+    expect(breaker.getState('localhost:8000')).toBe(CIRCUIT_STATE.open);
+  });
+
+  it('lets one trial through after the cooldown and closes on success', async () => {
+    const { client, adapter, clock, transitions } = setupBreaker([reply(500), reply(500), reply(200)]);
+    await client.get('/images').catch(() => {});
+    await client.get('/images').catch(() => {});
+
+    clock.now = 1000;
+    await client.get('/images');
+
+    expect(adapter.calls).toHaveLength(3);
+    expect(transitions).toEqual(['closed->open', 'open->half_open', 'half_open->closed']);
+  });
+
+  it('reopens when the trial request fails', async () => {
+    const { client, clock, transitions, breaker } = setupBreaker([reply(500)]);
+    await client.get('/images').catch(() => {});
+    await client.get('/images').catch(() => {});
+
+    clock.now = 1000;
+    await expect(client.get('/images')).rejects.toMatchObject({ status: 500 });
+
+    expect(transitions).toEqual(['closed->open', 'open->half_open', 'half_open->open']);
+    expect(breaker.getState('localhost:8000')).toBe(CIRCUIT_STATE.open);
+  });
+
+  it('does not count client errors against the host', async () => {
+    const { client, breaker } = setupBreaker([reply(404)]);
+
+    await client.get('/images/a').catch(() => {});
+    await client.get('/images/b').catch(() => {});
+    await client.get('/images/c').catch(() => {});
+
+    expect(breaker.getState('localhost:8000')).toBe(CIRCUIT_STATE.closed);
+  });
+});
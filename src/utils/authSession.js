@@ -0,0 +1,63 @@
+/**
+ * Authelia session helpers
+ * The API sits behind Authelia; its session cookie is shared with the API
+ * domain, so "logging in" means getting the user through the Authelia portal
+ * and checking the session through Authelia's own API.
+ */
+
+export const AUTH_URL = (import.meta.env.VITE_AUTH_URL || 'https://auth.quickstark.com').replace(/\/$/, '');
+
+// Route the login popup returns to; it reports back to the opener and closes
+export const AUTH_CALLBACK_PATH = '/auth/callback';
+export const AUTH_COMPLETE_MESSAGE = 'gallery-auth-complete';
+
+const LOGIN_POPUP_FEATURES = 'width=480,height=680,menubar=no,toolbar=no';
+
+/**
+ * Builds the Authelia portal URL that returns to the given page afterwards
+ * @param {string} [returnTo] - Absolute URL to come back to
+ * @returns {string} Login URL
+ */
+export const getLoginUrl = (returnTo = window.location.href) =>
+  `${AUTH_URL}/?rd=${encodeURIComponent(returnTo)}`;
+
+/**
+ * Reads the current session from Authelia
+ * @returns {Promise<Object|null>} { username, displayName, email } or null when not logged in
+ * @throws {Error} If Authelia cannot be reached
+ */
+export const fetchSession = async () => {
+  const response = await fetch(`${AUTH_URL}/api/state`, { credentials: 'include' });
+  if (!response.ok) throw new Error(`Authelia state request failed: ${response.status}`);
+
+  const { data } = await response.json();
+  if (!data?.username || !data.authentication_level) return null;
+
+  // Display name and email are nice to have; older Authelia versions don't expose them
+  const info = await fetch(`${AUTH_URL}/api/user/info`, { credentials: 'include' })
+    .then(res => (res.ok ? res.json() : null))
+    .catch(() => null);
+
+  return {
+    username: data.username,
+    displayName: info?.data?.display_name || data.username,
+    email: info?.data?.emails?.[0] || null,
+  };
+};
+
+/**
+ * Ends the Authelia session
+ * @returns {Promise<void>}
+ */
+export const endSession = async () => {
+  const response = await fetch(`${AUTH_URL}/api/logout`, { method: 'POST', credentials: 'include' });
+  if (!response.ok) throw new Error(`Logout failed: ${response.status}`);
+};
+
+/**
+ * Opens the Authelia portal in a popup that comes back to AUTH_CALLBACK_PATH
+ * Must be called from a user gesture or the browser will block it.
+ * @returns {Window|null} Popup, or null if it was blocked
+ */
+export const openLoginPopup = () =>
+  window.open(getLoginUrl(`${window.location.origin}${AUTH_CALLBACK_PATH}`), 'gallery-login', LOGIN_POPUP_FEATURES);
@@ -0,0 +1,149 @@
+import apiClient from './apiClient';
+import { listImages } from '../api/images';
+
+/**
+ * Health probes for the API and each registered backend
+ * A backend is probed through GET /health?backend=<id>; APIs without that
+ * endpoint are probed with a one-item /images request instead.
+ *
+ * Health result shape:
+ * { status, readOnly, latencyMs, checkedAt, error }
+ */
+
+export const HEALTH_STATUS = {
+  healthy: 'healthy',
+  degraded: 'degraded', // Answering, but slowly or reporting problems
+  down: 'down',
+  unknown: 'unknown', // Not probed yet
+};
+
+// Indicator colors per status
+export const HEALTH_COLORS = {
+  healthy: 'green.400',
+  degraded: 'yellow.400',
+  down: 'red.500',
+  unknown: 'gray.500',
+};
+
+export const HEALTH_PROBE_INTERVAL_MS = 30000;
+const PROBE_TIMEOUT_MS = 5000;
+const SLOW_RESPONSE_MS = 2000;
+
+// Set once /health turns out not to exist, so later probes go straight to /images
+let healthEndpointMissing = false;
+
+/**
+ * Maps a status string reported by the API onto HEALTH_STATUS
+ * @param {string} reported - e.g. 'ok', 'healthy', 'degraded', 'down'
+ * @returns {string} HEALTH_STATUS value
+ */
+const normalizeStatus = (reported) => {
+  const value = String(reported || '').toLowerCase();
+  if (['ok', 'up', 'healthy', 'pass'].includes(value)) return HEALTH_STATUS.healthy;
+  if (['degraded', 'warn', 'slow'].includes(value)) return HEALTH_STATUS.degraded;
+  if (['down', 'error', 'fail', 'unhealthy'].includes(value)) return HEALTH_STATUS.down;
+  return HEALTH_STATUS.healthy;
+};
+
+/**
+ * Builds a result, downgrading slow but successful probes to degraded
+ * @param {string} status - HEALTH_STATUS value
+ * @param {number} startedAt - performance.now() when the probe started
+ * @param {Object} [extra] - readOnly, error
+ * @returns {Object} Health result
+ */
+const buildResult = (status, startedAt, { readOnly = false, error = null } = {}) => {
+  const latencyMs = Math.round(performance.now() - startedAt);
+  const isSlow = status === HEALTH_STATUS.healthy && latencyMs > SLOW_RESPONSE_MS;
+  return {
+    status: isSlow ? HEALTH_STATUS.degraded : status,
+    readOnly,
+    latencyMs,
+    checkedAt: Date.now(),
+    error: error || (isSlow ? `Slow response (${latencyMs} ms)` : null),
+  };
+};
+
+/**
+ * Probes the API root
+ * Any HTTP answer means the server is reachable; only network errors and 5xx count as down.
+ * @returns {Promise<Object>} Health result
+ */
+export const probeApi = async () => {
+  const startedAt = performance.now();
+  try {
+    await apiClient.get('/', { timeout: PROBE_TIMEOUT_MS, retry: false, authReplay: false });
+    return buildResult(HEALTH_STATUS.healthy, startedAt);
+  } catch (error) {
+    const status = error.response?.status;
+    if (status && status < 500) return buildResult(HEALTH_STATUS.healthy, startedAt);
+    return buildResult(HEALTH_STATUS.down, startedAt, { error: error.message });
+  }
+};
+
+/**
+ * Probes one backend
+ * @param {Object} backend - Registry entry ({ id, readOnly })
+ * @returns {Promise<Object>} Health result
+ */
+export const probeBackend = async (backend) => {
+  const startedAt = performance.now();
+  const configReadOnly = Boolean(backend.readOnly);
+
+  if (!healthEndpointMissing) {
+    try {
+      const res = await apiClient.get('/health', {
+        params: { backend: backend.id },
+        timeout: PROBE_TIMEOUT_MS,
+        retry: false,
+        authReplay: false,
+      });
+      return buildResult(normalizeStatus(res.data?.status), startedAt, {
+        readOnly: configReadOnly || Boolean(res.data?.read_only ?? res.data?.readOnly),
+        error: res.data?.message || null,
+      });
+    } catch (error) {
+      if (error.response?.status === 404) {
+        healthEndpointMissing = true;
+      } else {
+        return buildResult(HEALTH_STATUS.down, startedAt, {
+          readOnly: configReadOnly,
+          error: error.response?.data?.message || error.message,
+        });
+      }
+    }
+  }
+
+  try {
+    await listImages(backend.id, { limit: 1 }, { timeout: PROBE_TIMEOUT_MS, retry: false, authReplay: false });
+    return buildResult(HEALTH_STATUS.healthy, startedAt, { readOnly: configReadOnly });
+  } catch (error) {
+    return buildResult(HEALTH_STATUS.down, startedAt, {
+      readOnly: configReadOnly,
+      error: error.response?.data?.message || error.message,
+    });
+  }
+};
+
+/**
+ * Whether uploads and deletes should be allowed for a backend
+ * Unknown health is treated as writable so the UI works before the first probe.
+ * @param {Object|undefined} health - Health result
+ * @returns {boolean} True if writes are allowed
+ */
+export const isWritable = (health) =>
+  !health || (!health.readOnly && health.status !== HEALTH_STATUS.down);
+
+/**
+ * Human-readable summary for tooltips
+ * @param {Object|undefined} health - Health result
+ * @returns {string} Description
+ */
+export const describeHealth = (health) => {
+  if (!health || health.status === HEALTH_STATUS.unknown) return 'Status unknown';
+  const parts = [health.status];
+  if (health.readOnly) parts.push('read-only');
+  if (health.latencyMs !== undefined) parts.push(`${health.latencyMs} ms`);
+  if (health.error) parts.push(health.error);
+  return parts.join(' · ');
+};
@@ -0,0 +1,88 @@
+import { listImages } from '../api/images';
+import { normalizeImagePage } from '../hooks/usePaginatedImages';
+
+/**
+ * Timing helpers for the backend comparison view
+ * Each measurement fetches one page of /images and records how long it took,
+ * how large the response body was and how many images it contained.
+ */
+
+/**
+ * Fetches one page of /images from a backend and measures it
+ * @param {string} backend - Backend to query
+ * @param {Object} [options] - Request options
+ * @param {number} [options.limit] - Page size
+ * @param {AbortSignal} [options.signal] - Cancels the request
+ * @returns {Promise<Object>} { backend, latencyMs, bytes, count, images, status, error }
+ */
+export const measureImagesRequest = async (backend, { limit = 24, signal } = {}) => {
+  const startedAt = performance.now();
+  try {
+    // Keep the raw body so its size can be measured before parsing
+    // Retries would hide the latency being measured
+    const res = await listImages(backend, { limit, offset: 0 }, {
+      retry: false,
+      responseType: 'text',
+      transformResponse: [body => body],
+      signal,
+    });
+    const latencyMs = performance.now() - startedAt;
+    const body = typeof res.data === 'string' ? res.data : JSON.stringify(res.data);
+    const { items } = normalizeImagePage(JSON.parse(body), limit, 0);
+
+    return {
+      backend,
+      latencyMs,
+      bytes: new Blob([body]).size,
+      count: items.length,
+      images: items,
+      status: 'success',
+    };
+  } catch (error) {
+    if (signal?.aborted) throw error;
+    return {
+      backend,
+      latencyMs: performance.now() - startedAt,
+      bytes: 0,
+      count: 0,
+      images: [],
+      status: 'error',
+      error: error.response?.statusText || error.message,
+    };
+  }
+};
+
+/**
+ * Returns the value at a percentile of a list of numbers
+ * @param {number[]} values - Samples
+ * @param {number} percentile - 0-100
+ * @returns {number} Percentile value (0 for an empty list)
+ */
+const getPercentile = (values, percentile) => {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const index = Math.min(sorted.length - 1, Math.ceil((percentile / 100) * sorted.length) - 1);
+  return sorted[Math.max(index, 0)];
+};
+
+/**
+ * Aggregates the successful runs of one backend
+ * @param {Object[]} runs - Results from measureImagesRequest
+ * @returns {Object} { runs, errors, avgLatencyMs, p95LatencyMs, minLatencyMs, maxLatencyMs, lastBytes, lastCount }
+ */
+export const summarizeRuns = (runs) => {
+  const successful = runs.filter(run => run.status === 'success');
+  const latencies = successful.map(run => run.latencyMs);
+  const last = successful[successful.length - 1];
+
+  return {
+    runs: runs.length,
+    errors: runs.length - successful.length,
+    avgLatencyMs: latencies.length ? latencies.reduce((sum, value) => sum + value, 0) / latencies.length : 0,
+    p95LatencyMs: getPercentile(latencies, 95),
+    minLatencyMs: latencies.length ? Math.min(...latencies) : 0,
+    maxLatencyMs: latencies.length ? Math.max(...latencies) : 0,
+    lastBytes: last?.bytes || 0,
+    lastCount: last?.count || 0,
+  };
+};
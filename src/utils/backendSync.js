@@ -0,0 +1,118 @@
+import { listImages } from '../api/images';
+import { fetchImageBlob } from './imageTransfer';
+import { normalizeImagePage } from '../hooks/usePaginatedImages';
+
+/**
+ * Helpers for comparing and syncing the image lists of two backends
+ * Images are matched by name; optionally by content hash as well, which
+ * also pairs up identical images stored under different names.
+ */
+
+const LIST_PAGE_SIZE = 100;
+const MAX_LIST_PAGES = 50;
+// Listings stop here; callers must not treat a longer backend as fully listed
+export const MAX_LISTED_IMAGES = LIST_PAGE_SIZE * MAX_LIST_PAGES;
+
+/**
+ * Loads every image of a backend, following cursor or offset paging
+ * Stops after MAX_LISTED_IMAGES; `truncated` says whether more were left, in
+ * which case anything derived from the list (missing images, duplicates) is wrong.
+ * @param {string} backend - Backend to list
+ * @param {Object} [options] - Listing options
+ * @param {AbortSignal} [options.signal] - Cancels the listing
+ * @returns {Promise<{images: Object[], truncated: boolean}>} Image records, and whether the list is incomplete
+ */
+export const fetchAllImages = async (backend, { signal } = {}) => {
+  const images = [];
+  let cursor = null;
+  let offset = 0;
+
+  for (let page = 0; page < MAX_LIST_PAGES; page++) {
+    const res = await listImages(backend, { limit: LIST_PAGE_SIZE, offset, ...(cursor ? { cursor } : {}) }, { signal });
+    const { items, nextCursor, nextOffset } = normalizeImagePage(res.data, LIST_PAGE_SIZE, offset);
+    images.push(...items);
+
+    if (nextCursor) {
+      cursor = nextCursor;
+    } else if (nextOffset !== null) {
+      offset = nextOffset;
+    } else {
+      return { images, truncated: false };
+    }
+  }
+
+  // Out of pages with more still on the server
+  return { images, truncated: true };
+};
+
+/**
+ * Computes the SHA-256 of an image's content
+ * @param {Object} image - Image record with url
+ * @param {Object} [options] - Fetch options
+ * @param {AbortSignal} [options.signal] - Cancels the download
+ * @returns {Promise<string>} Hex digest
+ */
+export const hashImage = async (image, { signal } = {}) => {
+  const blob = await fetchImageBlob(image, { signal });
+  const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+/**
+ * Hashes a list of images, skipping (and reporting) ones that fail to download
+ * @param {Object[]} images - Image records
+ * @param {Object} [options] - Hash options
+ * @param {AbortSignal} [options.signal] - Cancels hashing
+ * @param {Function} [options.onProgress] - Called with (done, total)
+ * @returns {Promise<Map<Object, string>>} Hash per image record
+ */
+export const hashImages = async (images, { signal, onProgress } = {}) => {
+  const hashes = new Map();
+  for (let index = 0; index < images.length; index++) {
+    try {
+      hashes.set(images[index], await hashImage(images[index], { signal }));
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      console.warn(`Could not hash ${images[index].name}:`, error);
+    }
+    onProgress?.(index + 1, images.length);
+  }
+  return hashes;
+};
+
+/**
+ * Diffs two image lists
+ * @param {Object[]} sourceImages - Images on the source backend
+ * @param {Object[]} targetImages - Images on the target backend
+ * @param {Map<Object, string>} [hashes] - Optional content hashes per record
+ * @returns {{onlySource: Object[], onlyTarget: Object[], inBoth: Object[]}} Diff result;
+ *   inBoth entries are { source, target, matchedBy }
+ */
+export const diffImageLists = (sourceImages, targetImages, hashes = new Map()) => {
+  const unmatchedTargets = new Set(targetImages);
+  const targetsByName = new Map();
+  const targetsByHash = new Map();
+  targetImages.forEach(image => {
+    if (!targetsByName.has(image.name)) targetsByName.set(image.name, image);
+    const hash = hashes.get(image);
+    if (hash && !targetsByHash.has(hash)) targetsByHash.set(hash, image);
+  });
+
+  const onlySource = [];
+  const inBoth = [];
+  sourceImages.forEach(image => {
+    const hash = hashes.get(image);
+    const byHash = hash && targetsByHash.get(hash);
+    const byName = targetsByName.get(image.name);
+    const match = [byHash, byName].find(candidate => candidate && unmatchedTargets.has(candidate));
+
+    if (match) {
+      unmatchedTargets.delete(match);
+      inBoth.push({ source: image, target: match, matchedBy: match === byHash ? 'hash' : 'name' });
+    } else {
+      onlySource.push(image);
+    }
+  });
+
+  return { onlySource, onlyTarget: [...unmatchedTargets], inBoth };
+};
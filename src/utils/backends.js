@@ -0,0 +1,103 @@
+import apiClient from './apiClient';
+
+/**
+ * Registry of image storage backends
+ * The list comes from the API's /backends endpoint when available, otherwise
+ * from the runtime config.json written by docker/entrypoint.sh, and finally
+ * falls back to the two stores the API has always had. `id` is the value
+ * sent as the `backend` query parameter.
+ *
+ * Backend shape:
+ * {
+ *   id: 'mongo',
+ *   label: 'MongoDB',
+ *   color: '#9F7AEA',
+ *   capabilities: { supportsDelete, supportsSearch, supportsPagination, supportsLiveUpdates },
+ *   readOnly: false,
+ *   health: 'healthy' | 'degraded' | 'down' | 'unknown'
+ * }
+ * `health` is only the initial value; live status comes from utils/backendHealth.js.
+ */
+
+const DEFAULT_CAPABILITIES = {
+  supportsDelete: true,
+  supportsSearch: true,
+  supportsPagination: true,
+  // Opt-in: EventSource can't tell a missing /events route from an outage,
+  // so an API without the stream would be retried forever
+  supportsLiveUpdates: false,
+};
+
+// Colors for backends that don't declare one
+const FALLBACK_COLORS = ['#9F7AEA', '#4FD1C5', '#F6AD55', '#63B3ED', '#F687B3'];
+
+export const DEFAULT_BACKENDS = [
+  { id: 'mongo', label: 'MongoDB', color: '#9F7AEA' },
+  { id: 'postgres', label: 'PostgreSQL', color: '#4FD1C5' },
+];
+
+/**
+ * Fills in defaults for a backend description
+ * @param {Object|string} raw - Backend object, or just its id
+ * @param {number} index - Position in the list (picks a fallback color)
+ * @returns {Object} Normalized backend
+ */
+export const normalizeBackend = (raw, index = 0) => {
+  const backend = typeof raw === 'string' ? { id: raw } : raw;
+  return {
+    id: backend.id,
+    label: backend.label || backend.id,
+    color: backend.color || FALLBACK_COLORS[index % FALLBACK_COLORS.length],
+    capabilities: { ...DEFAULT_CAPABILITIES, ...backend.capabilities },
+    readOnly: Boolean(backend.readOnly),
+    health: backend.health || 'unknown',
+  };
+};
+
+/**
+ * Normalizes a list of backends, dropping entries without an id
+ * @param {Array} list - Raw backends
+ * @returns {Object[]} Normalized backends
+ */
+const normalizeBackendList = (list) =>
+  list.filter(item => item && (typeof item === 'string' || item.id)).map(normalizeBackend);
+
+/**
+ * Checks whether a backend supports a capability
+ * Unknown backends are assumed to support everything, as before the registry.
+ * @param {Object|undefined} backend - Normalized backend
+ * @param {string} capability - Key of capabilities (e.g. 'supportsDelete')
+ * @returns {boolean} True if supported
+ */
+export const supportsCapability = (backend, capability) =>
+  backend?.capabilities?.[capability] !== false;
+
+/**
+ * Loads the backend registry
+ * @returns {Promise<{backends: Object[], source: string}>} Backends and where they came from
+ */
+export const loadBackendRegistry = async () => {
+  try {
+    const res = await apiClient.get('/backends');
+    const list = Array.isArray(res.data) ? res.data : res.data?.backends;
+    if (Array.isArray(list) && list.length > 0) {
+      return { backends: normalizeBackendList(list), source: 'api' };
+    }
+  } catch (error) {
+    console.log('Backend registry endpoint unavailable, trying runtime config:', error.message);
+  }
+
+  try {
+    const response = await fetch('/config.json', { cache: 'no-store' });
+    if (response.ok) {
+      const config = await response.json();
+      if (Array.isArray(config.backends) && config.backends.length > 0) {
+        return { backends: normalizeBackendList(config.backends), source: 'config' };
+      }
+    }
+  } catch (error) {
+    console.log('No backends in runtime config, using defaults:', error.message);
+  }
+
+  return { backends: DEFAULT_BACKENDS.map(normalizeBackend), source: 'default' };
+};
@@ -0,0 +1,92 @@
+import { compressImage } from './imageCompression';
+
+/**
+ * Reference images attached to ImageChat prompts
+ * Attachments are sent as `image_base64` parts of the user message, before
+ * its text. Large images are scaled down first so a few references don't
+ * blow up the request.
+ *
+ * Attachment shape:
+ * { id, name, image_base64, mime_type }
+ */
+
+// Input types the Gemini image models accept
+export const SUPPORTED_ATTACHMENT_TYPES = ['image/png', 'image/jpeg', 'image/webp', 'image/heic', 'image/heif'];
+
+// Reference images per prompt, per model (see nano-banana.md)
+export const MAX_REFERENCE_IMAGES = {
+  'gemini-3-pro-image-preview': 14,
+  'gemini-2.5-flash-image': 3,
+};
+const DEFAULT_MAX_REFERENCE_IMAGES = 3;
+
+// Longest side of an attachment; larger images are resized before encoding
+const MAX_ATTACHMENT_DIMENSION = 2048;
+
+// Storage sometimes serves images as application/octet-stream; fall back to the extension
+const TYPES_BY_EXTENSION = { png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg', webp: 'image/webp', heic: 'image/heic', heif: 'image/heif' };
+
+/**
+ * How many reference images a model accepts in one prompt
+ * @param {string} model - Model id
+ * @returns {number} Limit
+ */
+export const getMaxReferenceImages = (model) => MAX_REFERENCE_IMAGES[model] || DEFAULT_MAX_REFERENCE_IMAGES;
+
+/**
+ * Reads a Blob as base64 (without the data: prefix)
+ * @param {Blob} blob - Data
+ * @returns {Promise<string>} Base64
+ */
+const readAsBase64 = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(String(reader.result).split(',')[1] || '');
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(blob);
+});
+
+/**
+ * Turns an image file into an attachment
+ * @param {File|Blob} file - Image from disk, drop, paste or the gallery
+ * @param {string} [name] - Display name (defaults to the file name)
+ * @returns {Promise<Object>} Attachment
+ * @throws {Error} When the type isn't supported
+ */
+export const createAttachment = async (file, name = file.name || 'image') => {
+  const type = SUPPORTED_ATTACHMENT_TYPES.includes(file.type)
+    ? file.type
+    : TYPES_BY_EXTENSION[name.split('.').pop().toLowerCase()];
+  if (!type) {
+    throw new Error(`${name} is not a supported image type (PNG, JPEG, WebP or HEIC)`);
+  }
+
+  const source = file instanceof File && file.type === type ? file : new File([file], name, { type });
+  const { file: resized } = await compressImage(source, {
+    enabled: true,
+    maxDimension: MAX_ATTACHMENT_DIMENSION,
+    quality: 0.9,
+    format: 'original',
+  });
+
+  return {
+    id: crypto.randomUUID(),
+    name,
+    image_base64: await readAsBase64(resized),
+    mime_type: resized.type || type,
+  };
+};
+
+/**
+ * Picks image files out of a drop or paste
+ * @param {DataTransfer|null} dataTransfer - event.dataTransfer or event.clipboardData
+ * @returns {File[]} Image files
+ */
+export const getImageFiles = (dataTransfer) =>
+  Array.from(dataTransfer?.files || []).filter(file => file.type.startsWith('image/'));
+
+/**
+ * Builds the data URL used to display an image part
+ * @param {Object} part - { image_base64, mime_type }
+ * @returns {string} Data URL
+ */
+export const toDataUrl = (part) => `data:${part.mime_type || 'image/png'};base64,${part.image_base64}`;
@@ -0,0 +1,76 @@
+/**
+ * Request bodies for /gemini-edit-image
+ * Every turn sends the thread so far, with images inline as base64, so a long
+ * session grows by megabytes per turn until the API or its proxy answers 413.
+ * Only the newest images are sent: older ones are replaced by a short text
+ * note, which keeps the message structure (and the model's sense that an
+ * image was there) intact. The images attached to the prompt being sent are
+ * always included.
+ */
+
+// Earlier images sent with each prompt, offered in the chat settings (0 = all)
+export const CONTEXT_IMAGE_OPTIONS = [1, 2, 4, 8, 0];
+export const DEFAULT_CONTEXT_IMAGES = 4;
+
+// Share of the request cap at which the size indicator turns into a warning
+const REQUEST_SIZE_WARNING_RATIO = 0.8;
+
+/**
+ * Builds the messages sent to the API from a thread
+ * Thinking text is only shown, never sent back.
+ * @param {Object[]} thread - Messages from the root to the new prompt
+ * @param {number} contextImages - Earlier images to keep, newest first (0 keeps all)
+ * @returns {{messages: Object[], omittedImages: number}} Payload messages and how many images were left out
+ */
+export const buildPayloadMessages = (thread, contextImages) => {
+  let remaining = contextImages > 0 ? contextImages : Infinity;
+  let omittedImages = 0;
+  const messages = [];
+
+  // Walk back from the prompt so the newest images are the ones kept
+  for (let index = thread.length - 1; index >= 0; index -= 1) {
+    const { role, parts } = thread[index];
+    const isPrompt = index === thread.length - 1;
+    const kept = [];
+    let omitted = 0;
+    // Within a message, later images are the newer ones too
+    for (let partIndex = parts.length - 1; partIndex >= 0; partIndex -= 1) {
+      const part = parts[partIndex];
+      if (part.thought) continue;
+      if (!part.image_base64) {
+        kept.unshift({ text: part.text });
+      } else if (isPrompt || remaining > 0) {
+        if (!isPrompt) remaining -= 1;
+        kept.unshift({ image_base64: part.image_base64, mime_type: part.mime_type });
+      } else {
+        omitted += 1;
+      }
+    }
+    if (omitted > 0) {
+      kept.unshift({ text: omitted === 1 ? '[earlier image omitted]' : `[${omitted} earlier images omitted]` });
+      omittedImages += omitted;
+    }
+    messages.unshift({ role, parts: kept });
+  }
+
+  return { messages, omittedImages };
+};
+
+/**
+ * Size of a request body once serialized
+ * @param {Object} body - Request body
+ * @returns {number} Bytes
+ */
+export const getRequestBytes = (body) => new Blob([JSON.stringify(body)]).size;
+
+/**
+ * Classifies a request size against the cap
+ * @param {number} bytes - Request size
+ * @param {number} maxBytes - Cap
+ * @returns {'ok'|'warning'|'over'} Level
+ */
+export const getRequestSizeLevel = (bytes, maxBytes) => {
+  if (bytes > maxBytes) return 'over';
+  if (bytes > maxBytes * REQUEST_SIZE_WARNING_RATIO) return 'warning';
+  return 'ok';
+};
@@ -0,0 +1,70 @@
+/**
+ * Turns /gemini-edit-image response bodies into assistant message parts
+ * Gemini can answer with interleaved text and several images, or with text
+ * only (thinking, a question back, a refusal). The API reports them as any of:
+ *
+ *   { parts: [{ text, thought? } | { image_base64, mime_type } | { inline_data: { data, mime_type } }] }
+ *   { images: [{ image_base64, mime_type }], text? }
+ *   { image_base64, mime_type, text? }            the original single-image body
+ *
+ * plus an optional `finish_reason` / `block_reason` when generation stopped early.
+ */
+
+/**
+ * Normalizes one response part
+ * @param {Object} part - Part as returned by the API
+ * @returns {Object|null} { text, thought? } or { image_base64, mime_type }, null if empty
+ */
+const toMessagePart = (part) => {
+  const inline = part.inline_data || part.inlineData;
+  const imageBase64 = part.image_base64 || inline?.data;
+  if (imageBase64) {
+    return {
+      image_base64: imageBase64,
+      mime_type: part.mime_type || inline?.mime_type || inline?.mimeType || 'image/png',
+    };
+  }
+  if (typeof part.text === 'string' && part.text.trim()) {
+    return { text: part.text, ...(part.thought ? { thought: true } : {}) };
+  }
+  return null;
+};
+
+/**
+ * Describes why no content came back, for bodies that only carry a stop reason
+ * @param {Object} data - Response body
+ * @returns {string|null} Explanation
+ */
+const describeStopReason = (data) => {
+  const reason = data.block_reason || data.finish_reason;
+  if (!reason || reason === 'STOP') return null;
+  return `The model stopped without an answer (${reason}). Try rephrasing the prompt.`;
+};
+
+/**
+ * Builds the parts of an assistant message from a response
+ * Text and thinking streamed before the result are kept unless the result repeats them.
+ * @param {Object} data - Response body
+ * @param {Object[]} [streamedTexts] - Text parts received while streaming
+ * @returns {Object[]} Parts, in the order the model produced them
+ * @throws {Error} When the response has no text, images or stop reason
+ */
+export const getResponseParts = (data, streamedTexts = []) => {
+  let parts;
+  if (Array.isArray(data.parts)) {
+    parts = data.parts.map(toMessagePart).filter(Boolean);
+  } else {
+    const images = Array.isArray(data.images) ? data.images : [data];
+    parts = [toMessagePart({ text: data.text }), ...images.map(image => toMessagePart({ ...image, text: undefined }))]
+      .filter(Boolean);
+  }
+
+  const hasText = parts.some(part => part.text && !part.thought);
+  const hasThoughts = parts.some(part => part.thought);
+  parts = [...streamedTexts.filter(part => (part.thought ? !hasThoughts : !hasText)), ...parts];
+  // Only thinking (or nothing) came back; say why if the API told us
+  const reason = describeStopReason(data);
+  if (reason && parts.every(part => part.thought)) parts.push({ text: reason });
+  if (parts.length === 0) throw new Error('The model returned an empty response');
+  return parts;
+};
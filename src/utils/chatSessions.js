@@ -0,0 +1,226 @@
+import { dbDelete, dbGetAll, dbPut } from './db';
+
+/**
+ * ImageChat sessions, persisted in IndexedDB with their images
+ * A session stores its messages as a tree: each message points at its
+ * parent, and `activeLeafId` marks the tip of the thread being shown.
+ * Continuing from an earlier image just moves the tip back, so the next
+ * prompt starts a new branch and the original thread stays intact.
+ *
+ * Session shape:
+ * {
+ *   id, title, model, size, createdAt, updatedAt,
+ *   messages: [{ id, parentId, role, parts, createdAt }],
+ *   activeLeafId,
+ *   thumbnail: data URL of the latest image, or null
+ * }
+ */
+
+const TITLE_MAX_LENGTH = 40;
+const THUMBNAIL_SIZE = 96;
+
+/**
+ * Creates an empty session
+ * @param {Object} settings - { model, size }
+ * @returns {Object} Session (not yet saved)
+ */
+export const createSession = ({ model, size }) => {
+  const now = Date.now();
+  return {
+    id: crypto.randomUUID(),
+    title: 'New chat',
+    model,
+    size,
+    createdAt: now,
+    updatedAt: now,
+    messages: [],
+    activeLeafId: null,
+    thumbnail: null,
+  };
+};
+
+/**
+ * Builds a session title from the first prompt
+ * @param {string} prompt - Prompt text
+ * @returns {string} Title
+ */
+const titleFromPrompt = (prompt) => {
+  const text = prompt.trim().replace(/\s+/g, ' ');
+  return text.length > TITLE_MAX_LENGTH ? `${text.slice(0, TITLE_MAX_LENGTH - 1)}…` : text;
+};
+
+/**
+ * Messages from the root to the active leaf
+ * @param {Object|null} session - Session
+ * @returns {Object[]} Messages in the current thread
+ */
+export const getThread = (session) => {
+  if (!session?.activeLeafId) return [];
+  const byId = new Map(session.messages.map(message => [message.id, message]));
+  const thread = [];
+  for (let message = byId.get(session.activeLeafId); message; message = byId.get(message.parentId)) {
+    thread.unshift(message);
+  }
+  return thread;
+};
+
+/**
+ * Messages sharing a message's parent, oldest first (the message included)
+ * @param {Object} session - Session
+ * @param {Object} message - Message
+ * @returns {Object[]} Siblings
+ */
+export const getSiblings = (session, message) =>
+  session.messages.filter(item => item.parentId === message.parentId);
+
+/**
+ * Follows the newest child down from a message
+ * @param {Object} session - Session
+ * @param {string} messageId - Starting message
+ * @returns {string} Id of the leaf reached
+ */
+const findLatestLeaf = (session, messageId) => {
+  let leafId = messageId;
+  for (;;) {
+    const children = session.messages.filter(message => message.parentId === leafId);
+    if (children.length === 0) return leafId;
+    leafId = children[children.length - 1].id;
+  }
+};
+
+/**
+ * Number of branches (leaves) in a session
+ * @param {Object} session - Session
+ * @returns {number} Branch count
+ */
+export const countBranches = (session) => {
+  const parents = new Set(session.messages.map(message => message.parentId));
+  return session.messages.filter(message => !parents.has(message.id)).length;
+};
+
+/**
+ * Adds a message after the active leaf and makes it the new leaf
+ * The first user message also names the session.
+ * @param {Object} session - Session
+ * @param {Object} message - { role, parts }
+ * @returns {Object} Updated session
+ */
+export const appendMessage = (session, { role, parts }) => {
+  const message = {
+    id: crypto.randomUUID(),
+    parentId: session.activeLeafId,
+    role,
+    parts,
+    createdAt: Date.now(),
+  };
+  const isFirstPrompt = role === 'user' && session.messages.length === 0;
+  return {
+    ...session,
+    title: isFirstPrompt ? titleFromPrompt(parts.find(part => part.text)?.text || session.title) : session.title,
+    messages: [...session.messages, message],
+    activeLeafId: message.id,
+    updatedAt: message.createdAt,
+  };
+};
+
+/**
+ * Adds a reply under a given message, e.g. a prompt that was still generating
+ * The reply becomes the new leaf only if that message is still the one shown;
+ * otherwise the branch the user moved to stays active.
+ * @param {Object} session - Session
+ * @param {string} parentId - Message being replied to
+ * @param {Object} message - { role, parts }
+ * @returns {Object} Updated session
+ */
+export const appendReply = (session, parentId, message) => {
+  const updated = appendMessage({ ...session, activeLeafId: parentId }, message);
+  return session.activeLeafId === parentId ? updated : { ...updated, activeLeafId: session.activeLeafId };
+};
+
+/**
+ * Continues the session from an earlier message
+ * The thread is cut back to that message; the next prompt starts a branch.
+ * @param {Object} session - Session
+ * @param {string} messageId - Message to continue from
+ * @returns {Object} Updated session
+ */
+export const branchFrom = (session, messageId) => ({ ...session, activeLeafId: messageId });
+
+/**
+ * Shows another branch, at its most recent message
+ * @param {Object} session - Session
+ * @param {string} messageId - Sibling message to switch to
+ * @returns {Object} Updated session
+ */
+export const switchBranch = (session, messageId) => ({
+  ...session,
+  activeLeafId: findLatestLeaf(session, messageId),
+});
+
+/**
+ * Whether the active leaf already has replies, i.e. the next prompt starts a branch
+ * @param {Object|null} session - Session
+ * @returns {boolean} True when branching
+ */
+export const isBranching = (session) =>
+  Boolean(session?.activeLeafId) && session.messages.some(message => message.parentId === session.activeLeafId);
+
+/**
+ * Goes back to the newest thread below the current branch point
+ * @param {Object} session - Session
+ * @returns {Object} Updated session
+ */
+export const cancelBranch = (session) => switchBranch(session, session.activeLeafId);
+
+/**
+ * Renders a small JPEG preview of a base64 image for the session list
+ * @param {string} base64 - Image data
+ * @param {string} mimeType - Image type
+ * @returns {Promise<string|null>} Data URL, or null if the browser can't decode it
+ */
+export const createThumbnail = async (base64, mimeType) => {
+  try {
+    const blob = await (await fetch(`data:${mimeType};base64,${base64}`)).blob();
+    const bitmap = await createImageBitmap(blob);
+    const scale = THUMBNAIL_SIZE / Math.max(bitmap.width, bitmap.height);
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(bitmap.width * scale);
+    canvas.height = Math.round(bitmap.height * scale);
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close();
+    return canvas.toDataURL('image/jpeg', 0.7);
+  } catch (error) {
+    console.warn('Could not create chat thumbnail:', error);
+    return null;
+  }
+};
+
+/**
+ * Lists saved sessions, most recently updated first
+ * @returns {Promise<Object[]>} Sessions
+ */
+export const listSessions = async () => {
+  try {
+    const sessions = await dbGetAll('chatSessions');
+    return sessions.sort((a, b) => b.updatedAt - a.updatedAt);
+  } catch (error) {
+    console.warn('Could not read chat sessions:', error);
+    return [];
+  }
+};
+
+/**
+ * Saves a session
+ * @param {Object} session - Session
+ * @returns {Promise<void>}
+ */
+export const saveSession = async (session) => {
+  await dbPut('chatSessions', session);
+};
+
+/**
+ * Deletes a session
+ * @param {string} id - Session id
+ * @returns {Promise<void>}
+ */
+export const deleteSession = (id) => dbDelete('chatSessions', id);
@@ -0,0 +1,81 @@
+/**
+ * Parser for streamed /gemini-edit-image responses
+ * With `stream: true` the API answers with Server-Sent Events
+ * (text/event-stream) or newline-delimited JSON (application/x-ndjson).
+ * Either way each event is a JSON object:
+ *
+ *   { type: 'progress', progress?: 0-1, message? }
+ *   { type: 'text', text, thought?: true }     interim text or model "thinking"
+ *   { type: 'result', ...body }                 same body as the non-streaming response
+ *   { type: 'error', detail }
+ *
+ * An API without streaming support just returns the JSON body, which is
+ * treated as the result.
+ */
+
+/**
+ * Splits SSE blocks into JSON events
+ * The SSE event name, when present, is used as `type` if the data has none.
+ * @param {string} block - One event block (lines up to a blank line)
+ * @returns {Object|null} Event, or null for comments and keep-alives
+ */
+const parseSseBlock = (block) => {
+  let name = null;
+  const data = [];
+  block.split('\n').forEach(line => {
+    if (line.startsWith('event:')) name = line.slice(6).trim();
+    if (line.startsWith('data:')) data.push(line.slice(5).replace(/^ /, ''));
+  });
+  if (data.length === 0) return null;
+  const event = JSON.parse(data.join('\n'));
+  return { type: name || undefined, ...event };
+};
+
+/**
+ * Reads a streamed response to the end
+ * @param {ReadableStream<Uint8Array>} stream - Response body
+ * @param {string} contentType - Response Content-Type
+ * @param {Function} onEvent - Called with every progress and text event
+ * @returns {Promise<Object>} Body of the result event
+ * @throws {Error} On an error event, or if the stream ends without a result
+ */
+export const readChatStream = async (stream, contentType, onEvent) => {
+  const isSse = contentType.includes('text/event-stream');
+  const separator = isSse ? /\r?\n\r?\n/ : /\r?\n/;
+  const reader = stream.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let result = null;
+
+  const handle = (chunk) => {
+    if (!chunk.trim()) return;
+    const event = isSse ? parseSseBlock(chunk) : JSON.parse(chunk);
+    if (!event) return;
+    if (event.type === 'error') {
+      throw new Error(event.detail || event.message || 'Generation failed');
+    }
+    if (event.type === 'result') {
+      result = { ...event };
+      delete result.type;
+      return;
+    }
+    onEvent(event);
+  };
+
+  try {
+    for (;;) {
+      const { value, done } = await reader.read();
+      buffer += decoder.decode(value, { stream: !done });
+      const chunks = buffer.split(separator);
+      buffer = done ? '' : chunks.pop();
+      chunks.forEach(handle);
+      if (done) break;
+    }
+  } catch (error) {
+    reader.cancel().catch(() => {});
+    throw error;
+  }
+
+  if (!result) throw new Error('The stream ended before the image was ready');
+  return result;
+};
@@ -0,0 +1,215 @@
+import axios from 'axios';
+import apiClient from './apiClient';
+import { dbDelete, dbGet, dbGetAll, dbPut } from './db';
+import { invalidateQueries } from './queryCache';
+import { imageListScope } from '../api/images';
+
+/**
+ * Resumable chunked uploads
+ *
+ * Protocol (see docs/CHUNKED_UPLOADS.md):
+ *   POST /uploads                         -> { upload_id }
+ *   GET  /uploads/:id                     -> { received_chunks: number[] }
+ *   PUT  /uploads/:id/chunks/:index       (X-Chunk-Sha256 header) -> { index }
+ *   POST /uploads/:id/complete            -> same body as /add_image
+ *
+ * Upload state, including the file itself, is kept in IndexedDB so an
+ * interrupted upload can continue after a network drop or page reload.
+ */
+
+export const CHUNK_SIZE = 1024 * 1024; // 1MB
+const MAX_CHUNK_ATTEMPTS = 3;
+const UPLOAD_MODE_STORAGE_KEY = 'uploadModeByBackend';
+
+export const UPLOAD_MODES = {
+  standard: 'Standard upload',
+  chunked: 'Chunked (resumable)',
+};
+
+/**
+ * Reads the upload mode chosen for each backend
+ * @returns {Object<string, string>} Map of backend -> upload mode
+ */
+export const getUploadModes = () => {
+  try {
+    return JSON.parse(localStorage.getItem(UPLOAD_MODE_STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+};
+
+/**
+ * Persists the upload mode for a backend
+ * @param {string} backend - Backend identifier
+ * @param {string} mode - Key of UPLOAD_MODES
+ * @returns {Object<string, string>} Updated map of backend -> upload mode
+ */
+export const saveUploadMode = (backend, mode) => {
+  const modes = { ...getUploadModes(), [backend]: mode };
+  localStorage.setItem(UPLOAD_MODE_STORAGE_KEY, JSON.stringify(modes));
+  return modes;
+};
+
+/**
+ * Stable key identifying the same file going to the same backend
+ * @param {File} file - File being uploaded
+ * @param {string} backend - Target backend
+ * @returns {string} Upload key
+ */
+const getUploadKey = (file, backend) =>
+  `${backend}:${file.name}:${file.size}:${file.lastModified}`;
+
+/**
+ * Computes the hex SHA-256 digest of a blob
+ * @param {Blob} blob - Data to hash
+ * @returns {Promise<string>} Hex digest
+ */
+const sha256 = async (blob) => {
+  const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+  return Array.from(new Uint8Array(digest))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+};
+
+/**
+ * Whether a failed chunk request is worth retrying
+ * @param {Error} error - Axios error
+ * @returns {boolean} True for network errors and 5xx responses
+ */
+const isTransientError = (error) =>
+  !error.response || error.response.status >= 500;
+
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer);
+    reject(new axios.CanceledError());
+  }, { once: true });
+});
+
+/**
+ * Starts a new server-side upload session or resumes a stored one
+ * @param {File} file - File being uploaded
+ * @param {string} backend - Target backend
+ * @param {AbortSignal} signal - Cancels the requests
+ * @returns {Promise<Object>} Stored upload state with acknowledged chunks
+ */
+const startOrResumeSession = async (file, backend, signal) => {
+  const key = getUploadKey(file, backend);
+  const stored = await dbGet('uploads', key).catch(() => undefined);
+
+  if (stored) {
+    try {
+      const res = await apiClient.get(`/uploads/${stored.uploadId}`, { signal });
+      return { ...stored, acknowledged: res.data.received_chunks || [] };
+    } catch (error) {
+      // Session expired on the server - fall through and start over
+      if (error.response?.status !== 404) throw error;
+    }
+  }
+
+  const totalChunks = Math.max(1, Math.ceil(file.size / CHUNK_SIZE));
+  const res = await apiClient.post('/uploads', {
+    file_name: file.name,
+    file_size: file.size,
+    mime_type: file.type,
+    chunk_size: CHUNK_SIZE,
+    total_chunks: totalChunks,
+  }, { params: { backend }, signal });
+
+  const state = {
+    key,
+    uploadId: res.data.upload_id,
+    backend,
+    file,
+    chunkSize: CHUNK_SIZE,
+    totalChunks,
+    acknowledged: [],
+    createdAt: Date.now(),
+  };
+  await dbPut('uploads', state).catch(error => console.warn('Could not persist upload state:', error));
+  return state;
+};
+
+/**
+ * Uploads one chunk, retrying transient failures with backoff
+ * @param {Object} state - Upload state
+ * @param {number} index - Chunk index
+ * @param {AbortSignal} signal - Cancels the request
+ */
+const uploadChunk = async (state, index, signal) => {
+  const start = index * state.chunkSize;
+  const chunk = state.file.slice(start, Math.min(start + state.chunkSize, state.file.size));
+  const checksum = await sha256(chunk);
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      await apiClient.put(`/uploads/${state.uploadId}/chunks/${index}`, chunk, {
+        headers: {
+          'Content-Type': 'application/octet-stream',
+          'X-Chunk-Sha256': checksum,
+        },
+        signal,
+      });
+      return;
+    } catch (error) {
+      if (axios.isCancel(error) || attempt >= MAX_CHUNK_ATTEMPTS || !isTransientError(error)) {
+        throw error;
+      }
+      await wait(1000 * 2 ** (attempt - 1), signal);
+    }
+  }
+};
+
+/**
+ * Uploads a file in checksummed chunks, resuming from the last acknowledged chunk
+ * @param {File} file - File to upload
+ * @param {Object} options - Upload options
+ * @param {string} options.backend - Target backend
+ * @param {AbortSignal} [options.signal] - Cancels the upload (state is kept for resume)
+ * @param {Function} [options.onProgress] - Receives progress (0-100)
+ * @returns {Promise<Object>} Axios response from the complete call
+ */
+export const uploadInChunks = async (file, { backend, signal, onProgress }) => {
+  const state = await startOrResumeSession(file, backend, signal);
+  const acknowledged = new Set(state.acknowledged);
+
+  onProgress?.(Math.round((acknowledged.size * 100) / state.totalChunks));
+
+  for (let index = 0; index < state.totalChunks; index++) {
+    if (acknowledged.has(index)) continue;
+
+    await uploadChunk(state, index, signal);
+    acknowledged.add(index);
+    await dbPut('uploads', { ...state, acknowledged: [...acknowledged] }).catch(() => {});
+    onProgress?.(Math.round((acknowledged.size * 100) / state.totalChunks));
+  }
+
+  const res = await apiClient.post(`/uploads/${state.uploadId}/complete`, null, {
+    params: { backend },
+    signal,
+  });
+  await dbDelete('uploads', state.key).catch(() => {});
+  invalidateQueries(imageListScope(backend));
+  return res;
+};
+
+/**
+ * Lists uploads interrupted before completion (e.g. by a page reload)
+ * @returns {Promise<Object[]>} Stored upload states
+ */
+export const getIncompleteUploads = async () => {
+  try {
+    return await dbGetAll('uploads');
+  } catch (error) {
+    console.warn('Could not read incomplete uploads:', error);
+    return [];
+  }
+};
+
+/**
+ * Forgets an interrupted upload
+ * @param {string} key - Upload key
+ * @returns {Promise<void>}
+ */
+export const discardIncompleteUpload = (key) => dbDelete('uploads', key).catch(() => {});
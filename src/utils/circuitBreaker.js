@@ -0,0 +1,102 @@
+/**
+ * Per-host circuit breaker
+ * After `failureThreshold` consecutive failures against a host the circuit
+ * opens and requests fail fast for `cooldownMs`. The first request after the
+ * cooldown is let through as a trial (half-open): success closes the circuit,
+ * failure opens it again.
+ */
+
+export const CIRCUIT_STATE = {
+  closed: 'closed',
+  open: 'open',
+  halfOpen: 'half_open',
+};
+
+export const DEFAULT_BREAKER_OPTIONS = {
+  failureThreshold: 5,
+  cooldownMs: 30000,
+};
+
+/**
+ * Creates a circuit breaker keyed by host
+ * @param {Object} [options] - Breaker options
+ * @param {number} [options.failureThreshold] - Consecutive failures before opening
+ * @param {number} [options.cooldownMs] - How long the circuit stays open
+ * @param {Function} [options.onStateChange] - ({ host, from, to, failures }) on every transition
+ * @param {Function} [options.now] - Clock, for tests
+ * @returns {Object} { canRequest, recordSuccess, recordFailure, release, getState, reset } (all but reset take a host)
+ */
+export const createCircuitBreaker = ({
+  failureThreshold = DEFAULT_BREAKER_OPTIONS.failureThreshold,
+  cooldownMs = DEFAULT_BREAKER_OPTIONS.cooldownMs,
+  onStateChange = () => {},
+  now = Date.now,
+} = {}) => {
+  // host -> { state, failures, openedAt, trialInFlight }
+  const circuits = new Map();
+
+  const getCircuit = (host) => {
+    if (!circuits.has(host)) {
+      circuits.set(host, { state: CIRCUIT_STATE.closed, failures: 0, openedAt: 0, trialInFlight: false });
+    }
+    return circuits.get(host);
+  };
+
+  const transition = (host, circuit, to) => {
+    if (circuit.state === to) return;
+    const from = circuit.state;
+    circuit.state = to;
+    onStateChange({ host, from, to, failures: circuit.failures });
+  };
+
+  return {
+    /**
+     * Whether a request to the host may be sent now
+     * Moves an expired open circuit to half-open and reserves the trial request.
+     */
+    canRequest(host) {
+      const circuit = getCircuit(host);
+      if (circuit.state === CIRCUIT_STATE.closed) return true;
+
+      if (circuit.state === CIRCUIT_STATE.open) {
+        if (now() - circuit.openedAt < cooldownMs) return false;
+        transition(host, circuit, CIRCUIT_STATE.halfOpen);
+      }
+
+      if (circuit.trialInFlight) return false;
+      circuit.trialInFlight = true;
+      return true;
+    },
+
+    recordSuccess(host) {
+      const circuit = getCircuit(host);
+      circuit.failures = 0;
+      circuit.trialInFlight = false;
+      transition(host, circuit, CIRCUIT_STATE.closed);
+    },
+
+    recordFailure(host) {
+      const circuit = getCircuit(host);
+      circuit.failures += 1;
+      circuit.trialInFlight = false;
+
+      if (circuit.state === CIRCUIT_STATE.halfOpen || circuit.failures >= failureThreshold) {
+        circuit.openedAt = now();
+        transition(host, circuit, CIRCUIT_STATE.open);
+      }
+    },
+
+    // Frees the trial slot of a request that ended without an outcome (e.g. cancelled)
+    release(host) {
+      getCircuit(host).trialInFlight = false;
+    },
+
+    getState(host) {
+      return getCircuit(host).state;
+    },
+
+    reset() {
+      circuits.clear();
+    },
+  };
+};
@@ -0,0 +1,128 @@
+/**
+ * Minimal promise wrapper around IndexedDB
+ * All client-side persistence shares one database; each feature owns a store
+ * declared in STORES. Bump DB_VERSION whenever a store is added.
+ */
+
+const DB_NAME = 'demo-gallery';
+const DB_VERSION = 4;
+
+// Object stores and their key paths
+export const STORES = {
+  uploads: { keyPath: 'key' }, // Resumable chunked uploads (utils/chunkedUpload.js)
+  trash: { keyPath: 'key' }, // Recently deleted images (utils/trash.js)
+  imageCache: { keyPath: 'backend' }, // Last image list per backend (utils/offlineStore.js)
+  thumbnails: { keyPath: 'url' }, // Cached image content for offline viewing (utils/offlineStore.js)
+  outbox: { keyPath: 'id' }, // Uploads/deletes made offline (utils/offlineStore.js)
+  chatSessions: { keyPath: 'id' }, // ImageChat sessions and their images (utils/chatSessions.js)
+};
+
+let dbPromise = null;
+
+/**
+ * Opens (and upgrades if needed) the shared database
+ * @returns {Promise<IDBDatabase>} The open database
+ */
+const openDatabase = () => {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not available in this browser'));
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      Object.entries(STORES).forEach(([name, options]) => {
+        if (!db.objectStoreNames.contains(name)) {
+          db.createObjectStore(name, options);
+        }
+      });
+    };
+    // A tab still running an older version holds the database open; don't hang every call waiting for it
+    let blocked = false;
+    request.onblocked = () => {
+      blocked = true;
+      console.warn('Database upgrade blocked by another open tab of this app');
+      reject(new Error('The local database is in use by another tab of this app; close it and reload'));
+    };
+    request.onsuccess = () => {
+      const db = request.result;
+      // Step aside when a newer version in another tab needs to upgrade
+      db.onversionchange = () => {
+        db.close();
+        dbPromise = null;
+      };
+      if (blocked) {
+        // Opened once the other tab let go, but callers were already told it failed
+        db.close();
+        return;
+      }
+      resolve(db);
+    };
+    request.onerror = () => reject(request.error);
+  });
+
+  // Allow a later call to retry if opening failed
+  dbPromise.catch(() => {
+    dbPromise = null;
+  });
+
+  return dbPromise;
+};
+
+/**
+ * Runs a single request against a store
+ * @param {string} storeName - Name from STORES
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+ * @param {Function} operation - Receives the object store and returns an IDBRequest
+ * @returns {Promise<*>} The request result
+ */
+const runRequest = async (storeName, mode, operation) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = operation(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+/**
+ * Reads a record by key
+ * @param {string} storeName - Name from STORES
+ * @param {IDBValidKey} key - Record key
+ * @returns {Promise<Object|undefined>} The record, if present
+ */
+export const dbGet = (storeName, key) =>
+  runRequest(storeName, 'readonly', store => store.get(key));
+
+/**
+ * Reads every record in a store
+ * @param {string} storeName - Name from STORES
+ * @returns {Promise<Object[]>} All records
+ */
+export const dbGetAll = (storeName) =>
+  runRequest(storeName, 'readonly', store => store.getAll());
+
+/**
+ * Inserts or replaces a record
+ * @param {string} storeName - Name from STORES
+ * @param {Object} value - Record containing the store's key path
+ * @returns {Promise<IDBValidKey>} The record key
+ */
+export const dbPut = (storeName, value) =>
+  runRequest(storeName, 'readwrite', store => store.put(value));
+
+/**
+ * Deletes a record by key
+ * @param {string} storeName - Name from STORES
+ * @param {IDBValidKey} key - Record key
+ * @returns {Promise<void>}
+ */
+export const dbDelete = (storeName, key) =>
+  runRequest(storeName, 'readwrite', store => store.delete(key));
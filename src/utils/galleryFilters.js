@@ -0,0 +1,164 @@
+/**
+ * Gallery search, filter and sort helpers
+ * Filter state lives in the URL query string (?q=&labels=&match=&sort=) so
+ * filtered views can be shared; these helpers convert between the two and
+ * apply the filters to the images loaded so far.
+ */
+
+export const SORT_OPTIONS = {
+  newest: 'Newest first',
+  oldest: 'Oldest first',
+  name: 'Name (A-Z)',
+  labels: 'Most labels',
+};
+
+export const DEFAULT_FILTERS = {
+  query: '',
+  labels: [],
+  match: 'all', // 'all' = AND, 'any' = OR
+  sort: 'newest',
+};
+
+/**
+ * Reads filter state from URL search params
+ * @param {URLSearchParams} searchParams - Current query string
+ * @returns {Object} Filters ({ query, labels, match, sort })
+ */
+export const parseFilters = (searchParams) => {
+  const sort = searchParams.get('sort');
+  return {
+    query: searchParams.get('q') || '',
+    labels: (searchParams.get('labels') || '').split(',').map(label => label.trim()).filter(Boolean),
+    match: searchParams.get('match') === 'any' ? 'any' : 'all',
+    sort: SORT_OPTIONS[sort] ? sort : DEFAULT_FILTERS.sort,
+  };
+};
+
+/**
+ * Writes filter state to URL search params, omitting defaults
+ * @param {Object} filters - Filters to serialize
+ * @param {URLSearchParams} [base] - Existing params to preserve (e.g. unrelated keys)
+ * @returns {URLSearchParams} Updated params
+ */
+export const serializeFilters = (filters, base = new URLSearchParams()) => {
+  const params = new URLSearchParams(base);
+  const set = (key, value, isDefault) => (isDefault ? params.delete(key) : params.set(key, value));
+
+  set('q', filters.query.trim(), !filters.query.trim());
+  set('labels', filters.labels.join(','), filters.labels.length === 0);
+  set('match', filters.match, filters.match === DEFAULT_FILTERS.match);
+  set('sort', filters.sort, filters.sort === DEFAULT_FILTERS.sort);
+  return params;
+};
+
+/**
+ * Whether any filter narrows the gallery
+ * @param {Object} filters - Current filters
+ * @returns {boolean} True when a search or label filter is active
+ */
+export const hasActiveFilters = (filters) =>
+  Boolean(filters.query.trim()) || filters.labels.length > 0;
+
+/**
+ * Best-effort upload time for an image
+ * Uses an explicit timestamp when the API provides one, otherwise the
+ * creation time embedded in a Mongo ObjectId.
+ * @param {Object} image - Image record
+ * @returns {number} Milliseconds since epoch, or 0 when unknown
+ */
+export const getImageTimestamp = (image) => {
+  const explicit = image.uploaded_at || image.upload_date || image.created_at;
+  if (explicit) {
+    const parsed = Date.parse(explicit);
+    if (!Number.isNaN(parsed)) return parsed;
+  }
+
+  const oid = image._id?.$oid;
+  if (oid && oid.length >= 8) {
+    return parseInt(oid.substring(0, 8), 16) * 1000;
+  }
+  return 0;
+};
+
+const normalize = (value) => String(value).toLowerCase();
+
+/**
+ * Applies search and label filters
+ * @param {Object[]} images - Loaded images
+ * @param {Object} filters - Current filters
+ * @returns {Object[]} Matching images
+ */
+export const filterImages = (images, filters) => {
+  const query = normalize(filters.query.trim());
+  const wanted = filters.labels.map(normalize);
+
+  return images.filter(image => {
+    if (query) {
+      const haystack = [image.name, ...(image.ai_text || [])].map(normalize).join(' ');
+      if (!haystack.includes(query)) return false;
+    }
+
+    if (wanted.length > 0) {
+      const labels = new Set((image.ai_labels || []).map(normalize));
+      const matches = filters.match === 'any'
+        ? wanted.some(label => labels.has(label))
+        : wanted.every(label => labels.has(label));
+      if (!matches) return false;
+    }
+
+    return true;
+  });
+};
+
+/**
+ * Sorts images without mutating the input
+ * @param {Object[]} images - Images to sort
+ * @param {string} sort - Key of SORT_OPTIONS
+ * @returns {Object[]} Sorted copy
+ */
+export const sortImages = (images, sort) => {
+  const sorted = [...images];
+  switch (sort) {
+    case 'oldest':
+      return sorted.sort((a, b) => getImageTimestamp(a) - getImageTimestamp(b));
+    case 'name':
+      return sorted.sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+    case 'labels':
+      return sorted.sort((a, b) => (b.ai_labels?.length || 0) - (a.ai_labels?.length || 0));
+    case 'newest':
+    default:
+      return sorted.sort((a, b) => getImageTimestamp(b) - getImageTimestamp(a));
+  }
+};
+
+/**
+ * Counts how many images carry each label (case-insensitive)
+ * @param {Object[]} images - Images to scan
+ * @returns {Array<{label: string, count: number}>} Labels by descending count
+ */
+export const collectLabelCounts = (images) => {
+  const counts = new Map();
+  images.forEach(image => {
+    new Set((image.ai_labels || []).map(normalize)).forEach(label => {
+      counts.set(label, (counts.get(label) || 0) + 1);
+    });
+  });
+
+  return [...counts.entries()]
+    .map(([label, count]) => ({ label, count }))
+    .sort((a, b) => b.count - a.count || a.label.localeCompare(b.label));
+};
+
+/**
+ * Builds the lightbox URL for an image, carrying the backend and current
+ * filters so the lightbox can be deep-linked and step through the same order
+ * @param {string} imageKey - Image key (see getImageKey)
+ * @param {string} backend - Backend the image belongs to
+ * @param {Object} filters - Current filters
+ * @returns {string} Path with query string
+ */
+export const buildImagePath = (imageKey, backend, filters) => {
+  const params = serializeFilters(filters);
+  params.set('backend', backend);
+  return `/image/${encodeURIComponent(imageKey)}?${params.toString()}`;
+};
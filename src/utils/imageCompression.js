@@ -0,0 +1,98 @@
+import imageCompression from 'browser-image-compression';
+import { IMAGE_CONTEXT, USER_IMAGE_PREFERENCES } from './imageConfig';
+
+// Encoder quality used for each advertised compression level
+const QUALITY_BY_LEVEL = {
+  low: 0.9,
+  medium: 0.8,
+  high: 0.6
+};
+
+// Output formats offered in the upload settings ('original' keeps the source type)
+export const OUTPUT_FORMATS = {
+  webp: { mimeType: 'image/webp', extension: 'webp', label: 'WebP' },
+  jpeg: { mimeType: 'image/jpeg', extension: 'jpg', label: 'JPEG' },
+  original: { mimeType: null, extension: null, label: 'Original' }
+};
+
+/**
+ * Builds the default compression settings from the shared image preferences
+ * @returns {Object} Settings with enabled, maxDimension, quality and format
+ */
+export const getDefaultCompressionSettings = () => {
+  const { width, height } = USER_IMAGE_PREFERENCES.preferredDimensions;
+  const format = USER_IMAGE_PREFERENCES.defaultFormat;
+
+  return {
+    enabled: USER_IMAGE_PREFERENCES.autoOptimize,
+    maxDimension: Math.max(width, height),
+    quality: QUALITY_BY_LEVEL[IMAGE_CONTEXT.compressionLevel] ?? QUALITY_BY_LEVEL.medium,
+    format: OUTPUT_FORMATS[format] ? format : 'original'
+  };
+};
+
+/**
+ * Formats a byte count for display (e.g. 2.4 MB)
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Human readable size
+ */
+export const formatBytes = (bytes) => {
+  if (!bytes) return '0 B';
+  const units = ['B', 'KB', 'MB', 'GB'];
+  const exponent = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+  const value = bytes / Math.pow(1024, exponent);
+  return `${value.toFixed(exponent === 0 ? 0 : 1)} ${units[exponent]}`;
+};
+
+/**
+ * Replaces the extension of a filename
+ * @param {string} name - Original filename
+ * @param {string|null} extension - New extension without the dot, or null to keep it
+ * @returns {string} Renamed filename
+ */
+const renameWithExtension = (name, extension) => {
+  if (!extension) return name;
+  const base = name.lastIndexOf('.') > 0 ? name.substring(0, name.lastIndexOf('.')) : name;
+  return `${base}.${extension}`;
+};
+
+/**
+ * Resizes and re-encodes an image before upload
+ * Falls back to the original file when optimization would make it larger
+ * or the browser cannot decode the source (e.g. HEIC on desktop Chrome)
+ * @param {File} file - The selected image file
+ * @param {Object} settings - Settings from getDefaultCompressionSettings()
+ * @returns {Promise<{original: File, file: File, optimized: boolean}>} Upload candidate
+ */
+export const compressImage = async (file, settings) => {
+  if (!settings.enabled || file.type === 'image/gif' || file.type === 'image/svg+xml') {
+    return { original: file, file, optimized: false };
+  }
+
+  const output = OUTPUT_FORMATS[settings.format] || OUTPUT_FORMATS.original;
+
+  try {
+    const blob = await imageCompression(file, {
+      maxSizeMB: IMAGE_CONTEXT.maxUploadSize / (1024 * 1024),
+      maxWidthOrHeight: settings.maxDimension,
+      initialQuality: settings.quality,
+      fileType: output.mimeType || file.type,
+      useWebWorker: true
+    });
+
+    // Keep the original whenever re-encoding didn't make it smaller, even if another format was asked for
+    if (blob.size >= file.size) {
+      return { original: file, file, optimized: false };
+    }
+
+    const compressed = new File([blob], renameWithExtension(file.name, output.extension), {
+      type: blob.type,
+      lastModified: Date.now()
+    });
+
+    return { original: file, file: compressed, optimized: true };
+  } catch (error) {
+    console.warn(`Could not optimize ${file.name}, uploading original:`, error);
+    return { original: file, file, optimized: false };
+  }
+};
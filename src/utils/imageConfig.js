@@ -0,0 +1,26 @@
+/**
+ * Shared image settings
+ * These objects are attached to every RUM event as global context (see App.jsx)
+ * and also drive the client-side upload pipeline, so the values reported to
+ * Datadog always match what the browser actually does.
+ */
+
+// Image processing capabilities advertised by the app
+export const IMAGE_CONTEXT = {
+  source: 'quickstark-vite-images',
+  formats: ['jpg', 'png', 'webp'],
+  processingEnabled: true,
+  maxUploadSize: 5242880, // 5MB in bytes
+  compressionLevel: 'medium',
+  cdnEnabled: true
+};
+
+// Default per-user preferences for uploaded images
+export const USER_IMAGE_PREFERENCES = {
+  defaultFormat: 'webp',
+  autoOptimize: true,
+  preferredDimensions: {
+    width: 1200,
+    height: 800
+  }
+};
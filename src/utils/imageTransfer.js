@@ -0,0 +1,38 @@
+import { uploadImage } from '../api/images';
+
+/**
+ * Downloads the binary content of a gallery image
+ * @param {Object} image - Image record with url and name
+ * @param {Object} [options] - Fetch options
+ * @param {AbortSignal} [options.signal] - Cancels the download
+ * @returns {Promise<Blob>} Image data
+ */
+export const fetchImageBlob = async (image, { signal } = {}) => {
+  const response = await fetch(image.url, { signal, mode: 'cors' });
+  if (!response.ok) {
+    throw new Error(`Could not download ${image.name} (HTTP ${response.status})`);
+  }
+  return response.blob();
+};
+
+/**
+ * Copies an image into another backend by re-uploading it through /add_image
+ * Existing AI annotations are sent along (as JSON form fields) so the target
+ * backend can store them instead of re-running detection.
+ * @param {Object} image - Image record from the source backend
+ * @param {string} targetBackend - Backend to copy into
+ * @param {Object} [options] - Copy options
+ * @param {AbortSignal} [options.signal] - Cancels the copy
+ * @returns {Promise<Object>} Axios response from /add_image
+ */
+export const copyImageToBackend = async (image, targetBackend, { signal } = {}) => {
+  const blob = await fetchImageBlob(image, { signal });
+  const file = new File([blob], image.name, { type: blob.type || 'application/octet-stream' });
+
+  const formdata = new FormData();
+  formdata.append("file", file, file.name);
+  if (image.ai_labels) formdata.append("ai_labels", JSON.stringify(image.ai_labels));
+  if (image.ai_text) formdata.append("ai_text", JSON.stringify(image.ai_text));
+
+  return uploadImage(targetBackend, formdata, { signal });
+};
@@ -0,0 +1,121 @@
+import { API_BASE_URL } from './apiClient';
+import { getRetryDelay } from './retryPolicy';
+
+/**
+ * Live gallery updates over Server-Sent Events
+ * GET /events?backend=<id> streams `image_added` ({ backend, image }) and
+ * `image_deleted` ({ backend, id }) events for one backend. Dropped streams
+ * are reopened with backoff, passing the last event id so the server can
+ * replay what was missed. See docs/LIVE_UPDATES.md.
+ */
+
+export const LIVE_EVENT_TYPES = ['image_added', 'image_deleted'];
+
+export const LIVE_STATUS = {
+  connecting: 'connecting',
+  live: 'live',
+  reconnecting: 'reconnecting',
+  unsupported: 'unsupported', // No EventSource in this browser
+};
+
+// Backoff between reconnects; capped so a long outage is picked up within half a minute
+const RECONNECT_POLICY = { baseDelayMs: 1000, maxDelayMs: 30000, maxRetryAfterMs: 30000 };
+const MIN_RECONNECT_DELAY_MS = 500;
+
+/**
+ * Builds the stream URL for a backend
+ * @param {string} backend - Backend id
+ * @param {string|null} lastEventId - Last event received, for replay
+ * @returns {string} URL
+ */
+const buildEventsUrl = (backend, lastEventId) => {
+  const url = new URL('/events', API_BASE_URL);
+  url.searchParams.set('backend', backend);
+  if (lastEventId) url.searchParams.set('last_event_id', lastEventId);
+  return url.toString();
+};
+
+/**
+ * Subscribes to live image events for a backend
+ * @param {string} backend - Backend id
+ * @param {Object} handlers - Callbacks
+ * @param {Function} handlers.onEvent - ({ type, backend, image?, id? }) => void
+ * @param {Function} [handlers.onStatusChange] - (LIVE_STATUS value, { attempt, delayMs }) => void;
+ *   for `live`, attempt is how many reconnects it took
+ * @param {Object} [options] - Test seams
+ * @param {Function} [options.EventSourceImpl] - EventSource constructor
+ * @param {Function} [options.random] - Returns [0, 1), used for jitter
+ * @returns {Function} Unsubscribe
+ */
+export const subscribeToImageEvents = (
+  backend,
+  { onEvent, onStatusChange = () => {} },
+  { EventSourceImpl = globalThis.EventSource, random = Math.random } = {}
+) => {
+  if (!EventSourceImpl) {
+    onStatusChange(LIVE_STATUS.unsupported, { attempt: 0 });
+    return () => {};
+  }
+
+  let source = null;
+  let reconnectTimer = null;
+  let attempt = 0;
+  let lastEventId = null;
+  let closed = false;
+
+  const handleMessage = (type) => (message) => {
+    if (message.lastEventId) lastEventId = message.lastEventId;
+    try {
+      const data = JSON.parse(message.data);
+      // Streams are per backend, but don't trust that for applying deletes
+      if (data.backend && data.backend !== backend) return;
+      onEvent({ type, backend, ...data });
+    } catch (error) {
+      console.warn(`Ignoring malformed ${type} event:`, error);
+    }
+  };
+
+  const scheduleReconnect = () => {
+    const delayMs = Math.max(MIN_RECONNECT_DELAY_MS, getRetryDelay(attempt, RECONNECT_POLICY, { random }));
+    attempt += 1;
+    onStatusChange(LIVE_STATUS.reconnecting, { attempt, delayMs });
+    reconnectTimer = setTimeout(connect, delayMs);
+  };
+
+  const connect = () => {
+    reconnectTimer = null;
+    if (attempt === 0) onStatusChange(LIVE_STATUS.connecting, { attempt });
+
+    source = new EventSourceImpl(buildEventsUrl(backend, lastEventId), { withCredentials: true });
+    source.onopen = () => {
+      const attempts = attempt;
+      attempt = 0;
+      onStatusChange(LIVE_STATUS.live, { attempt: attempts });
+    };
+    // We reconnect ourselves: the browser gives up for good on HTTP errors,
+    // and its own retries don't back off
+    source.onerror = () => {
+      source.close();
+      source = null;
+      if (!closed) scheduleReconnect();
+    };
+    LIVE_EVENT_TYPES.forEach(type => source.addEventListener(type, handleMessage(type)));
+  };
+
+  // Coming back online shouldn't wait for the backoff timer
+  const handleOnline = () => {
+    if (!reconnectTimer) return;
+    clearTimeout(reconnectTimer);
+    connect();
+  };
+
+  connect();
+  globalThis.addEventListener?.('online', handleOnline);
+
+  return () => {
+    closed = true;
+    clearTimeout(reconnectTimer);
+    source?.close();
+    globalThis.removeEventListener?.('online', handleOnline);
+  };
+};
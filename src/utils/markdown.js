@@ -0,0 +1,105 @@
+/**
+ * Minimal Markdown parser for model text in ImageChat
+ * Covers what Gemini writes in practice: paragraphs, headings, bullet and
+ * numbered lists, fenced code, and inline bold, italic, code and links.
+ * The output is plain data rendered as React elements by ChatMarkdown, so
+ * model text never reaches innerHTML.
+ *
+ * Blocks:  { type: 'paragraph', text } | { type: 'heading', level, text }
+ *          | { type: 'list', ordered, items: [text] } | { type: 'code', text }
+ * Inlines: { type: 'text' | 'code', text } | { type: 'strong' | 'em', children }
+ *          | { type: 'link', href, children }
+ */
+
+const FENCE = /^```/;
+const HEADING = /^(#{1,6})\s+(.*)$/;
+const BULLET = /^\s*[-*+]\s+(.*)$/;
+const NUMBERED = /^\s*\d+[.)]\s+(.*)$/;
+
+// Longest alternatives first so ** wins over *
+const INLINE = /`([^`]+)`|\*\*(.+?)\*\*|__(.+?)__|\*([^*\s](?:[^*]*[^*\s])?)\*|(?<!\w)_([^_\s](?:[^_]*[^_\s])?)_(?!\w)|\[([^\]]+)\]\((https?:\/\/[^\s)]+)\)/g;
+
+/**
+ * Splits text into blocks
+ * @param {string} text - Markdown
+ * @returns {Object[]} Blocks
+ */
+export const parseMarkdown = (text) => {
+  const blocks = [];
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+  let paragraph = [];
+
+  const flushParagraph = () => {
+    if (paragraph.length > 0) blocks.push({ type: 'paragraph', text: paragraph.join(' ') });
+    paragraph = [];
+  };
+
+  for (let index = 0; index < lines.length; index += 1) {
+    const line = lines[index];
+
+    if (FENCE.test(line)) {
+      flushParagraph();
+      const code = [];
+      for (index += 1; index < lines.length && !FENCE.test(lines[index]); index += 1) {
+        code.push(lines[index]);
+      }
+      blocks.push({ type: 'code', text: code.join('\n') });
+      continue;
+    }
+
+    const heading = HEADING.exec(line);
+    if (heading) {
+      flushParagraph();
+      blocks.push({ type: 'heading', level: heading[1].length, text: heading[2] });
+      continue;
+    }
+
+    const item = BULLET.exec(line) || NUMBERED.exec(line);
+    if (item) {
+      flushParagraph();
+      const ordered = !BULLET.test(line);
+      const last = blocks[blocks.length - 1];
+      // Items separated by blank lines still belong to one list
+      if (last?.type === 'list' && last.ordered === ordered) {
+        last.items.push(item[1]);
+      } else {
+        blocks.push({ type: 'list', ordered, items: [item[1]] });
+      }
+      continue;
+    }
+
+    if (line.trim()) {
+      paragraph.push(line.trim());
+    } else {
+      flushParagraph();
+    }
+  }
+  flushParagraph();
+  return blocks;
+};
+
+/**
+ * Splits a line of text into inline elements
+ * @param {string} text - Markdown
+ * @returns {Object[]} Inlines
+ */
+export const parseInline = (text) => {
+  const inlines = [];
+  let lastIndex = 0;
+  for (const match of text.matchAll(INLINE)) {
+    if (match.index > lastIndex) inlines.push({ type: 'text', text: text.slice(lastIndex, match.index) });
+    const [, code, strong, strongAlt, em, emAlt, label, href] = match;
+    if (code !== undefined) {
+      inlines.push({ type: 'code', text: code });
+    } else if (strong !== undefined || strongAlt !== undefined) {
+      inlines.push({ type: 'strong', children: parseInline(strong ?? strongAlt) });
+    } else if (em !== undefined || emAlt !== undefined) {
+      inlines.push({ type: 'em', children: parseInline(em ?? emAlt) });
+    } else {
+      inlines.push({ type: 'link', href, children: parseInline(label) });
+    }
+    lastIndex = match.index + match[0].length;
+  }
+  if (lastIndex < text.length) inlines.push({ type: 'text', text: text.slice(lastIndex) });
+  return inlines;
+};
@@ -0,0 +1,234 @@
+import { deleteImage, uploadImage } from '../api/images';
+import { dbDelete, dbGet, dbGetAll, dbPut } from './db';
+import { fetchAllImages, MAX_LISTED_IMAGES } from './backendSync';
+import { fetchImageBlob } from './imageTransfer';
+
+/**
+ * Offline support for the gallery
+ * - The last successful image list per backend is cached in IndexedDB,
+ *   along with the content of the first MAX_CACHED_THUMBNAILS images.
+ * - Uploads and deletes made while offline are stored in an outbox and
+ *   replayed when connectivity returns. Replays that no longer make sense
+ *   (name already taken, image already gone) are reported as conflicts.
+ */
+
+export const MAX_CACHED_THUMBNAILS = 60;
+
+// Outbox entry states
+export const OUTBOX_STATUS = {
+  pending: 'pending',
+  conflict: 'conflict',
+  error: 'error',
+};
+
+// Object URLs handed out for cached thumbnails, reused across renders
+const objectUrls = new Map();
+
+/**
+ * Whether an error means the API could not be reached at all
+ * @param {Error} error - Axios or fetch error
+ * @returns {boolean} True for network-level failures, including a tripped circuit breaker
+ */
+export const isNetworkError = (error) =>
+  !error.response && (
+    error.code === 'ERR_NETWORK' ||
+    error.code === 'ERR_NAME_NOT_RESOLVED' ||
+    error.code === 'ECONNREFUSED' ||
+    error.code === 'ECONNABORTED' ||
+    error.code === 'ERR_CIRCUIT_OPEN' ||
+    error.message?.includes('CORS') ||
+    (typeof navigator !== 'undefined' && !navigator.onLine)
+  );
+
+/**
+ * Stores the image list last shown for a backend
+ * @param {string} backend - Backend id
+ * @param {Object[]} images - Image records
+ * @returns {Promise<void>}
+ */
+export const saveImageList = async (backend, images) => {
+  try {
+    await dbPut('imageCache', { backend, images, savedAt: Date.now() });
+  } catch (error) {
+    console.warn('Could not cache image list:', error);
+  }
+};
+
+/**
+ * Reads the cached image list for a backend
+ * Image URLs are swapped for object URLs of cached content where available;
+ * the original URL is kept as `remoteUrl`.
+ * @param {string} backend - Backend id
+ * @returns {Promise<{images: Object[], savedAt: number}|null>} Cached list, or null
+ */
+export const getCachedImageList = async (backend) => {
+  try {
+    const entry = await dbGet('imageCache', backend);
+    if (!entry) return null;
+
+    const images = await Promise.all(entry.images.map(async (image) => {
+      if (!objectUrls.has(image.url)) {
+        const cached = await dbGet('thumbnails', image.url);
+        if (!cached) return image;
+        objectUrls.set(image.url, URL.createObjectURL(cached.blob));
+      }
+      return { ...image, url: objectUrls.get(image.url), remoteUrl: image.url };
+    }));
+    return { images, savedAt: entry.savedAt };
+  } catch (error) {
+    console.warn('Could not read cached image list:', error);
+    return null;
+  }
+};
+
+/**
+ * Downloads and stores the content of the first images that aren't cached yet
+ * @param {Object[]} images - Image records (in display order)
+ * @returns {Promise<void>}
+ */
+export const cacheThumbnails = async (images) => {
+  for (const image of images.slice(0, MAX_CACHED_THUMBNAILS)) {
+    if (!image.url || image.remoteUrl || image.url.startsWith('blob:')) continue;
+    try {
+      if (await dbGet('thumbnails', image.url)) continue;
+      const blob = await fetchImageBlob(image);
+      await dbPut('thumbnails', { url: image.url, blob, savedAt: Date.now() });
+    } catch (error) {
+      // Best effort: a missing thumbnail only shows the fallback offline
+      console.warn(`Could not cache ${image.name}:`, error.message);
+    }
+  }
+};
+
+/**
+ * Adds an upload or delete to the outbox
+ * @param {Object} mutation - { type: 'upload', backend, file } or { type: 'delete', backend, image }
+ * @returns {Promise<Object>} Stored outbox entry
+ */
+export const queueMutation = async (mutation) => {
+  const entry = {
+    ...mutation,
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    status: OUTBOX_STATUS.pending,
+    queuedAt: Date.now(),
+    message: null,
+  };
+  await dbPut('outbox', entry);
+  return entry;
+};
+
+/**
+ * Lists outbox entries, oldest first
+ * @returns {Promise<Object[]>} Outbox entries
+ */
+export const getQueuedMutations = async () => {
+  try {
+    const entries = await dbGetAll('outbox');
+    return entries.sort((a, b) => a.queuedAt - b.queuedAt);
+  } catch (error) {
+    console.warn('Could not read offline queue:', error);
+    return [];
+  }
+};
+
+/**
+ * Removes an entry from the outbox
+ * @param {string} id - Outbox entry id
+ * @returns {Promise<void>}
+ */
+export const removeQueuedMutation = (id) => dbDelete('outbox', id);
+
+/**
+ * Sends one queued mutation to the API
+ * @param {Object} entry - Outbox entry
+ * @param {Object} [options] - Replay options
+ * @param {Set<string>} [options.existingNames] - Image names on the target backend, for conflict checks
+ * @param {boolean} [options.force] - Upload even if the name is already taken
+ * @returns {Promise<{status: string, message?: string}>} 'success', 'conflict' or 'error'
+ */
+const sendMutation = async (entry, { existingNames, force = false } = {}) => {
+  if (entry.type === 'upload') {
+    if (!force && existingNames?.has(entry.file.name)) {
+      return {
+        status: OUTBOX_STATUS.conflict,
+        message: `An image named ${entry.file.name} was added to ${entry.backend} while you were offline`,
+      };
+    }
+
+    const formdata = new FormData();
+    formdata.append("file", entry.file, entry.file.name);
+    await uploadImage(entry.backend, formdata);
+    return { status: 'success' };
+  }
+
+  const id = entry.image.id || entry.image._id?.$oid;
+  try {
+    await deleteImage(entry.backend, id);
+    return { status: 'success' };
+  } catch (error) {
+    if (error.response?.status === 404) {
+      return {
+        status: OUTBOX_STATUS.conflict,
+        message: `${entry.image.name} was already removed from ${entry.backend}`,
+      };
+    }
+    throw error;
+  }
+};
+
+/**
+ * Replays queued mutations in order
+ * Successful entries are removed; conflicts and errors stay in the outbox
+ * with a message. Deletes of images that are already gone are reported as
+ * conflicts but removed, since there is nothing left to decide.
+ * @param {Object[]} entries - Outbox entries to replay
+ * @param {Object} [options] - Replay options
+ * @param {boolean} [options.force] - Skip conflict checks (used when resolving a conflict)
+ * @returns {Promise<Object[]>} Results ({ entry, status, message })
+ */
+export const replayMutations = async (entries, { force = false } = {}) => {
+  // Names per backend, fetched once, to spot uploads that would duplicate an image.
+  // A failed lookup fails those uploads too: without the names there is no telling
+  // whether they would be duplicates.
+  const namesByBackend = new Map();
+  const getExistingNames = (backend) => {
+    if (!namesByBackend.has(backend)) {
+      namesByBackend.set(backend, fetchAllImages(backend)
+        .catch(error => {
+          if (isNetworkError(error)) throw error;
+          throw new Error(`Could not check ${backend} for existing images: ${error.response?.data?.message || error.message}`);
+        })
+        .then(({ images, truncated }) => {
+          if (truncated) {
+            throw new Error(`Could not check ${backend} for existing images: it has more than ${MAX_LISTED_IMAGES}`);
+          }
+          return new Set(images.map(image => image.name));
+        }));
+    }
+    return namesByBackend.get(backend);
+  };
+
+  const results = [];
+  for (const entry of entries) {
+    try {
+      const existingNames = entry.type === 'upload' && !force ? await getExistingNames(entry.backend) : null;
+      const { status, message } = await sendMutation(entry, { existingNames, force });
+
+      if (status === 'success' || entry.type === 'delete') {
+        await removeQueuedMutation(entry.id);
+      } else {
+        await dbPut('outbox', { ...entry, status, message });
+      }
+      results.push({ entry, status, message });
+    } catch (error) {
+      // Still offline: stop and keep the rest queued
+      if (isNetworkError(error)) break;
+
+      const message = error.response?.data?.message || error.message;
+      await dbPut('outbox', { ...entry, status: OUTBOX_STATUS.error, message });
+      results.push({ entry, status: OUTBOX_STATUS.error, message });
+    }
+  }
+  return results;
+};
+
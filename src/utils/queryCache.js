@@ -0,0 +1,107 @@
+/**
+ * Small in-memory query cache
+ * Entries are keyed by strings built with buildQueryKey (a scope such as
+ * "images:mongo" plus sorted params). Concurrent fetches of the same key
+ * share one request, and data older than its stale time is refetched.
+ * Lives for the page session; the offline cache (offlineStore.js) covers reloads.
+ */
+
+export const DEFAULT_STALE_TIME_MS = 30000;
+
+// key -> { data, updatedAt, promise }
+const entries = new Map();
+
+/**
+ * Builds a cache key from a scope and query params
+ * Empty params are dropped so equivalent queries share a key.
+ * @param {string} scope - Key prefix, e.g. "images:mongo"
+ * @param {Object} [params] - Query params
+ * @returns {string} Cache key
+ */
+export const buildQueryKey = (scope, params = {}) => {
+  const query = Object.keys(params)
+    .filter(name => params[name] !== undefined && params[name] !== null && params[name] !== '')
+    .sort()
+    .map(name => `${name}=${encodeURIComponent(params[name])}`)
+    .join('&');
+  return query ? `${scope}?${query}` : scope;
+};
+
+// Matches "images:mongo", "images:mongo?..." and "images:mongo#..." but not "images:mongodb"
+const inScope = (key, scope) => key === scope || key.startsWith(`${scope}?`) || key.startsWith(`${scope}#`);
+
+/**
+ * Reads cached data
+ * @param {string} key - Cache key
+ * @returns {*} Data, or undefined if nothing is cached
+ */
+export const getQueryData = (key) => entries.get(key)?.data;
+
+/**
+ * Whether cached data is missing or older than the stale time
+ * @param {string} key - Cache key
+ * @param {number} [staleTime] - Max age in ms
+ * @returns {boolean} True if the key should be refetched
+ */
+export const isQueryStale = (key, staleTime = DEFAULT_STALE_TIME_MS) => {
+  const entry = entries.get(key);
+  return !entry || entry.data === undefined || Date.now() - entry.updatedAt >= staleTime;
+};
+
+/**
+ * Fetches through the cache
+ * Returns fresh cached data as-is; otherwise joins the request already in
+ * flight for the key, or starts one.
+ * @param {string} key - Cache key
+ * @param {Function} fetcher - () => Promise<data>
+ * @param {Object} [options] - Fetch options
+ * @param {number} [options.staleTime] - Max age of cached data in ms (0 only dedups)
+ * @returns {Promise<*>} Data
+ */
+export const fetchQuery = (key, fetcher, { staleTime = DEFAULT_STALE_TIME_MS } = {}) => {
+  const entry = entries.get(key);
+  if (entry?.promise) return entry.promise;
+  if (!isQueryStale(key, staleTime)) return Promise.resolve(entry.data);
+
+  const promise = fetcher().then(
+    (data) => {
+      entries.set(key, { data, updatedAt: Date.now(), promise: null });
+      return data;
+    },
+    (error) => {
+      const current = entries.get(key);
+      if (current?.promise === promise) current.promise = null;
+      throw error;
+    }
+  );
+  entries.set(key, { ...entry, promise });
+  return promise;
+};
+
+/**
+ * Writes data without fetching (optimistic updates, list snapshots)
+ * @param {string} key - Cache key
+ * @param {*|Function} updater - New data, or (previous) => new data
+ * @param {Object} [options] - Write options
+ * @param {boolean} [options.fresh] - Count the write as fresh server data
+ */
+export const setQueryData = (key, updater, { fresh = false } = {}) => {
+  const entry = entries.get(key);
+  const data = typeof updater === 'function' ? updater(entry?.data) : updater;
+  entries.set(key, {
+    promise: null,
+    ...entry,
+    data,
+    updatedAt: fresh ? Date.now() : entry?.updatedAt ?? 0,
+  });
+};
+
+/**
+ * Marks every entry of a scope stale so it is refetched on next use
+ * @param {string} scope - Key prefix passed to buildQueryKey
+ */
+export const invalidateQueries = (scope) => {
+  entries.forEach((entry, key) => {
+    if (inScope(key, scope)) entry.updatedAt = 0;
+  });
+};
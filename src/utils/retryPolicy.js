@@ -0,0 +1,81 @@
+/**
+ * Retry policy for API requests
+ * Pure helpers used by the resilience interceptor in apiClient.js. Only
+ * idempotent methods are retried, on network errors, 5xx and 429.
+ */
+
+export const DEFAULT_RETRY_POLICY = {
+  retries: 3,
+  methods: ['get', 'head', 'options', 'delete'],
+  statuses: [429, 500, 502, 503, 504],
+  baseDelayMs: 300,
+  maxDelayMs: 10000,
+  // Upper bound for server-provided Retry-After values
+  maxRetryAfterMs: 30000,
+};
+
+/**
+ * Resolves the policy for one request
+ * A request can opt out with `retry: false` or override fields with `retry: { retries: 1 }`.
+ * @param {Object} config - Axios request config
+ * @param {Object} [basePolicy] - Client-wide policy
+ * @returns {Object|null} Policy, or null when retries are disabled
+ */
+export const resolveRetryPolicy = (config, basePolicy = DEFAULT_RETRY_POLICY) => {
+  if (config?.retry === false) return null;
+  return { ...basePolicy, ...(typeof config?.retry === 'object' ? config.retry : {}) };
+};
+
+/**
+ * Whether a failed request may be sent again
+ * @param {Object} error - Axios error (error.config carries the attempt count)
+ * @param {Object} policy - Resolved policy
+ * @param {number} attempt - Retries already made
+ * @returns {boolean} True if the request should be retried
+ */
+export const shouldRetry = (error, policy, attempt) => {
+  if (!policy || !error.config || attempt >= policy.retries) return false;
+  if (error.code === 'ERR_CANCELED' || error.code === 'ERR_CIRCUIT_OPEN') return false;
+
+  const method = (error.config.method || 'get').toLowerCase();
+  if (!policy.methods.includes(method)) return false;
+
+  // No response: network error or timeout
+  if (!error.response) return true;
+  return policy.statuses.includes(error.response.status);
+};
+
+/**
+ * Parses a Retry-After header (delay in seconds or an HTTP date)
+ * @param {string|undefined} value - Header value
+ * @param {number} [now] - Current time in ms
+ * @returns {number|null} Delay in ms, or null if absent/invalid
+ */
+export const parseRetryAfter = (value, now = Date.now()) => {
+  if (value === undefined || value === null || value === '') return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+};
+
+/**
+ * Computes how long to wait before the next attempt
+ * Exponential backoff with full jitter, unless the server sent Retry-After.
+ * @param {number} attempt - Retries already made (0 for the first retry)
+ * @param {Object} policy - Resolved policy
+ * @param {Object} [options] - Test seams
+ * @param {string} [options.retryAfter] - Retry-After header of the failed response
+ * @param {Function} [options.random] - Returns a number in [0, 1)
+ * @param {number} [options.now] - Current time in ms
+ * @returns {number} Delay in ms
+ */
+export const getRetryDelay = (attempt, policy, { retryAfter, random = Math.random, now = Date.now() } = {}) => {
+  const serverDelay = parseRetryAfter(retryAfter, now);
+  if (serverDelay !== null) return Math.min(serverDelay, policy.maxRetryAfterMs);
+
+  const ceiling = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** attempt);
+  return Math.round(random() * ceiling);
+};
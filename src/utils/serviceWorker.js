@@ -0,0 +1,69 @@
+/**
+ * Service worker registration (production builds only)
+ * The worker itself is generated from src/sw.js by serviceWorkerPlugin in vite.config.js.
+ */
+
+/**
+ * Asks a service worker which release it was built for
+ * @param {ServiceWorker} worker - Installed or active worker
+ * @returns {Promise<string|null>} Release string, or null if it doesn't answer
+ */
+export const getWorkerVersion = (worker) => new Promise((resolve) => {
+  const channel = new MessageChannel();
+  const timer = setTimeout(() => resolve(null), 2000);
+  channel.port1.onmessage = (event) => {
+    clearTimeout(timer);
+    resolve(event.data?.version || null);
+  };
+  worker.postMessage({ type: 'GET_VERSION' }, [channel.port2]);
+});
+
+/**
+ * Registers /sw.js and reports when a new release is waiting to take over
+ * @param {Object} options - Registration options
+ * @param {Function} options.onUpdate - Called with (waitingWorker, version) when an update is ready
+ * @returns {Promise<ServiceWorkerRegistration|null>} Registration, or null when unsupported
+ */
+export const registerServiceWorker = async ({ onUpdate }) => {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return null;
+
+  const registration = await navigator.serviceWorker.register('/sw.js');
+
+  const notifyIfWaiting = async (worker) => {
+    // Only an update if a previous worker is already controlling the page
+    if (worker && navigator.serviceWorker.controller) {
+      onUpdate(worker, await getWorkerVersion(worker));
+    }
+  };
+
+  // An update may already be waiting from an earlier visit
+  notifyIfWaiting(registration.waiting);
+
+  registration.addEventListener('updatefound', () => {
+    const installing = registration.installing;
+    installing?.addEventListener('statechange', () => {
+      if (installing.state === 'installed') notifyIfWaiting(installing);
+    });
+  });
+
+  // Look for new deploys when the tab regains focus
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible') registration.update().catch(() => undefined);
+  });
+
+  return registration;
+};
+
+/**
+ * Activates a waiting worker and reloads once it controls the page
+ * @param {ServiceWorker} worker - Waiting worker
+ */
+export const applyServiceWorkerUpdate = (worker) => {
+  let reloaded = false;
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (reloaded) return;
+    reloaded = true;
+    window.location.reload();
+  });
+  worker.postMessage({ type: 'SKIP_WAITING' });
+};
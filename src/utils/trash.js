@@ -0,0 +1,87 @@
+import { uploadImage } from '../api/images';
+import { dbDelete, dbGetAll, dbPut } from './db';
+import { getImageKey } from '../hooks/usePaginatedImages';
+
+/**
+ * Client-side trash for deleted images
+ * Before an image is deleted on the server its record and binary content
+ * are saved to IndexedDB, so it can be restored (re-uploaded) later.
+ * Entries expire after TRASH_RETENTION_MS.
+ */
+
+export const TRASH_RETENTION_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+/**
+ * Key identifying an image within a backend
+ * @param {Object} image - Image record
+ * @param {string} backend - Backend the image belongs to
+ * @returns {string} Trash key
+ */
+export const getTrashKey = (image, backend) => `${backend}:${getImageKey(image)}`;
+
+/**
+ * Saves a deleted image to the trash
+ * @param {Object} image - Image record
+ * @param {string} backend - Backend it was deleted from
+ * @param {Blob|null} blob - Image content, or null when it could not be downloaded
+ * @returns {Promise<void>}
+ */
+export const addToTrash = async (image, backend, blob) => {
+  try {
+    await dbPut('trash', {
+      key: getTrashKey(image, backend),
+      image,
+      backend,
+      blob,
+      deletedAt: Date.now(),
+    });
+  } catch (error) {
+    console.warn('Could not save image to trash:', error);
+  }
+};
+
+/**
+ * Lists trash entries, newest first, dropping expired ones
+ * @returns {Promise<Object[]>} Trash entries
+ */
+export const getTrash = async () => {
+  try {
+    const entries = await dbGetAll('trash');
+    const cutoff = Date.now() - TRASH_RETENTION_MS;
+    const expired = entries.filter(entry => entry.deletedAt < cutoff);
+    await Promise.all(expired.map(entry => dbDelete('trash', entry.key)));
+
+    return entries
+      .filter(entry => entry.deletedAt >= cutoff)
+      .sort((a, b) => b.deletedAt - a.deletedAt);
+  } catch (error) {
+    console.warn('Could not read trash:', error);
+    return [];
+  }
+};
+
+/**
+ * Permanently removes an entry from the trash
+ * @param {string} key - Trash key
+ * @returns {Promise<void>}
+ */
+export const purgeFromTrash = (key) => dbDelete('trash', key);
+
+/**
+ * Restores an image by re-uploading its saved content to the original backend
+ * @param {Object} entry - Trash entry
+ * @returns {Promise<Object>} Axios response from /add_image
+ */
+export const restoreFromTrash = async (entry) => {
+  if (!entry.blob) {
+    throw new Error(`No saved copy of ${entry.image.name} to restore`);
+  }
+
+  const file = new File([entry.blob], entry.image.name, { type: entry.blob.type });
+  const formdata = new FormData();
+  formdata.append("file", file, file.name);
+
+  const res = await uploadImage(entry.backend, formdata);
+  await dbDelete('trash', entry.key);
+  return res;
+};
@@ -0,0 +1,137 @@
+/**
+ * Minimal ZIP archive writer
+ * Files are stored without compression: gallery images are already
+ * compressed (JPEG/PNG/WebP), so deflating them would only cost CPU.
+ */
+
+// CRC-32 lookup table (IEEE polynomial)
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * Computes the CRC-32 checksum of a byte array
+ * @param {Uint8Array} bytes - Data to checksum
+ * @returns {number} Unsigned CRC-32
+ */
+export const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * Converts a Date to MS-DOS time and date fields
+ * @param {Date} date - Timestamp
+ * @returns {{time: number, date: number}} DOS time/date
+ */
+const toDosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+});
+
+/**
+ * Makes archive entry names unique by suffixing duplicates (photo.jpg, photo (2).jpg)
+ * @param {string[]} names - Requested names
+ * @returns {string[]} Unique names in the same order
+ */
+const dedupeNames = (names) => {
+  const used = new Map();
+  return names.map(name => {
+    const count = used.get(name) || 0;
+    used.set(name, count + 1);
+    if (count === 0) return name;
+    const dot = name.lastIndexOf('.');
+    return dot > 0
+      ? `${name.substring(0, dot)} (${count + 1})${name.substring(dot)}`
+      : `${name} (${count + 1})`;
+  });
+};
+
+/**
+ * Builds a ZIP archive
+ * @param {Array<{name: string, data: Blob}>} files - Files to include
+ * @returns {Promise<Blob>} application/zip blob
+ */
+export const createZip = async (files) => {
+  const encoder = new TextEncoder();
+  const { time, date } = toDosDateTime(new Date());
+  const names = dedupeNames(files.map(file => file.name));
+
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (let i = 0; i < files.length; i++) {
+    const nameBytes = encoder.encode(names[i]);
+    const data = new Uint8Array(await files[i].data.arrayBuffer());
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true); // Local file header signature
+    local.setUint16(4, 20, true); // Version needed
+    local.setUint16(6, 0x0800, true); // UTF-8 names
+    local.setUint16(8, 0, true); // Stored
+    local.setUint16(10, time, true);
+    local.setUint16(12, date, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, nameBytes.length, true);
+    local.setUint16(28, 0, true);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true); // Central directory signature
+    central.setUint16(4, 20, true); // Version made by
+    central.setUint16(6, 20, true); // Version needed
+    central.setUint16(8, 0x0800, true);
+    central.setUint16(10, 0, true);
+    central.setUint16(12, time, true);
+    central.setUint16(14, date, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, nameBytes.length, true);
+    central.setUint32(42, offset, true); // Offset of local header
+
+    localParts.push(local, nameBytes, data);
+    centralParts.push(central, nameBytes);
+    offset += 30 + nameBytes.length + data.length;
+  }
+
+  const centralSize = centralParts.reduce((total, part) => total + part.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true); // End of central directory signature
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...localParts, ...centralParts, end], { type: 'application/zip' });
+};
+
+/**
+ * Triggers a browser download for a blob
+ * @param {Blob} blob - Data to save
+ * @param {string} filename - Suggested filename
+ */
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
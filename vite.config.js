@@ -5,42 +5,51 @@ import { execSync } from 'child_process';
 import fs from 'fs';
 
 /**
- * Vite plugin to automatically inject version from VERSION file + git commit SHA
+ * Resolves the release string from the VERSION file + git commit SHA
  * This ensures a single source of truth for versioning across all environments
+ * @returns {string} Release in VERSION-SHA format (matching deploy workflow)
  */
-function versionInjectionPlugin() {
-  return {
-    name: 'version-injection',
-    config: () => {
-      let version = 'unknown';
-      let gitSha = 'local';
-      let release = 'unknown-local';
+function resolveRelease() {
+  let version = 'unknown';
+  let gitSha = 'local';
+  let release = 'unknown-local';
 
-      try {
-        // Read VERSION file (single source of truth)
-        const versionFile = path.join(process.cwd(), 'VERSION');
-        if (fs.existsSync(versionFile)) {
-          version = fs.readFileSync(versionFile, 'utf-8').trim();
-        } else {
-          console.warn('⚠️  VERSION file not found, using "unknown"');
-        }
+  try {
+    // Read VERSION file (single source of truth)
+    const versionFile = path.join(process.cwd(), 'VERSION');
+    if (fs.existsSync(versionFile)) {
+      version = fs.readFileSync(versionFile, 'utf-8').trim();
+    } else {
+      console.warn('⚠️  VERSION file not found, using "unknown"');
+    }
 
-        // Get git commit SHA (for uniqueness)
-        try {
-          gitSha = execSync('git rev-parse --short HEAD', { encoding: 'utf-8' }).trim();
-        } catch (err) {
-          console.warn('⚠️  Git not available, using "local" for commit SHA');
-          gitSha = 'local';
-        }
+    // Get git commit SHA (for uniqueness)
+    try {
+      gitSha = execSync('git rev-parse --short HEAD', { encoding: 'utf-8' }).trim();
+    } catch (err) {
+      console.warn('⚠️  Git not available, using "local" for commit SHA');
+      gitSha = 'local';
+    }
 
-        // Create release version (VERSION-SHA format, matching deploy workflow)
-        release = `${version}-${gitSha}`;
+    // Create release version (VERSION-SHA format, matching deploy workflow)
+    release = `${version}-${gitSha}`;
 
-        console.log(`📦 Version injection: ${release} (from VERSION file + git)`);
-      } catch (err) {
-        console.error('❌ Error reading version:', err.message);
-      }
+    console.log(`📦 Version injection: ${release} (from VERSION file + git)`);
+  } catch (err) {
+    console.error('❌ Error reading version:', err.message);
+  }
+
+  return release;
+}
 
+/**
+ * Vite plugin to automatically inject version from VERSION file + git commit SHA
+ * @param {string} release - Release string from resolveRelease()
+ */
+function versionInjectionPlugin(release) {
+  return {
+    name: 'version-injection',
+    config: () => {
       return {
         define: {
           // Inject VITE_RELEASE at build time
@@ -51,11 +60,41 @@ function versionInjectionPlugin() {
   };
 }
 
+/**
+ * Vite plugin emitting the service worker (/sw.js) on build
+ * Fills src/sw.js with the release (used to version its caches) and the list
+ * of files to precache: the build output plus the public files the shell needs.
+ * @param {string} release - Release string from resolveRelease()
+ */
+function serviceWorkerPlugin(release) {
+  const publicShellFiles = ['/', '/manifest.webmanifest', '/favicon.ico', '/qs.png', '/icons/icon-192.png', '/icons/icon-512.png'];
+
+  return {
+    name: 'service-worker',
+    apply: 'build',
+    generateBundle(options, bundle) {
+      const buildFiles = Object.keys(bundle)
+        .filter(fileName => !fileName.endsWith('.map'))
+        .map(fileName => `/${fileName}`);
+      const precache = [...new Set([...publicShellFiles, ...buildFiles])];
+
+      const template = fs.readFileSync(path.resolve(__dirname, 'src/sw.js'), 'utf-8');
+      const source = template
+        .replace('__CACHE_VERSION__', JSON.stringify(release))
+        .replace('__PRECACHE_MANIFEST__', JSON.stringify(precache, null, 2));
+
+      this.emitFile({ type: 'asset', fileName: 'sw.js', source });
+      console.log(`🧰 Service worker: ${precache.length} files precached for ${release}`);
+    }
+  };
+}
+
 // https://vitejs.dev/config/
 export default defineConfig(({ command, mode }) => {
   // Load env file based on `mode` in the current working directory.
   // Set the third parameter to '' to load all env regardless of the `VITE_` prefix.
   const env = loadEnv(mode, process.cwd(), "");
+  const release = resolveRelease();
 
   return {
     build: {
@@ -96,7 +135,8 @@ export default defineConfig(({ command, mode }) => {
       },
     },
     plugins: [
-      versionInjectionPlugin(), // Inject version from VERSION file + git SHA
+      versionInjectionPlugin(release), // Inject version from VERSION file + git SHA
+      serviceWorkerPlugin(release), // Emit /sw.js with caches versioned by the release
       react({
         jsxRuntime: 'automatic'
       }),
@@ -125,6 +165,11 @@ export default defineConfig(({ command, mode }) => {
     },
     define: {
       global: 'globalThis'
+    },
+    // Unit tests (yarn test); end-to-end tests live in e2e/ and run under Playwright
+    test: {
+      environment: 'node',
+      include: ['src/**/*.test.{js,jsx}'],
     }
   };
 });